@@ -0,0 +1,146 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+
+import { log } from './log.js';
+
+// Usa o binário do ffmpeg-static quando o download dele foi feito; senão o do installer
+const ffmpegPath = [process.env.FFMPEG_PATH, ffmpegStatic, ffmpegInstaller.path].find(
+  (candidate) => candidate && existsSync(candidate)
+);
+if (ffmpegPath) ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Taxas aceitas pela Speech API para Opus; as demais codificações aceitam 8-48 kHz.
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Formato normalizado: FLAC mono 16 kHz (sem perdas e recomendado para STT).
+const NORMALIZED = { encoding: 'FLAC', sampleRateHertz: 16000, extension: 'flac', contentType: 'audio/flac' };
+
+const CHANNEL_LAYOUTS = { mono: 1, stereo: 2, '2.1': 3, quad: 4, '5.0': 5, '5.1': 6, '7.1': 8 };
+
+const parseCodecData = (data) => {
+  const details = data.audio_details || [];
+  const rate = details.map((item) => /^(\d+) Hz$/.exec(item)).find(Boolean);
+  const layout = details.find((item) => CHANNEL_LAYOUTS[item] || /^\d+ channels$/.test(item));
+  return {
+    container: data.format || '',
+    codec: data.audio || '',
+    sampleRate: rate ? Number(rate[1]) : null,
+    channels: layout ? CHANNEL_LAYOUTS[layout] || parseInt(layout, 10) : null,
+    hasVideo: Boolean(data.video),
+  };
+};
+
+/**
+ * Lê container, codec, taxa de amostragem e canais do arquivo usando o próprio
+ * ffmpeg (o pacote do installer não traz ffprobe).
+ */
+export const probeAudio = (inputPath) =>
+  new Promise((resolve, reject) => {
+    let codecData = null;
+    ffmpeg(inputPath)
+      .outputOptions(['-t', '0'])
+      .format('null')
+      .output('-')
+      .on('codecData', (data) => {
+        codecData = data;
+      })
+      .on('end', () => resolve(parseCodecData(codecData || {})))
+      .on('error', (err) => (codecData ? resolve(parseCodecData(codecData)) : reject(err)))
+      .run();
+  });
+
+/**
+ * Indica a codificação da Speech API para arquivos que podem ser enviados como
+ * estão (mono, codec e taxa suportados), ou `null` se precisam ser convertidos.
+ */
+const passthroughEncoding = ({ container, codec, sampleRate, channels, hasVideo }) => {
+  if (hasVideo || channels !== 1 || !sampleRate) return null;
+  if (codec === 'opus' && OPUS_SAMPLE_RATES.includes(sampleRate)) {
+    if (container.includes('webm')) return 'WEBM_OPUS';
+    if (container === 'ogg') return 'OGG_OPUS';
+  }
+  if (codec === 'flac' && container === 'flac') return 'FLAC';
+  if (codec === 'pcm_s16le' && container === 'wav') return 'LINEAR16';
+  return null;
+};
+
+const transcode = (inputPath, outputPath) =>
+  new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(NORMALIZED.sampleRateHertz)
+      .audioCodec('flac')
+      .format('flac')
+      .on('end', resolve)
+      .on('error', reject)
+      .save(outputPath);
+  });
+
+const EXTENSIONS = { WEBM_OPUS: 'webm', OGG_OPUS: 'ogg', FLAC: 'flac', LINEAR16: 'wav' };
+
+/**
+ * Prepara um upload de áudio ou vídeo para o reconhecimento: identifica o
+ * formato e, se não for compatível, converte para FLAC mono 16 kHz.
+ *
+ * Retorna `{ buffer, encoding, sampleRateHertz, extension, contentType,
+ * transcoded, probe }`. Lança um erro com `expose: true` se o arquivo não tiver
+ * áudio legível.
+ */
+export const normalizeAudio = async (buffer, { originalName = 'upload', mimetype } = {}) => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-'));
+  const inputPath = path.join(workDir, `input${path.extname(originalName)}`);
+  try {
+    await fs.writeFile(inputPath, buffer);
+
+    let probe;
+    try {
+      probe = await probeAudio(inputPath);
+    } catch (err) {
+      log('FFmpeg-ERROR', `Falha ao analisar ${originalName}:`, err.message);
+      probe = null;
+    }
+    if (!probe?.codec) {
+      const error = new Error('O arquivo enviado não contém uma trilha de áudio reconhecível.');
+      error.expose = true;
+      throw error;
+    }
+    log(
+      'FFmpeg',
+      `${originalName}: ${probe.container}/${probe.codec} ${probe.sampleRate} Hz, ${probe.channels} canal(is)`
+    );
+
+    const encoding = passthroughEncoding(probe);
+    if (encoding) {
+      return {
+        buffer,
+        encoding,
+        sampleRateHertz: probe.sampleRate,
+        extension: EXTENSIONS[encoding],
+        contentType: mimetype,
+        transcoded: false,
+        probe,
+      };
+    }
+
+    const outputPath = path.join(workDir, `normalized.${NORMALIZED.extension}`);
+    await transcode(inputPath, outputPath);
+    log('FFmpeg', `${originalName} convertido para FLAC mono ${NORMALIZED.sampleRateHertz} Hz`);
+    return {
+      buffer: await fs.readFile(outputPath),
+      encoding: NORMALIZED.encoding,
+      sampleRateHertz: NORMALIZED.sampleRateHertz,
+      extension: NORMALIZED.extension,
+      contentType: NORMALIZED.contentType,
+      transcoded: true,
+      probe,
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,226 @@
+import crypto from 'node:crypto';
+
+import { log } from './log.js';
+import { ownerOf } from './auth.js';
+
+export const AUDIT_OUTCOMES = ['success', 'failure', 'denied', 'cancelled'];
+export const AUDIT_EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+};
+const GENESIS_HASH = '0'.repeat(64);
+const HEAD_ID = 'head';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const CSV_COLUMNS = [
+  'seq', 'timestamp', 'clinicianId', 'tenantId', 'action', 'resourceType', 'resourceId', 'ip',
+  'outcome', 'details', 'prevHash', 'hash',
+];
+
+// ID do arquivo de cada entrada: sequência com zeros à esquerda (ordem léxica = ordem da cadeia)
+const entryId = (seq) => String(seq).padStart(12, '0');
+
+// Hash da entrada: SHA-256 do hash anterior + JSON da entrada (sem o próprio hash)
+const hashEntry = ({ hash, ...entry }) =>
+  crypto.createHash('sha256').update(entry.prevHash).update(JSON.stringify(entry)).digest('hex');
+
+/** Resultado de auditoria a partir do status HTTP da resposta. */
+export const outcomeOf = (statusCode) => {
+  if (statusCode < 400) return 'success';
+  if ([401, 403, 404].includes(statusCode)) return 'denied';
+  return 'failure';
+};
+
+/**
+ * Lê os filtros de consulta (`actor`, `action`, `resourceId`, `outcome`,
+ * `from`, `to`, `limit`) da query string. Retorna `{ filters, errors }`.
+ */
+export const parseAuditFilters = (query = {}) => {
+  const errors = [];
+  const filters = {};
+  ['actor', 'action', 'resourceType', 'resourceId'].forEach((field) => {
+    if (query[field] === undefined) return;
+    if (typeof query[field] !== 'string' || !query[field]) {
+      errors.push({ field, message: 'Deve ser texto.' });
+    } else {
+      filters[field] = query[field];
+    }
+  });
+  if (query.outcome !== undefined) {
+    if (!AUDIT_OUTCOMES.includes(query.outcome)) {
+      errors.push({ field: 'outcome', message: `Use um de: ${AUDIT_OUTCOMES.join(', ')}.` });
+    } else {
+      filters.outcome = query.outcome;
+    }
+  }
+  ['from', 'to'].forEach((field) => {
+    if (query[field] === undefined) return;
+    const date = new Date(query[field]);
+    if (typeof query[field] !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push({ field, message: 'Deve ser uma data ISO 8601.' });
+    } else {
+      filters[field] = date.toISOString();
+    }
+  });
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push({ field: 'limit', message: `Deve ser um inteiro entre 1 e ${MAX_LIMIT}.` });
+    } else {
+      filters.limit = limit;
+    }
+  }
+  return { filters, errors };
+};
+
+const matches = (entry, filters) =>
+  (!filters.tenantId || entry.actor?.tenantId === filters.tenantId) &&
+  (!filters.actor || entry.actor?.clinicianId === filters.actor) &&
+  (!filters.action || entry.action === filters.action) &&
+  (!filters.resourceType || entry.resourceType === filters.resourceType) &&
+  (!filters.resourceId || entry.resourceId === filters.resourceId) &&
+  (!filters.outcome || entry.outcome === filters.outcome) &&
+  (!filters.from || entry.timestamp >= filters.from) &&
+  (!filters.to || entry.timestamp <= filters.to);
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Entradas em CSV (uma linha por entrada, com cabeçalho). */
+export const auditToCsv = (entries) =>
+  [
+    CSV_COLUMNS.join(','),
+    ...entries.map((entry) =>
+      CSV_COLUMNS.map((column) =>
+        csvCell(column === 'clinicianId' || column === 'tenantId' ? entry.actor?.[column] : entry[column])
+      ).join(',')
+    ),
+  ].join('\r\n') + '\r\n';
+
+/** Entradas em JSON Lines (um objeto por linha). */
+export const auditToJsonl = (entries) => entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+
+/**
+ * Trilha de auditoria append-only com encadeamento por hash: cada entrada
+ * guarda o hash da anterior (`prevHash`) e o seu (`hash`), então alterar ou
+ * remover uma entrada quebra a cadeia a partir dela (ver `verify`).
+ *
+ * `entries` guarda uma entrada por arquivo; `head` guarda o fim da cadeia. As
+ * gravações são serializadas nesta instância; com várias instâncias gravando
+ * ao mesmo tempo use um bucket/prefixo por instância.
+ */
+export const createAuditLog = ({ entries, head }) => {
+  let queue = Promise.resolve();
+  let current = null;
+
+  // Fim da cadeia: do registro `head` ou, se ele faltar, da última entrada gravada
+  const loadHead = async () => {
+    const stored = await head.get(HEAD_ID);
+    if (stored) return stored;
+    const last = (await entries.list()).sort((a, b) => a.seq - b.seq).pop();
+    return last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+  };
+
+  const append = async (data) => {
+    current = current || (await loadHead());
+    const entry = {
+      seq: current.seq + 1,
+      timestamp: new Date().toISOString(),
+      ...data,
+      prevHash: current.hash,
+    };
+    entry.hash = hashEntry(entry);
+    await entries.put(entryId(entry.seq), entry);
+    current = { seq: entry.seq, hash: entry.hash };
+    await head.put(HEAD_ID, current);
+    return entry;
+  };
+
+  const sorted = async () => (await entries.list()).sort((a, b) => a.seq - b.seq);
+
+  return {
+    /**
+     * Registra uma ação: `{ actor, action, resourceType, resourceId, ip,
+     * outcome, details }`. Nunca rejeita: uma falha de gravação é logada sem
+     * interromper a operação auditada. Retorna a entrada (ou `null`).
+     */
+    record: ({ actor = null, action, resourceType = null, resourceId = null, ip = null, outcome, details = null }) => {
+      queue = queue
+        .then(() => append({ actor, action, resourceType, resourceId, ip, outcome, details }))
+        .catch((err) => {
+          // Relê o fim da cadeia na próxima gravação
+          current = null;
+          log('Audit-ERROR', `Falha ao registrar auditoria de ${action}:`, err);
+          return null;
+        });
+      return queue;
+    },
+
+    /**
+     * Entradas que atendem aos filtros (ver `parseAuditFilters`, mais
+     * `tenantId`), da mais recente para a mais antiga, até `limit`.
+     * Retorna `{ entries, total }`.
+     */
+    query: async (filters = {}) => {
+      const found = (await sorted()).filter((entry) => matches(entry, filters)).reverse();
+      return { entries: found.slice(0, filters.limit || DEFAULT_LIMIT), total: found.length };
+    },
+
+    /** Todas as entradas que atendem aos filtros, em ordem cronológica (para exportação). */
+    export: async (filters = {}) => (await sorted()).filter((entry) => matches(entry, filters)),
+
+    /**
+     * Recalcula a cadeia inteira. Retorna `{ valid, entries, problems }`,
+     * com `problems = [{ seq, message }]` para sequência fora de ordem, elo
+     * quebrado ou hash que não confere.
+     */
+    verify: async () => {
+      const all = await sorted();
+      const problems = [];
+      all.reduce((previous, entry) => {
+        const expectedSeq = (previous?.seq ?? 0) + 1;
+        if (entry.seq !== expectedSeq) {
+          problems.push({ seq: entry.seq, message: `Sequência esperada ${expectedSeq}: entradas faltando.` });
+        }
+        if (entry.prevHash !== (previous?.hash ?? GENESIS_HASH)) {
+          problems.push({ seq: entry.seq, message: 'prevHash não confere com a entrada anterior.' });
+        }
+        if (entry.hash !== hashEntry(entry)) {
+          problems.push({ seq: entry.seq, message: 'Hash não confere: entrada alterada.' });
+        }
+        return entry;
+      }, null);
+      const stored = await head.get(HEAD_ID);
+      const last = all[all.length - 1];
+      if (stored && (stored.seq !== (last?.seq ?? 0) || stored.hash !== (last?.hash ?? GENESIS_HASH))) {
+        problems.push({ seq: stored.seq, message: 'Fim da cadeia não confere: entradas finais removidas.' });
+      }
+      return { valid: problems.length === 0, entries: all.length, problems };
+    },
+  };
+};
+
+/**
+ * Middleware Express que registra a requisição na auditoria quando a resposta
+ * termina, com o resultado pelo status HTTP. `resourceId(req, res)` indica o
+ * recurso; o handler também pode defini-lo em `res.locals.auditResourceId`.
+ */
+export const auditRequest =
+  (auditLog, action, { resourceType = null, resourceId = () => null } = {}) =>
+  (req, res, next) => {
+    res.on('finish', () => {
+      auditLog.record({
+        actor: req.user ? ownerOf(req.user) : null,
+        action,
+        resourceType,
+        resourceId: res.locals.auditResourceId ?? resourceId(req, res) ?? null,
+        ip: req.ip,
+        outcome: outcomeOf(res.statusCode),
+        details: { method: req.method, path: req.originalUrl.split('?')[0], status: res.statusCode },
+      });
+    });
+    next();
+  };
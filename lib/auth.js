@@ -0,0 +1,139 @@
+import jws from 'jws';
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const PUBLIC_KEY_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'];
+
+const DEV_USER = { clinicianId: 'dev', tenantId: 'dev', roles: ['admin'] };
+
+// Extrai o token de um header "Authorization: Bearer <token>".
+const bearerToken = (header) => {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Autenticação por JWT verificável offline: HMAC (HS256...) com
+ * `AUTH_JWT_SECRET` ou RSA/ECDSA (RS256, ES256...) com a chave pública PEM em
+ * `AUTH_JWT_PUBLIC_KEY`.
+ *
+ * O usuário autenticado é `{ clinicianId, tenantId, roles }`, vindo das claims
+ * `sub`, `tenant` (ou `tenantId`) e `roles`.
+ */
+export const createAuth = (env = process.env) => {
+  const disabled = env.AUTH_DISABLED === 'true';
+  const secret = env.AUTH_JWT_SECRET;
+  const publicKey = env.AUTH_JWT_PUBLIC_KEY?.replace(/\\n/g, '\n');
+
+  if (!disabled && !secret && !publicKey) {
+    throw new Error(
+      'Autenticação sem chave: defina AUTH_JWT_SECRET ou AUTH_JWT_PUBLIC_KEY (ou AUTH_DISABLED=true em desenvolvimento).'
+    );
+  }
+
+  const allowedAlgorithms = [
+    ...(secret ? HMAC_ALGORITHMS : []),
+    ...(publicKey ? PUBLIC_KEY_ALGORITHMS : []),
+  ];
+
+  /**
+   * Valida assinatura e claims do token e devolve o usuário.
+   * Lança um erro com a mensagem para o cliente quando o token é inválido.
+   */
+  const verifyToken = (token) => {
+    if (disabled) return DEV_USER;
+    if (!token) throw new Error('Token de autenticação ausente.');
+
+    let decoded;
+    try {
+      decoded = jws.decode(token, { json: true });
+    } catch {
+      decoded = null;
+    }
+    const algorithm = decoded?.header?.alg;
+    if (!decoded || !allowedAlgorithms.includes(algorithm)) {
+      throw new Error('Token de autenticação inválido.');
+    }
+
+    const key = HMAC_ALGORITHMS.includes(algorithm) ? secret : publicKey;
+    if (!jws.verify(token, algorithm, key)) {
+      throw new Error('Token de autenticação inválido.');
+    }
+
+    const claims = typeof decoded.payload === 'object' ? decoded.payload : {};
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.exp !== undefined && now >= claims.exp) {
+      throw new Error('Token de autenticação expirado.');
+    }
+    if (claims.nbf !== undefined && now < claims.nbf) {
+      throw new Error('Token de autenticação ainda não é válido.');
+    }
+    if (env.AUTH_JWT_ISSUER && claims.iss !== env.AUTH_JWT_ISSUER) {
+      throw new Error('Emissor do token não permitido.');
+    }
+    if (env.AUTH_JWT_AUDIENCE) {
+      const audiences = [].concat(claims.aud || []);
+      if (!audiences.includes(env.AUTH_JWT_AUDIENCE)) {
+        throw new Error('Audiência do token não permitida.');
+      }
+    }
+    if (!claims.sub) {
+      throw new Error('Token sem identificação do profissional (sub).');
+    }
+
+    return {
+      clinicianId: String(claims.sub),
+      tenantId: String(claims.tenant || claims.tenantId || claims.sub),
+      roles: Array.isArray(claims.roles) ? claims.roles : [],
+    };
+  };
+
+  return {
+    disabled,
+    verifyToken,
+
+    // Middleware Express: exige "Authorization: Bearer <jwt>" e define `req.user`.
+    httpMiddleware: (req, res, next) => {
+      try {
+        req.user = verifyToken(bearerToken(req.headers.authorization));
+        next();
+      } catch (error) {
+        res.status(401).json({ error: error.message });
+      }
+    },
+
+    // Middleware de handshake do socket.io: token em `auth.token` ou no header.
+    socketMiddleware: (socket, next) => {
+      try {
+        const token =
+          socket.handshake.auth?.token || bearerToken(socket.handshake.headers.authorization);
+        socket.data.user = verifyToken(token);
+        next();
+      } catch (error) {
+        next(new Error(error.message));
+      }
+    },
+  };
+};
+
+/** Dono de um recurso criado pelo usuário autenticado. */
+export const ownerOf = (user) => ({ clinicianId: user.clinicianId, tenantId: user.tenantId });
+
+/** Indica se o recurso pertence ao profissional (e tenant) autenticado. */
+export const isOwner = (resource, user) =>
+  Boolean(
+    resource?.owner &&
+      user &&
+      resource.owner.clinicianId === user.clinicianId &&
+      resource.owner.tenantId === user.tenantId
+  );
+
+/** Indica se o usuário autenticado tem o papel (claim `roles`) informado. */
+export const hasRole = (user, role) => Boolean(user?.roles?.includes(role));
+
+/** Middleware Express que restringe a rota a usuários com o papel informado. */
+export const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({ error: 'Acesso restrito.' });
+  }
+  next();
+};
@@ -0,0 +1,46 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Jobs de transcrição em lote. Estados: transcoding → uploading → recognizing
+ * → structuring → done (ou failed em qualquer etapa). `progress` vai de 0 a 100 e o resultado
+ * fica salvo no job para consulta posterior.
+ */
+export const createBatchJobService = (store, { onUpdate = () => {} } = {}) => ({
+  create: async ({ owner, consultationId = null, fileName }) => {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      owner,
+      consultationId,
+      fileName,
+      state: 'transcoding',
+      progress: 0,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await store.put(job.id, job);
+    onUpdate(job);
+    return job;
+  },
+
+  get: (id) => store.get(id),
+
+  list: () => store.list(),
+
+  remove: (id) => store.remove(id),
+
+  update: async (id, changes) => {
+    const job = await store.update(id, (current) => ({
+      ...current,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    }));
+    if (job) onUpdate(job);
+    return job;
+  },
+});
+
+/** Visão do job devolvida aos clientes (sem os dados de dono). */
+export const toPublicJob = ({ owner, ...job }) => job;
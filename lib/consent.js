@@ -0,0 +1,73 @@
+// Usos do áudio que o paciente pode autorizar
+export const CONSENT_SCOPES = ['recording', 'transcription', 'ai-processing', 'storage'];
+// Mínimo exigido para gravar ou enviar áudio: gravar e transcrever
+export const RECORDING_REQUIRED_SCOPES = ['recording', 'transcription'];
+const GRANTOR_ROLES = ['patient', 'guardian', 'representative'];
+const CONSENT_METHODS = ['verbal', 'written', 'electronic'];
+// Tolerância para relógios adiantados no cliente
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Valida o consentimento informado pelo cliente antes de uma gravação:
+ * `{ grantedBy: { role, name? }, method, scope: [...], grantedAt? }`.
+ * `scope` precisa incluir `requiredScopes`. Retorna a lista de erros por campo.
+ */
+export const validateConsent = (consent, { requiredScopes = RECORDING_REQUIRED_SCOPES } = {}) => {
+  if (!consent || typeof consent !== 'object' || Array.isArray(consent)) {
+    return [{ field: 'consent', message: 'Consentimento do paciente é obrigatório.' }];
+  }
+  const errors = [];
+  const { grantedBy, method, scope, grantedAt } = consent;
+  if (!grantedBy || typeof grantedBy !== 'object' || !GRANTOR_ROLES.includes(grantedBy.role)) {
+    errors.push({ field: 'consent.grantedBy.role', message: `Use um de: ${GRANTOR_ROLES.join(', ')}.` });
+  }
+  if (grantedBy?.name !== undefined && (typeof grantedBy.name !== 'string' || grantedBy.name.length > 200)) {
+    errors.push({ field: 'consent.grantedBy.name', message: 'Deve ser texto com até 200 caracteres.' });
+  }
+  if (!CONSENT_METHODS.includes(method)) {
+    errors.push({ field: 'consent.method', message: `Use um de: ${CONSENT_METHODS.join(', ')}.` });
+  }
+  if (!Array.isArray(scope) || scope.some((item) => !CONSENT_SCOPES.includes(item))) {
+    errors.push({ field: 'consent.scope', message: `Deve ser uma lista com: ${CONSENT_SCOPES.join(', ')}.` });
+  } else {
+    const missing = requiredScopes.filter((item) => !scope.includes(item));
+    if (missing.length > 0) {
+      errors.push({ field: 'consent.scope', message: `Consentimento não cobre: ${missing.join(', ')}.` });
+    }
+  }
+  if (grantedAt !== undefined) {
+    const date = new Date(grantedAt);
+    if (typeof grantedAt !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push({ field: 'consent.grantedAt', message: 'Deve ser uma data ISO 8601.' });
+    } else if (date.getTime() > Date.now() + CLOCK_SKEW_MS) {
+      errors.push({ field: 'consent.grantedAt', message: 'Não pode estar no futuro.' });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Registro do consentimento (já validado) guardado com a gravação: quem
+ * consentiu, como, para quê e quando, e o profissional que o registrou.
+ */
+export const buildConsentRecord = (consent, owner) => {
+  const recordedAt = new Date().toISOString();
+  return {
+    grantedBy: {
+      role: consent.grantedBy.role,
+      ...(consent.grantedBy.name ? { name: consent.grantedBy.name } : {}),
+    },
+    method: consent.method,
+    scope: [...new Set(consent.scope)],
+    grantedAt: consent.grantedAt ? new Date(consent.grantedAt).toISOString() : recordedAt,
+    recordedBy: owner,
+    recordedAt,
+  };
+};
+
+/** Mensagem única com os erros de consentimento (para eventos do socket). */
+export const formatConsentErrors = (errors) =>
+  `Consentimento inválido: ${errors.map(({ field, message }) => `${field}: ${message}`).join('; ')}`;
+
+/** Se o consentimento autoriza enviar os dados da gravação a um modelo de IA. */
+export const allowsAiProcessing = (consent) => Boolean(consent?.scope?.includes('ai-processing'));
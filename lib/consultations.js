@@ -0,0 +1,200 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Campos que podem ser definidos diretamente via API (POST/PATCH).
+const EDITABLE_FIELDS = [
+  'patient',
+  'title',
+  'transcript',
+  'timeline',
+  'summary',
+  'anamnese',
+  'documentSummaries',
+  'entities',
+];
+
+const pickEditable = (data = {}) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => data[field] !== undefined).map((field) => [
+      field,
+      data[field],
+    ])
+  );
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string';
+const isOptionalText = (value) => value === null || isText(value);
+// Data de nascimento em ISO (AAAA-MM-DD), como esperam a exportação e o FHIR
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const isIsoDate = (value) => DATE_ONLY.test(value) && !Number.isNaN(new Date(value).getTime());
+
+// Erros de uma lista em que cada item é validado por `check` (que devolve a mensagem ou null)
+const listErrors = (field, value, check) => {
+  if (!Array.isArray(value)) return [{ field, message: 'Deve ser uma lista.' }];
+  return value.flatMap((item, index) => {
+    const message = check(item);
+    return message ? [{ field: `${field}[${index}]`, message }] : [];
+  });
+};
+
+const FIELD_CHECKS = {
+  patient: (value) => {
+    if (value === null || isText(value)) return [];
+    if (!isPlainObject(value)) return [{ field: 'patient', message: 'Deve ser texto ou objeto.' }];
+    const errors = ['name', 'document', 'birthDate']
+      .filter((key) => value[key] !== undefined && !isOptionalText(value[key]))
+      .map((key) => ({ field: `patient.${key}`, message: 'Deve ser texto.' }));
+    if (isText(value.birthDate) && !isIsoDate(value.birthDate)) {
+      errors.push({ field: 'patient.birthDate', message: 'Use o formato AAAA-MM-DD.' });
+    }
+    return errors;
+  },
+  title: (value) => (isOptionalText(value) ? [] : [{ field: 'title', message: 'Deve ser texto.' }]),
+  summary: (value) => (isOptionalText(value) ? [] : [{ field: 'summary', message: 'Deve ser texto.' }]),
+  anamnese: (value) => (isOptionalText(value) ? [] : [{ field: 'anamnese', message: 'Deve ser texto.' }]),
+  transcript: (value) =>
+    listErrors('transcript', value, (segment) => {
+      if (!isPlainObject(segment)) return 'Cada fala deve ser um objeto.';
+      if (!isText(segment.text)) return 'Campo "text" deve ser texto.';
+      const badTime = ['startMs', 'endMs'].find(
+        (key) => segment[key] !== undefined && !Number.isFinite(segment[key])
+      );
+      return badTime ? `Campo "${badTime}" deve ser número.` : null;
+    }),
+  timeline: (value) => listErrors('timeline', value, (item) => (isText(item) ? null : 'Deve ser texto.')),
+  documentSummaries: (value) =>
+    listErrors('documentSummaries', value, (item) => {
+      if (!isPlainObject(item)) return 'Cada resumo deve ser um objeto.';
+      if (!isText(item.fileName)) return 'Campo "fileName" deve ser texto.';
+      const { summary } = item;
+      return isText(summary) || (Array.isArray(summary) && summary.every(isText))
+        ? null
+        : 'Campo "summary" deve ser texto ou lista de textos.';
+    }),
+  entities: (value) =>
+    value === null || isPlainObject(value) ? [] : [{ field: 'entities', message: 'Deve ser um objeto.' }],
+};
+
+/**
+ * Valida os campos editáveis enviados no POST/PATCH: formatos que o resto do
+ * servidor (transcrição, resumos, FHIR) espera. Retorna os erros por campo.
+ */
+export const validateConsultation = (data) => {
+  if (!isPlainObject(data)) return [{ field: '(corpo)', message: 'Deve ser um objeto JSON.' }];
+  return EDITABLE_FIELDS.filter((field) => data[field] !== undefined).flatMap((field) =>
+    FIELD_CHECKS[field](data[field])
+  );
+};
+
+/**
+ * Serviço de consultas (encontros clínicos): liga gravações, transcrição,
+ * timeline e documentos gerados em um único registro persistido.
+ */
+export const createConsultationService = (store) => {
+  const touch = (consultation, changes) => ({
+    ...consultation,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  });
+
+  return {
+    create: async (data, owner) => {
+      const now = new Date().toISOString();
+      const consultation = {
+        id: uuidv4(),
+        patient: null,
+        title: null,
+        audio: [],
+        transcript: [],
+        timeline: [],
+        summary: null,
+        anamnese: null,
+        documentSummaries: [],
+        entities: null,
+        generatedWith: {},
+        ...pickEditable(data),
+        owner,
+        createdAt: now,
+        updatedAt: now,
+      };
+      return store.put(consultation.id, consultation);
+    },
+
+    get: (id) => store.get(id),
+
+    /** Lista as consultas de um dono (`{ clinicianId, tenantId }`). */
+    list: async (owner) => {
+      const consultations = (await store.list()).filter(
+        (consultation) =>
+          consultation.owner?.clinicianId === owner.clinicianId &&
+          consultation.owner?.tenantId === owner.tenantId
+      );
+      return consultations.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    /** Lista as consultas de todos os profissionais de um tenant. */
+    listByTenant: async (tenantId) =>
+      (await store.list()).filter((consultation) => consultation.owner?.tenantId === tenantId),
+
+    remove: (id) => store.remove(id),
+
+    /** Atualiza apenas os campos editáveis presentes em `data`. */
+    update: (id, data) => store.update(id, (current) => touch(current, pickEditable(data))),
+
+    /**
+     * Grava campos gerados por IA e registra em `generatedWith[campo]` o
+     * template de prompt (`{ name, version, locale }`) que os produziu.
+     */
+    recordGenerated: (id, data, promptTemplate) =>
+      store.update(id, (current) => {
+        const changes = pickEditable(data);
+        const generatedAt = new Date().toISOString();
+        return touch(current, {
+          ...changes,
+          generatedWith: {
+            ...current.generatedWith,
+            ...Object.fromEntries(
+              Object.keys(changes).map((field) => [field, { ...promptTemplate, generatedAt }])
+            ),
+          },
+        });
+      }),
+
+    removeAudio: (id, recordingId) =>
+      store.update(id, (current) =>
+        touch(current, { audio: current.audio.filter((item) => item.recordingId !== recordingId) })
+      ),
+
+    addAudio: (id, audio) =>
+      store.update(id, (current) =>
+        touch(current, {
+          audio: [
+            ...current.audio.filter((item) => item.recordingId !== audio.recordingId),
+            audio,
+          ],
+        })
+      ),
+
+    /**
+     * Insere um segmento de uma sessão ao vivo, substituindo o que tiver o mesmo
+     * `sessionId`/`seq` (ex.: parcial forçado trocado pelo final).
+     */
+    upsertTranscriptSegment: (id, segment) =>
+      store.update(id, (current) => {
+        const index = current.transcript.findIndex(
+          (item) => item.sessionId === segment.sessionId && item.seq === segment.seq
+        );
+        const transcript =
+          index === -1
+            ? [...current.transcript, segment]
+            : current.transcript.map((item, i) => (i === index ? segment : item));
+        return touch(current, { transcript });
+      }),
+
+    addDocumentSummaries: (id, summaries) =>
+      store.update(id, (current) =>
+        touch(current, {
+          documentSummaries: [...current.documentSummaries, ...summaries],
+        })
+      ),
+  };
+};
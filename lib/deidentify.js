@@ -0,0 +1,134 @@
+import { v4 as uuidv4 } from 'uuid';
+
+import { replacePhi } from './phi.js';
+
+const TOKEN_LABELS = {
+  name: 'NOME',
+  cpf: 'CPF',
+  phone: 'TELEFONE',
+  email: 'EMAIL',
+  date: 'DATA',
+  address: 'ENDERECO',
+};
+const TOKEN_PATTERN = /\[(?:NOME|CPF|TELEFONE|EMAIL|DATA|ENDERECO)_\d+\]/g;
+const MAX_TEXT_LENGTH = 200_000;
+const MAX_SEGMENTS = 5_000;
+const MAX_KNOWN_NAMES = 50;
+
+// Mesma pessoa/valor escrito de formas diferentes recebe o mesmo pseudônimo
+const normalizeValue = (type, value) =>
+  type === 'cpf' || type === 'phone'
+    ? value.replace(/\D/g, '')
+    : value
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+
+/**
+ * Valida o corpo de `/api/deidentify`: exatamente uma fonte (`text`,
+ * `transcription` ou `consultationId`), `knownNames` opcional e `mappingId`
+ * para continuar um mapeamento existente. Retorna a lista de erros por campo.
+ */
+export const validateDeidentifyRequest = (body) => {
+  const errors = [];
+  const sources = ['text', 'transcription', 'consultationId'].filter((field) => body[field] !== undefined);
+  if (sources.length !== 1) {
+    errors.push({ field: 'text', message: 'Informe exatamente um de: text, transcription, consultationId.' });
+  }
+  if (body.text !== undefined && (typeof body.text !== 'string' || body.text.length > MAX_TEXT_LENGTH)) {
+    errors.push({ field: 'text', message: `Deve ser texto com até ${MAX_TEXT_LENGTH} caracteres.` });
+  }
+  if (body.transcription !== undefined) {
+    if (!Array.isArray(body.transcription) || body.transcription.length > MAX_SEGMENTS) {
+      errors.push({ field: 'transcription', message: `Deve ser um array com até ${MAX_SEGMENTS} segmentos.` });
+    } else {
+      body.transcription.forEach((segment, index) => {
+        if (typeof segment?.text !== 'string') {
+          errors.push({ field: `transcription[${index}].text`, message: 'Deve ser texto.' });
+        }
+      });
+    }
+  }
+  if (body.consultationId !== undefined && typeof body.consultationId !== 'string') {
+    errors.push({ field: 'consultationId', message: 'Deve ser texto.' });
+  }
+  if (
+    body.knownNames !== undefined &&
+    (!Array.isArray(body.knownNames) ||
+      body.knownNames.length > MAX_KNOWN_NAMES ||
+      body.knownNames.some((name) => typeof name !== 'string'))
+  ) {
+    errors.push({ field: 'knownNames', message: `Deve ser uma lista com até ${MAX_KNOWN_NAMES} nomes.` });
+  }
+  if (body.mappingId !== undefined && typeof body.mappingId !== 'string') {
+    errors.push({ field: 'mappingId', message: 'Deve ser texto.' });
+  }
+  return errors;
+};
+
+/**
+ * Troca dados pessoais por pseudônimos consistentes (`[NOME_1]`, `[CPF_1]`...):
+ * o mesmo valor sempre recebe o mesmo token, inclusive entre chamadas que
+ * partem do mesmo `mapping` (`[{ token, type, value }]`).
+ */
+export const createPseudonymizer = (mapping = []) => {
+  const entries = mapping.map((entry) => ({ ...entry }));
+  const byValue = new Map(entries.map((entry) => [`${entry.type}:${normalizeValue(entry.type, entry.value)}`, entry]));
+
+  // Partes de um nome conhecido ("Rosa") usam o token do nome completo
+  const tokenFor = ({ type, value: found, knownName }) => {
+    const value = knownName ?? found;
+    const key = `${type}:${normalizeValue(type, value)}`;
+    if (!byValue.has(key)) {
+      const count = entries.filter((entry) => entry.type === type).length + 1;
+      const entry = { token: `[${TOKEN_LABELS[type]}_${count}]`, type, value };
+      entries.push(entry);
+      byValue.set(key, entry);
+    }
+    return byValue.get(key).token;
+  };
+
+  return {
+    pseudonymize: (text, options) => replacePhi(text, tokenFor, options),
+    mapping: () => entries,
+  };
+};
+
+/** Desfaz a pseudonimização: troca os tokens conhecidos pelos valores originais. */
+export const reidentify = (text, mapping) => {
+  const values = new Map(mapping.map((entry) => [entry.token, entry.value]));
+  return text.replace(TOKEN_PATTERN, (token) => values.get(token) ?? token);
+};
+
+/** Quantos valores distintos de cada tipo o mapeamento contém. */
+export const summarizeMapping = (mapping) =>
+  mapping.reduce((summary, { type }) => ({ ...summary, [type]: (summary[type] || 0) + 1 }), {});
+
+/**
+ * Mapeamentos de pseudonimização guardados no servidor (o cliente só recebe
+ * o ID), para reidentificar textos depois, apenas pelo dono.
+ */
+export const createDeidentificationService = (store) => ({
+  create: ({ owner, mapping, consultationId = null }) => {
+    const now = new Date().toISOString();
+    const id = uuidv4();
+    return store.put(id, { id, owner, consultationId, mapping, createdAt: now, updatedAt: now });
+  },
+
+  get: (id) => store.get(id),
+
+  list: () => store.list(),
+
+  // Um mapeamento sem consulta passa a ser da consulta usada na atualização
+  updateMapping: (id, mapping, { consultationId = null } = {}) =>
+    store.update(id, (current) => ({
+      ...current,
+      consultationId: current.consultationId ?? consultationId,
+      mapping,
+      updatedAt: new Date().toISOString(),
+    })),
+
+  remove: (record) => store.remove(record.id),
+});
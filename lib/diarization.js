@@ -0,0 +1,103 @@
+import { buildTimedSegment, toTimedWords } from './transcript-timing.js';
+
+const SENTENCE_END = /[.?!…]$/;
+
+/**
+ * Seleciona a lista de palavras com `speakerTag` de uma resposta do
+ * `longRunningRecognize`. Com diarização, a Speech API repete no último
+ * resultado todas as palavras da gravação já com o locutor; os resultados
+ * anteriores trazem `speakerTag` 0. Sem esse resultado agregado, usa as
+ * palavras de cada resultado.
+ */
+export const collectDiarizedWords = (results = []) => {
+  const withWords = results.filter((result) => result.alternatives?.[0]?.words?.length);
+  const last = withWords[withWords.length - 1];
+  const lastWords = last?.alternatives[0].words || [];
+
+  if (withWords.length > 1 && lastWords.every((word) => word.speakerTag)) {
+    return lastWords;
+  }
+  return withWords.flatMap((result) => result.alternatives[0].words);
+};
+
+// Agrupa palavras consecutivas do mesmo locutor.
+const groupRuns = (words) =>
+  words.reduce((runs, word) => {
+    const current = runs[runs.length - 1];
+    if (current && current.speakerTag === word.speakerTag) current.words.push(word);
+    else runs.push({ speakerTag: word.speakerTag, words: [word] });
+    return runs;
+  }, []);
+
+/**
+ * Um trecho curto de outro locutor no meio de uma fala é tratado como ruído de
+ * diarização, a não ser que seja uma interjeição completa (ex.: "Sim." entre
+ * duas frases), caso em que vira um segmento próprio.
+ */
+const isFlicker = (run, previous, next, { maxFlickerWords, maxFlickerMs }) => {
+  if (!previous || !next || previous.speakerTag !== next.speakerTag) return false;
+  const first = run.words[0];
+  const last = run.words[run.words.length - 1];
+  if (run.words.length > maxFlickerWords || last.endMs - first.startMs > maxFlickerMs) {
+    return false;
+  }
+  const previousWord = previous.words[previous.words.length - 1].word;
+  const isInterjection = SENTENCE_END.test(previousWord) && SENTENCE_END.test(last.word);
+  return !isInterjection;
+};
+
+const absorbFlickers = (runs, options) => {
+  const merged = [];
+  runs.forEach((run, index) => {
+    const previous = merged[merged.length - 1];
+    if (isFlicker(run, previous, runs[index + 1], options)) {
+      previous.words.push(...run.words);
+      return;
+    }
+    if (previous && previous.speakerTag === run.speakerTag) {
+      previous.words.push(...run.words);
+      return;
+    }
+    merged.push({ speakerTag: run.speakerTag, words: [...run.words] });
+  });
+  return merged;
+};
+
+const averageConfidence = (words) => {
+  const scored = words.filter((word) => word.confidence);
+  if (scored.length === 0) return undefined;
+  return scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length;
+};
+
+/**
+ * Reconstrói os turnos de fala de uma resposta do `longRunningRecognize` a
+ * partir dos `speakerTag` por palavra, dividindo resultados em que o locutor
+ * muda no meio. Segmentos que começam antes do fim do anterior recebem
+ * `overlap: true`.
+ */
+export const buildSpeakerTurns = (
+  results,
+  { maxFlickerWords = 1, maxFlickerMs = 800 } = {}
+) => {
+  const words = toTimedWords(collectDiarizedWords(results))
+    .map((word, index) => ({ ...word, index }))
+    .sort((a, b) => a.startMs - b.startMs || a.index - b.index)
+    .map(({ index, ...word }) => word);
+  if (words.length === 0) return [];
+
+  const turns = absorbFlickers(groupRuns(words), { maxFlickerWords, maxFlickerMs });
+
+  return turns.map((turn, index) => {
+    const segment = buildTimedSegment({
+      text: turn.words.map((word) => word.word).join(' '),
+      speakerTag: turn.speakerTag,
+      words: turn.words,
+      confidence: averageConfidence(turn.words),
+    });
+    const previous = turns[index - 1];
+    if (previous && segment.startMs < previous.words[previous.words.length - 1].endMs) {
+      segment.overlap = true;
+    }
+    return segment;
+  });
+};
@@ -0,0 +1,464 @@
+import PDFDocument from 'pdfkit';
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  PageNumber,
+  Paragraph,
+  TextRun,
+} from 'docx';
+
+import { DEFAULT_LOCALE, matchLocale } from './prompt-registry.js';
+
+export const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx',
+  },
+};
+
+// Campos da consulta que podem ser exportados
+export const EXPORTABLE_FIELDS = ['anamnese', 'summary'];
+
+const MAX_HTML_LENGTH = 100 * 1024;
+const MAX_TEXT_LENGTH = 200;
+const MAX_LETTERHEAD_LINES = 6;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const BR_DATE = /^(\d{2})\/(\d{2})\/(\d{4})$/;
+
+const LABELS = {
+  'pt-BR': {
+    patient: 'Paciente',
+    birthDate: 'Nascimento',
+    document: 'Documento',
+    date: 'Data',
+    page: 'Página',
+    anamnese: 'Anamnese',
+    summary: 'Resumo da consulta',
+  },
+  'en-US': {
+    patient: 'Patient',
+    birthDate: 'Date of birth',
+    document: 'ID',
+    date: 'Date',
+    page: 'Page',
+    anamnese: 'Medical history',
+    summary: 'Consultation summary',
+  },
+  es: {
+    patient: 'Paciente',
+    birthDate: 'Nacimiento',
+    document: 'Documento',
+    date: 'Fecha',
+    page: 'Página',
+    anamnese: 'Anamnesis',
+    summary: 'Resumen de la consulta',
+  },
+};
+
+const isText = (value, maxLength = MAX_TEXT_LENGTH) =>
+  typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Valida o corpo de um pedido de exportação. O conteúdo vem de `html` ou de
+ * um campo (`field`) de uma consulta (`consultationId`). Retorna uma lista de
+ * `{ field, message }`.
+ */
+export const validateExportRequest = (body) => {
+  const errors = [];
+  if (!(body.format in EXPORT_FORMATS)) {
+    errors.push({ field: 'format', message: `Use um de: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+  }
+
+  if ((body.html === undefined) === (body.consultationId === undefined)) {
+    errors.push({ field: 'html', message: 'Informe "html" ou "consultationId" (apenas um).' });
+  } else if (body.html !== undefined && !isText(body.html, MAX_HTML_LENGTH)) {
+    errors.push({ field: 'html', message: 'Deve ser um texto não vazio de até 100 KB.' });
+  } else if (body.consultationId !== undefined && typeof body.consultationId !== 'string') {
+    errors.push({ field: 'consultationId', message: 'Deve ser um texto.' });
+  }
+  if (body.field !== undefined && !EXPORTABLE_FIELDS.includes(body.field)) {
+    errors.push({ field: 'field', message: `Use um de: ${EXPORTABLE_FIELDS.join(', ')}.` });
+  }
+  if (body.title !== undefined && !isText(body.title)) {
+    errors.push({ field: 'title', message: 'Deve ser um texto de até 200 caracteres.' });
+  }
+
+  if (!isObject(body.clinician)) {
+    errors.push({ field: 'clinician', message: 'Obrigatório: { name, crm, crmState? }.' });
+  } else {
+    if (!isText(body.clinician.name)) {
+      errors.push({ field: 'clinician.name', message: 'Obrigatório, até 200 caracteres.' });
+    }
+    if (!isText(body.clinician.crm, 30)) {
+      errors.push({ field: 'clinician.crm', message: 'Obrigatório, até 30 caracteres.' });
+    }
+    if (body.clinician.crmState !== undefined && !/^[A-Za-z]{2}$/.test(body.clinician.crmState)) {
+      errors.push({ field: 'clinician.crmState', message: 'Deve ser a sigla da UF (ex.: SP).' });
+    }
+  }
+
+  if (body.letterhead !== undefined) {
+    if (!isObject(body.letterhead) || !isText(body.letterhead.name)) {
+      errors.push({ field: 'letterhead.name', message: 'Obrigatório, até 200 caracteres.' });
+    } else if (
+      body.letterhead.lines !== undefined &&
+      (!Array.isArray(body.letterhead.lines) ||
+        body.letterhead.lines.length > MAX_LETTERHEAD_LINES ||
+        !body.letterhead.lines.every((line) => isText(line)))
+    ) {
+      errors.push({
+        field: 'letterhead.lines',
+        message: `Deve ser um array de até ${MAX_LETTERHEAD_LINES} linhas (até 200 caracteres cada).`,
+      });
+    }
+  }
+
+  if (body.patient !== undefined) {
+    if (!isObject(body.patient) || !isText(body.patient.name)) {
+      errors.push({ field: 'patient.name', message: 'Obrigatório, até 200 caracteres.' });
+    } else {
+      if (body.patient.document !== undefined && !isText(body.patient.document, 50)) {
+        errors.push({ field: 'patient.document', message: 'Deve ser um texto de até 50 caracteres.' });
+      }
+      if (body.patient.birthDate !== undefined && !DATE_ONLY.test(body.patient.birthDate)) {
+        errors.push({ field: 'patient.birthDate', message: 'Use o formato AAAA-MM-DD.' });
+      }
+    }
+  }
+  if (body.date !== undefined && !DATE_ONLY.test(body.date)) {
+    errors.push({ field: 'date', message: 'Use o formato AAAA-MM-DD.' });
+  }
+  return errors;
+};
+
+// Data AAAA-MM-DD por extenso; um valor que não é data sai como veio
+const formatDate = (date, locale) => {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime())) return String(date);
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(parsed);
+};
+
+/**
+ * Paciente da consulta no formato do pedido de exportação (`{ name,
+ * document?, birthDate? }`), ou `null` sem nome. Consultas gravadas antes da
+ * validação podem ter a data de nascimento em DD/MM/AAAA: ela é convertida
+ * para AAAA-MM-DD.
+ */
+export const patientFromConsultation = (patient) => {
+  if (typeof patient === 'string') return { name: patient };
+  if (typeof patient?.name !== 'string') return null;
+  const brDate = typeof patient.birthDate === 'string' && patient.birthDate.trim().match(BR_DATE);
+  return brDate ? { ...patient, birthDate: `${brDate[3]}-${brDate[2]}-${brDate[1]}` } : patient;
+};
+
+const registrationOf = ({ crm, crmState }) => `CRM ${crm}${crmState ? `/${crmState.toUpperCase()}` : ''}`;
+
+/**
+ * Monta o documento a exportar: título, blocos do conteúdo (ver
+ * `htmlToBlocks`), timbre, profissional, paciente e data já formatados no
+ * idioma pedido.
+ */
+export const buildExportDocument = ({ blocks, title, field, letterhead, clinician, patient, date, locale }) => {
+  const documentLocale = matchLocale(locale) || DEFAULT_LOCALE;
+  const labels = LABELS[documentLocale];
+  const day = date || new Date().toISOString().slice(0, 10);
+  return {
+    title: title || labels[field] || labels.anamnese,
+    blocks,
+    letterhead: letterhead ? { name: letterhead.name, lines: letterhead.lines || [] } : null,
+    clinician: { name: clinician.name, registration: registrationOf(clinician) },
+    identification: [
+      ...(patient
+        ? [
+            `${labels.patient}: ${patient.name}`,
+            ...(patient.birthDate
+              ? [`${labels.birthDate}: ${formatDate(patient.birthDate, documentLocale)}`]
+              : []),
+            ...(patient.document ? [`${labels.document}: ${patient.document}`] : []),
+          ]
+        : []),
+      `${labels.date}: ${formatDate(day, documentLocale)}`,
+    ],
+    labels,
+    locale: documentLocale,
+  };
+};
+
+// --- PDF ---
+
+const PDF_MARGIN = 56;
+const PDF_FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique',
+};
+const PDF_HEADING_SIZES = { 1: 16, 2: 14, 3: 12, 4: 11 };
+const PDF_LIST_INDENT = 18;
+
+const pdfFont = ({ bold, italic }) =>
+  PDF_FONTS[bold && italic ? 'boldItalic' : bold ? 'bold' : italic ? 'italic' : 'regular'];
+
+// Escreve os trechos em sequência (`continued`), trocando a fonte de cada um.
+const writePdfRuns = (pdf, runs, { x, width, size = 11, bold = false }) => {
+  pdf.fontSize(size);
+  runs.forEach((run, index) => {
+    const options = { width, continued: index < runs.length - 1, underline: Boolean(run.underline) };
+    pdf.font(pdfFont({ ...run, bold: bold || run.bold }));
+    if (index === 0) {
+      pdf.text(run.text, x, pdf.y, options);
+    } else {
+      pdf.text(run.text, options);
+    }
+  });
+};
+
+/** Renderiza o documento em PDF (A4, fontes padrão do PDF). Retorna um Buffer. */
+export const renderPdf = (document) =>
+  new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: 'A4',
+      margin: PDF_MARGIN,
+      bufferPages: true,
+      info: { Title: document.title, Author: document.clinician.name },
+    });
+    const chunks = [];
+    pdf.on('data', (chunk) => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const left = PDF_MARGIN;
+    const width = pdf.page.width - PDF_MARGIN * 2;
+    const rule = () => {
+      pdf.moveTo(left, pdf.y).lineTo(left + width, pdf.y).lineWidth(0.5).strokeColor('#999999').stroke();
+    };
+
+    if (document.letterhead) {
+      pdf
+        .font(PDF_FONTS.bold)
+        .fontSize(14)
+        .fillColor('#000000')
+        .text(document.letterhead.name, left, pdf.y, { width, align: 'center' });
+      pdf.font(PDF_FONTS.regular).fontSize(9).fillColor('#444444');
+      document.letterhead.lines.forEach((line) => pdf.text(line, { width, align: 'center' }));
+      pdf.moveDown(0.5);
+      rule();
+      pdf.moveDown(1);
+    }
+
+    pdf
+      .font(PDF_FONTS.bold)
+      .fontSize(15)
+      .fillColor('#000000')
+      .text(document.title, left, pdf.y, { width, align: 'center' });
+    pdf.moveDown(0.8);
+    pdf.font(PDF_FONTS.regular).fontSize(10);
+    document.identification.forEach((line) => pdf.text(line, left, pdf.y, { width }));
+    pdf.moveDown(0.5);
+    rule();
+    pdf.moveDown(1);
+
+    document.blocks.forEach((block) => {
+      if (block.type === 'heading') {
+        pdf.moveDown(0.4);
+        writePdfRuns(pdf, block.runs, { x: left, width, size: PDF_HEADING_SIZES[block.level], bold: true });
+        pdf.moveDown(0.3);
+      } else if (block.type === 'list') {
+        const counters = [];
+        block.items.forEach(({ level, ordered, runs }) => {
+          counters[level] = (counters[level] || 0) + 1;
+          counters.length = level + 1;
+          const marker = ordered ? `${counters[level]}. ` : '• ';
+          const x = left + PDF_LIST_INDENT * (level + 1);
+          writePdfRuns(pdf, [{ text: marker }, ...runs], { x, width: width - (x - left) });
+        });
+        pdf.moveDown(0.5);
+      } else {
+        writePdfRuns(pdf, block.runs, { x: left, width });
+        pdf.moveDown(0.5);
+      }
+    });
+
+    // Assinatura
+    pdf.moveDown(3);
+    const signatureWidth = 240;
+    const signatureX = left + (width - signatureWidth) / 2;
+    pdf
+      .moveTo(signatureX, pdf.y)
+      .lineTo(signatureX + signatureWidth, pdf.y)
+      .lineWidth(0.5)
+      .strokeColor('#000000')
+      .stroke();
+    pdf.moveDown(0.3);
+    pdf
+      .font(PDF_FONTS.bold)
+      .fontSize(11)
+      .fillColor('#000000')
+      .text(document.clinician.name, left, pdf.y, { width, align: 'center' });
+    pdf.font(PDF_FONTS.regular).fontSize(10).text(document.clinician.registration, { width, align: 'center' });
+
+    // Numeração de páginas no rodapé (fora da margem, sem criar página nova)
+    const { start, count } = pdf.bufferedPageRange();
+    for (let index = start; index < start + count; index += 1) {
+      pdf.switchToPage(index);
+      const bottom = pdf.page.margins.bottom;
+      pdf.page.margins.bottom = 0;
+      pdf.font(PDF_FONTS.regular).fontSize(8).fillColor('#666666').text(
+        `${document.labels.page} ${index + 1}/${count}`,
+        left,
+        pdf.page.height - PDF_MARGIN / 2 - 8,
+        { width, align: 'center', lineBreak: false }
+      );
+      pdf.page.margins.bottom = bottom;
+    }
+    pdf.end();
+  });
+
+// --- DOCX ---
+
+const DOCX_HEADINGS = {
+  1: HeadingLevel.HEADING_1,
+  2: HeadingLevel.HEADING_2,
+  3: HeadingLevel.HEADING_3,
+  4: HeadingLevel.HEADING_4,
+};
+const ORDERED_LIST = 'ordered-list';
+
+// Quebras de linha (<br>) viram `break` dentro do mesmo parágrafo
+const docxRuns = (runs) =>
+  runs.flatMap((run) =>
+    run.text.split('\n').map(
+      (part, index) =>
+        new TextRun({
+          text: part,
+          bold: run.bold,
+          italics: run.italic,
+          ...(run.underline ? { underline: {} } : {}),
+          ...(index > 0 ? { break: 1 } : {}),
+        })
+    )
+  );
+
+/** Renderiza o documento em DOCX (timbre no cabeçalho de cada página). Retorna um Buffer. */
+export const renderDocx = async (document) => {
+  let orderedLists = 0;
+  const children = [
+    new Paragraph({
+      heading: HeadingLevel.TITLE,
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun(document.title)],
+    }),
+    ...document.identification.map((line) => new Paragraph({ children: [new TextRun({ text: line, size: 20 })] })),
+    new Paragraph({
+      border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: '999999', space: 4 } },
+      children: [],
+    }),
+    ...document.blocks.flatMap((block) => {
+      if (block.type === 'heading') {
+        return [new Paragraph({ heading: DOCX_HEADINGS[block.level], children: docxRuns(block.runs) })];
+      }
+      if (block.type === 'list') {
+        // Cada lista numerada recomeça do 1
+        const instance = (orderedLists += 1);
+        return block.items.map(
+          ({ level, ordered, runs }) =>
+            new Paragraph({
+              ...(ordered
+                ? { numbering: { reference: ORDERED_LIST, level: Math.min(level, 3), instance } }
+                : { bullet: { level: Math.min(level, 3) } }),
+              children: docxRuns(runs),
+            })
+        );
+      }
+      return [new Paragraph({ children: docxRuns(block.runs) })];
+    }),
+    // Assinatura
+    new Paragraph({
+      spacing: { before: 960 },
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun('______________________________')],
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: document.clinician.name, bold: true })],
+    }),
+    new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun(document.clinician.registration)] }),
+  ];
+
+  const doc = new Document({
+    creator: document.clinician.name,
+    title: document.title,
+    numbering: {
+      config: [
+        {
+          reference: ORDERED_LIST,
+          levels: [0, 1, 2, 3].map((level) => ({
+            level,
+            format: LevelFormat.DECIMAL,
+            text: `%${level + 1}.`,
+            alignment: AlignmentType.START,
+            style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+          })),
+        },
+      ],
+    },
+    sections: [
+      {
+        headers: document.letterhead
+          ? {
+              default: new Header({
+                children: [
+                  new Paragraph({
+                    alignment: AlignmentType.CENTER,
+                    children: [new TextRun({ text: document.letterhead.name, bold: true, size: 28 })],
+                  }),
+                  ...document.letterhead.lines.map(
+                    (line) =>
+                      new Paragraph({
+                        alignment: AlignmentType.CENTER,
+                        children: [new TextRun({ text: line, size: 18, color: '444444' })],
+                      })
+                  ),
+                  new Paragraph({
+                    border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: '999999', space: 4 } },
+                    children: [],
+                  }),
+                ],
+              }),
+            }
+          : undefined,
+        footers: {
+          default: new Footer({
+            children: [
+              new Paragraph({
+                alignment: AlignmentType.CENTER,
+                children: [
+                  new TextRun({
+                    size: 16,
+                    color: '666666',
+                    children: [`${document.labels.page} `, PageNumber.CURRENT, '/', PageNumber.TOTAL_PAGES],
+                  }),
+                ],
+              }),
+            ],
+          }),
+        },
+        children,
+      },
+    ],
+  });
+  return Packer.toBuffer(doc);
+};
+
+/** Renderiza no formato pedido (`pdf` ou `docx`). */
+export const renderExport = (format, document) =>
+  format === 'docx' ? renderDocx(document) : renderPdf(document);
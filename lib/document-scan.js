@@ -0,0 +1,33 @@
+import { log } from './log.js';
+
+/**
+ * Verificação de malware dos documentos enviados. Com `url`
+ * (DOCUMENT_SCAN_URL), o arquivo é enviado por POST (corpo binário) a um
+ * serviço de varredura que responde `{ clean: boolean, threat?: string }`.
+ * Sem `url`, a verificação está desativada e todo arquivo é aceito.
+ *
+ * `scan` retorna `{ clean, threat }`; erros de rede, timeout ou resposta
+ * inválida são lançados para que o upload seja recusado (falha fechada).
+ */
+export const createDocumentScanner = ({ url, timeoutMs = 30_000 } = {}) => ({
+  enabled: Boolean(url),
+
+  scan: async (buffer, { contentType }) => {
+    if (!url) return { clean: true, threat: null };
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType || 'application/octet-stream' },
+      body: buffer,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Serviço de varredura respondeu ${response.status}`);
+    }
+    const result = await response.json();
+    if (typeof result?.clean !== 'boolean') {
+      throw new Error('Resposta do serviço de varredura sem o campo "clean".');
+    }
+    if (!result.clean) log('Storage', `Documento recusado pela varredura: ${result.threat || 'ameaça não informada'}`);
+    return { clean: result.clean, threat: typeof result.threat === 'string' ? result.threat : null };
+  },
+});
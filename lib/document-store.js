@@ -0,0 +1,71 @@
+const ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Armazena documentos JSON (um objeto por arquivo) no provider de storage,
+ * em `<bucket>/<prefix>/<id>.json`.
+ */
+export const createDocumentStore = ({ storage, bucket, prefix }) => {
+  const key = (id) => {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new Error(`ID de documento inválido: ${id}`);
+    }
+    return `${prefix}/${id}.json`;
+  };
+
+  const readJson = async (name) =>
+    JSON.parse((await storage.read(bucket, name)).toString('utf8'));
+
+  // Fila de escrita por ID: serializa os read-modify-write do mesmo documento.
+  const queues = new Map();
+
+  const store = {
+    get: async (id) => {
+      if (!ID_PATTERN.test(String(id))) return null;
+      const name = key(id);
+      if (!(await storage.exists(bucket, name))) return null;
+      return readJson(name);
+    },
+
+    put: async (id, doc) => {
+      await storage.save(bucket, key(id), Buffer.from(JSON.stringify(doc, null, 2)), {
+        contentType: 'application/json',
+      });
+      return doc;
+    },
+
+    remove: async (id) => {
+      if (!ID_PATTERN.test(String(id))) return false;
+      const name = key(id);
+      if (!(await storage.exists(bucket, name))) return false;
+      await storage.delete(bucket, name);
+      return true;
+    },
+
+    list: async () => {
+      const names = await storage.list(bucket, `${prefix}/`);
+      return Promise.all(names.filter((name) => name.endsWith('.json')).map(readJson));
+    },
+
+    /**
+     * Aplica `fn` ao documento atual e grava o resultado. Retorna `null` se o
+     * documento não existir.
+     */
+    update: (id, fn) => {
+      const previous = queues.get(id) || Promise.resolve();
+      const next = previous
+        .catch(() => {})
+        .then(async () => {
+          const current = await store.get(id);
+          if (!current) return null;
+          return store.put(id, await fn(current));
+        });
+      queues.set(id, next);
+      next.finally(() => {
+        if (queues.get(id) === next) queues.delete(id);
+      }).catch(() => {});
+      return next;
+    },
+  };
+
+  return store;
+};
@@ -0,0 +1,190 @@
+import { v4 as uuidv4 } from 'uuid';
+
+import { sanitizeHtml } from './html-sanitize.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const MAX_SECTIONS = 30;
+const MAX_FIELDS_PER_SECTION = 50;
+const SECTION_KEY = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+const isNonEmptyString = (value, maxLength = MAX_NAME_LENGTH) =>
+  typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+const validateFieldList = (value, field, errors) => {
+  if (value === undefined) return;
+  if (
+    !Array.isArray(value) ||
+    value.length > MAX_FIELDS_PER_SECTION ||
+    !value.every((name) => isNonEmptyString(name))
+  ) {
+    errors.push({
+      field,
+      message: `Deve ser um array de até ${MAX_FIELDS_PER_SECTION} nomes (até ${MAX_NAME_LENGTH} caracteres cada).`,
+    });
+  }
+};
+
+const validateSections = (sections, errors) => {
+  if (!Array.isArray(sections) || sections.length === 0 || sections.length > MAX_SECTIONS) {
+    errors.push({ field: 'sections', message: `Deve ser um array de 1 a ${MAX_SECTIONS} seções.` });
+    return;
+  }
+  const seen = new Set();
+  sections.forEach((section, index) => {
+    const prefix = `sections[${index}]`;
+    if (!section || typeof section !== 'object') {
+      errors.push({ field: prefix, message: 'Deve ser um objeto.' });
+      return;
+    }
+    if (typeof section.key !== 'string' || !SECTION_KEY.test(section.key)) {
+      errors.push({
+        field: `${prefix}.key`,
+        message: 'Obrigatório: letras minúsculas, números, "-" ou "_" (até 50 caracteres).',
+      });
+    } else if (seen.has(section.key)) {
+      errors.push({ field: `${prefix}.key`, message: `Chave repetida: ${section.key}.` });
+    } else {
+      seen.add(section.key);
+    }
+    if (!isNonEmptyString(section.title)) {
+      errors.push({ field: `${prefix}.title`, message: 'Obrigatório, até 100 caracteres.' });
+    }
+    if (
+      section.instructions !== undefined &&
+      (typeof section.instructions !== 'string' || section.instructions.length > MAX_INSTRUCTIONS_LENGTH)
+    ) {
+      errors.push({
+        field: `${prefix}.instructions`,
+        message: `Deve ser um texto de até ${MAX_INSTRUCTIONS_LENGTH} caracteres.`,
+      });
+    }
+    if (section.required !== undefined && typeof section.required !== 'boolean') {
+      errors.push({ field: `${prefix}.required`, message: 'Deve ser booleano.' });
+    }
+    validateFieldList(section.requiredFields, `${prefix}.requiredFields`, errors);
+    validateFieldList(section.optionalFields, `${prefix}.optionalFields`, errors);
+  });
+};
+
+/**
+ * Valida os campos de um template de documento. Com `partial`, só os campos
+ * presentes são verificados (PATCH). Retorna uma lista de `{ field, message }`.
+ */
+export const validateDocumentTemplate = (data, { partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => !partial || data[field] !== undefined;
+
+  if (has('name') && !isNonEmptyString(data.name)) {
+    errors.push({ field: 'name', message: 'Obrigatório, até 100 caracteres.' });
+  }
+  if (
+    data.description !== undefined &&
+    data.description !== null &&
+    (typeof data.description !== 'string' || data.description.length > MAX_INSTRUCTIONS_LENGTH)
+  ) {
+    errors.push({
+      field: 'description',
+      message: `Deve ser um texto de até ${MAX_INSTRUCTIONS_LENGTH} caracteres.`,
+    });
+  }
+  if (has('sections')) validateSections(data.sections, errors);
+  return errors;
+};
+
+const normalizeSection = (section) => ({
+  key: section.key,
+  title: section.title.trim(),
+  instructions: section.instructions?.trim() || '',
+  required: section.required ?? true,
+  requiredFields: (section.requiredFields || []).map((name) => name.trim()),
+  optionalFields: (section.optionalFields || []).map((name) => name.trim()),
+});
+
+const pickFields = (data) => ({
+  ...(data.name !== undefined ? { name: data.name.trim() } : {}),
+  ...(data.description !== undefined ? { description: data.description?.trim() || null } : {}),
+  ...(data.sections !== undefined ? { sections: data.sections.map(normalizeSection) } : {}),
+});
+
+/** Referência ao template gravada junto com o documento gerado. */
+export const templateRef = (template) => ({
+  id: template.id,
+  name: template.name,
+  version: template.version,
+});
+
+/**
+ * Serviço de templates de documento da clínica (SOAP, anamnese pediátrica,
+ * sumário de alta...): seções ordenadas com instruções e campos próprios.
+ * Cada alteração incrementa `version`, registrada nos documentos gerados.
+ */
+export const createDocumentTemplateService = (store) => ({
+  create: async (data, owner) => {
+    const now = new Date().toISOString();
+    const template = {
+      id: uuidv4(),
+      description: null,
+      ...pickFields(data),
+      version: 1,
+      owner,
+      createdAt: now,
+      updatedAt: now,
+    };
+    return store.put(template.id, template);
+  },
+
+  get: (id) => store.get(id),
+
+  /** Templates do tenant, em ordem alfabética. */
+  list: async (tenantId) => {
+    const templates = (await store.list()).filter((template) => template.owner?.tenantId === tenantId);
+    return templates.sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  update: (id, data) =>
+    store.update(id, (current) => ({
+      ...current,
+      ...pickFields(data),
+      version: current.version + 1,
+      updatedAt: new Date().toISOString(),
+    })),
+
+  remove: (template) => store.remove(template.id),
+});
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Junta as seções geradas (`{ key, html, missingFields }`) na ordem do
+ * template, com o HTML de cada uma já sanitizado (ver `sanitizeHtml`).
+ * Retorna `{ sections, html, text, missingSections }`: seções sem conteúdo
+ * ficam fora do documento combinado, e as obrigatórias entre elas são
+ * listadas em `missingSections`.
+ */
+export const composeDocument = (template, generated) => {
+  const byKey = new Map(generated.map((section) => [section.key, section]));
+  const sections = template.sections.map(({ key, title, required, requiredFields }) => {
+    const { html, text } = sanitizeHtml(byKey.get(key)?.html);
+    const reported = byKey.get(key)?.missingFields || [];
+    return {
+      key,
+      title,
+      required,
+      html,
+      text,
+      // Só os campos que o template declarou como obrigatórios
+      missingFields: requiredFields.filter((field) => reported.includes(field)),
+    };
+  });
+  const filled = sections.filter((section) => section.html);
+  return {
+    sections,
+    html: filled.map((section) => `<h2>${escapeHtml(section.title)}</h2>${section.html}`).join(''),
+    text: filled.map((section) => `${section.title}\n\n${section.text}`).join('\n\n'),
+    missingSections: sections
+      .filter((section) => section.required && !section.html)
+      .map(({ key, title }) => ({ key, title })),
+  };
+};
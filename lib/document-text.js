@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import JSZip from 'jszip';
+import { Parser } from 'htmlparser2';
+import { PDFDocument } from 'pdf-lib';
+import sharp from 'sharp';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { log } from './log.js';
+
+// Muda quando a extração muda: textos em cache de versões anteriores são refeitos
+export const EXTRACTOR_VERSION = 1;
+// Página de PDF com menos caracteres que isso é tratada como digitalizada (vai para OCR)
+const MIN_PAGE_TEXT_CHARS = 20;
+// Páginas por chamada de OCR em PDFs digitalizados (limite do envio inline)
+const OCR_PAGES_PER_REQUEST = 5;
+// Imagens que o modelo recebe diretamente; TIFF é convertido página a página
+const OCR_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic'];
+
+/** Hash SHA-256 (hex) do conteúdo, usado como chave do cache de texto. */
+export const contentHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const cleanText = (text) =>
+  text
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const toPages = (texts) => texts.map((text, index) => ({ page: index + 1, text: cleanText(text), ocr: false }));
+
+// Texto puro: quebra de página (form feed) separa as páginas
+const extractPlainText = (buffer) => toPages(buffer.toString('utf8').split('\f'));
+
+/**
+ * DOCX: texto de `word/document.xml`, com parágrafos e linhas de tabela em
+ * linhas próprias. As páginas seguem as quebras explícitas e as registradas
+ * pelo Word ao salvar (`w:lastRenderedPageBreak`).
+ */
+const extractDocx = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = await zip.file('word/document.xml')?.async('string');
+  if (!xml) throw new Error('DOCX sem word/document.xml.');
+
+  const pages = [''];
+  let inText = false;
+  const append = (text) => {
+    pages[pages.length - 1] += text;
+  };
+  // Quebras seguidas (explícita + renderizada) não geram páginas vazias
+  const pageBreak = () => {
+    if (pages[pages.length - 1].trim()) pages.push('');
+  };
+
+  const parser = new Parser(
+    {
+      onopentag: (name, attributes) => {
+        if (name === 'w:t') inText = true;
+        else if (name === 'w:tab') append('\t');
+        else if (name === 'w:br') attributes['w:type'] === 'page' ? pageBreak() : append('\n');
+        else if (name === 'w:lastRenderedPageBreak') pageBreak();
+      },
+      ontext: (text) => {
+        if (inText) append(text);
+      },
+      onclosetag: (name) => {
+        if (name === 'w:t') inText = false;
+        else if (name === 'w:p' || name === 'w:tr') append('\n');
+        else if (name === 'w:tc') append('\t');
+      },
+    },
+    { xmlMode: true, decodeEntities: true }
+  );
+  parser.write(xml);
+  parser.end();
+  return toPages(pages);
+};
+
+/**
+ * PDF: texto da camada de texto de cada página; páginas sem texto
+ * (digitalizadas) são recortadas em PDFs menores e enviadas ao OCR.
+ */
+const extractPdf = async (buffer, ocr) => {
+  const pdf = await getDocument({ data: new Uint8Array(buffer), verbosity: 0, isEvalSupported: false }).promise;
+  const pages = [];
+  try {
+    for (let number = 1; number <= pdf.numPages; number += 1) {
+      const page = await pdf.getPage(number);
+      const { items } = await page.getTextContent();
+      const text = cleanText(items.map((item) => `${item.str ?? ''}${item.hasEOL ? '\n' : ''}`).join(''));
+      pages.push({ page: number, text, ocr: false });
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  const scanned = pages.filter(({ text }) => text.replace(/\s/g, '').length < MIN_PAGE_TEXT_CHARS);
+  if (scanned.length === 0) return pages;
+
+  const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  for (let start = 0; start < scanned.length; start += OCR_PAGES_PER_REQUEST) {
+    const group = scanned.slice(start, start + OCR_PAGES_PER_REQUEST);
+    const part = await PDFDocument.create();
+    const copied = await part.copyPages(source, group.map(({ page }) => page - 1));
+    copied.forEach((page) => part.addPage(page));
+    const texts = await ocr({
+      mimeType: 'application/pdf',
+      data: Buffer.from(await part.save()),
+      pageCount: group.length,
+    });
+    group.forEach((page, index) => {
+      page.text = cleanText(texts[index]);
+      page.ocr = true;
+    });
+  }
+  return pages;
+};
+
+// Imagens: uma chamada de OCR por página (TIFF com várias páginas vira PNGs)
+const extractImage = async (buffer, mimeType, ocr) => {
+  const images = [];
+  if (mimeType === 'image/tiff') {
+    const { pages = 1 } = await sharp(buffer).metadata();
+    for (let page = 0; page < pages; page += 1) {
+      images.push({ mimeType: 'image/png', data: await sharp(buffer, { page }).png().toBuffer() });
+    }
+  } else {
+    images.push({ mimeType, data: buffer });
+  }
+
+  const pages = [];
+  for (const [index, image] of images.entries()) {
+    const [text] = await ocr({ ...image, pageCount: 1 });
+    pages.push({ page: index + 1, text: cleanText(text), ocr: true });
+  }
+  return pages;
+};
+
+/**
+ * Converte um documento em texto por página: `[{ page, text, ocr }]`
+ * (`page` a partir de 1; `ocr` indica texto reconhecido em imagem).
+ * `ocr({ mimeType, data, pageCount })` recebe um anexo e devolve o texto de
+ * cada uma das suas páginas, na ordem. Retorna `{ method, pages }` ou `null`
+ * se o tipo (ver `detectDocumentType`) não tiver extração.
+ */
+export const extractPages = async (buffer, { mimeType, ocr }) => {
+  if (mimeType === 'text/plain') return { method: 'text', pages: extractPlainText(buffer) };
+  if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+    return { method: 'docx', pages: await extractDocx(buffer) };
+  }
+  if (mimeType === 'application/pdf') {
+    const pages = await extractPdf(buffer, ocr);
+    const ocrPages = pages.filter((page) => page.ocr).length;
+    const method = ocrPages === 0 ? 'pdf-text' : ocrPages === pages.length ? 'pdf-ocr' : 'pdf-mixed';
+    return { method, pages };
+  }
+  if (mimeType === 'image/tiff' || OCR_IMAGE_TYPES.includes(mimeType)) {
+    return { method: 'image-ocr', pages: await extractImage(buffer, mimeType, ocr) };
+  }
+  return null;
+};
+
+/**
+ * Divide as páginas em trechos de até `maxChars` caracteres para o resumo.
+ * Cada página começa com a marcação `[[page N]]`, que o modelo cita; uma
+ * página maior que o limite é dividida em mais de um trecho.
+ * Retorna `[{ pages: [números], text }]`.
+ */
+export const chunkPages = (pages, { maxChars }) => {
+  const chunks = [];
+  let current = null;
+  const flush = () => {
+    if (current) chunks.push(current);
+    current = null;
+  };
+
+  pages
+    .filter(({ text }) => text)
+    .forEach(({ page, text }) => {
+      const marker = `[[page ${page}]]\n`;
+      const size = Math.max(1, maxChars - marker.length);
+      for (let offset = 0; offset < text.length; offset += size) {
+        const block = `${marker}${text.slice(offset, offset + size)}`;
+        if (current && current.text.length + block.length + 2 > maxChars) flush();
+        current ??= { pages: [], text: '' };
+        if (!current.pages.includes(page)) current.pages.push(page);
+        current.text += `${current.text ? '\n\n' : ''}${block}`;
+      }
+    });
+  flush();
+  return chunks;
+};
+
+/** Páginas em faixas para os prompts: `[1, 2, 3, 5]` → `'1-3, 5'`. */
+export const formatPageRanges = (pages) =>
+  [...pages]
+    .sort((a, b) => a - b)
+    .reduce((ranges, page) => {
+      const last = ranges[ranges.length - 1];
+      if (last && page === last[1] + 1) last[1] = page;
+      else ranges.push([page, page]);
+      return ranges;
+    }, [])
+    .map(([first, last]) => (first === last ? String(first) : `${first}-${last}`))
+    .join(', ');
+
+/**
+ * Cache do texto extraído por hash do conteúdo: o mesmo arquivo enviado de
+ * novo (por qualquer usuário) reaproveita o texto já extraído, sem novo OCR.
+ * `extract` recebe o `ocr` de `extractPages` e retorna
+ * `{ contentHash, mimeType, method, pages, cached }` ou `null` para tipos
+ * sem extração.
+ */
+export const createDocumentTextService = (store) => ({
+  extract: async (buffer, { mimeType, ocr }) => {
+    const hash = contentHash(buffer);
+    const cached = await store.get(hash);
+    if (cached?.extractorVersion === EXTRACTOR_VERSION) {
+      return { contentHash: hash, mimeType: cached.mimeType, method: cached.method, pages: cached.pages, cached: true };
+    }
+
+    const extraction = await extractPages(buffer, { mimeType, ocr });
+    if (!extraction) return null;
+
+    await store.put(hash, {
+      id: hash,
+      mimeType,
+      method: extraction.method,
+      pages: extraction.pages,
+      extractorVersion: EXTRACTOR_VERSION,
+      createdAt: new Date().toISOString(),
+    });
+    log('Documents', `Texto extraído (${extraction.method}, ${extraction.pages.length} páginas) e guardado em cache`);
+    return { contentHash: hash, mimeType, ...extraction, cached: false };
+  },
+
+  get: (hash) => store.get(hash),
+
+  list: () => store.list(),
+
+  remove: (hash) => store.remove(hash),
+});
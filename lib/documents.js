@@ -0,0 +1,26 @@
+/**
+ * Registro dos documentos enviados por `/api/upload-documento` (arquivo no
+ * bucket de documentos + dono e consulta), usado pela retenção e pela
+ * eliminação de dados do paciente. `contentHash` liga o documento ao texto
+ * extraído em cache.
+ */
+export const createDocumentService = (store) => ({
+  create: ({ id, filename, originalName, contentType, bytes, contentHash, owner, consultationId = null }) =>
+    store.put(id, {
+      id,
+      filename,
+      originalName,
+      contentType,
+      bytes,
+      contentHash,
+      owner,
+      consultationId,
+      createdAt: new Date().toISOString(),
+    }),
+
+  get: (id) => store.get(id),
+
+  list: () => store.list(),
+
+  remove: (id) => store.remove(id),
+});
@@ -0,0 +1,25 @@
+/**
+ * Registro dos documentos exportados (PDF/DOCX no bucket de documentos + dono),
+ * usado para gerar novas URLs assinadas só para quem exportou.
+ */
+export const createExportService = (store) => ({
+  create: ({ id, format, fileName, filename, contentType, bytes, owner, consultationId = null, field = null }) =>
+    store.put(id, {
+      id,
+      format,
+      fileName,
+      filename,
+      contentType,
+      bytes,
+      owner,
+      consultationId,
+      field,
+      createdAt: new Date().toISOString(),
+    }),
+
+  get: (id) => store.get(id),
+
+  list: () => store.list(),
+
+  remove: (id) => store.remove(id),
+});
@@ -0,0 +1,356 @@
+import crypto from 'crypto';
+import mime from 'mime-types';
+
+import { sanitizeHtml } from './html-sanitize.js';
+
+const LOINC = 'http://loinc.org';
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const FHIR_DATE_TIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+// Tipo `date`: AAAA, AAAA-MM ou AAAA-MM-DD, sem hora
+const FHIR_DATE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+const URI = /^(urn:[a-z0-9][a-z0-9-]*:\S+|https?:\/\/\S+)$/i;
+
+// Seções da Composition: código LOINC e título
+const SECTIONS = {
+  anamnese: { code: '10164-2', display: 'History of Present illness Narrative', title: 'Anamnese' },
+  summary: { code: '51848-0', display: 'Evaluation note', title: 'Resumo da consulta' },
+  problems: { code: '11450-4', display: 'Problem list - Reported', title: 'Problemas identificados' },
+  medications: { code: '10160-0', display: 'History of Medication use Narrative', title: 'Medicamentos' },
+  documents: { code: '55107-7', display: 'Addendum Document', title: 'Documentos anexos' },
+};
+
+// Status das entidades extraídas -> MedicationStatement.status
+const MEDICATION_STATUS = { 'in-use': 'active', prescribed: 'intended', suspended: 'stopped' };
+
+const uuidUrl = () => `urn:uuid:${crypto.randomUUID()}`;
+const loinc = ({ code, display }) => ({ coding: [{ system: LOINC, code, display }] });
+
+const escapeXml = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Narrativa XHTML exigida pelo FHIR; o HTML passa pela mesma allowlist da API.
+const narrative = (content) => {
+  const { html } = sanitizeHtml(content);
+  return {
+    status: 'generated',
+    div: `<div xmlns="${XHTML_NAMESPACE}">${html.replace(/<br>/g, '<br/>') || '<p/>'}</div>`,
+  };
+};
+
+const listNarrative = (items) =>
+  narrative(items.length > 0 ? `<ul>${items.map((item) => `<li>${escapeXml(item)}</li>`).join('')}</ul>` : '');
+
+// `code` (opcional) é uma codificação já resolvida: `{ system, code, display? }`
+const codeableConcept = ({ name: text, code }) => ({
+  ...(code
+    ? { coding: [{ system: code.system, code: code.code, ...(code.display ? { display: code.display } : {}) }] }
+    : {}),
+  text,
+});
+
+const dosageText = ({ dose, frequency, route }) => [dose, frequency, route].filter(Boolean).join(', ');
+
+const attachmentFor = ({ url, contentType, title, text }) =>
+  url
+    ? { contentType: contentType || mime.lookup(url) || 'application/octet-stream', url, title }
+    : { contentType: 'text/plain', data: Buffer.from(text, 'utf8').toString('base64'), title };
+
+/**
+ * Mapeia uma consulta para um Bundle FHIR R4 do tipo `document`: Composition
+ * (primeira entrada) com as seções geradas, Patient, Practitioner, Encounter,
+ * DocumentReference para cada áudio e documento resumido e, se a consulta
+ * tiver `entities` (ver `/api/extract-entities`), Condition para os
+ * diagnósticos e MedicationStatement para os medicamentos.
+ *
+ * `systemBase` é o prefixo dos `identifier.system` locais (ex.:
+ * `urn:clinica`).
+ */
+export const buildConsultationBundle = (consultation, { systemBase }) => {
+  const now = new Date().toISOString();
+  const entries = [];
+  const add = (resource) => {
+    const fullUrl = uuidUrl();
+    entries.push({ fullUrl, resource });
+    return { reference: fullUrl };
+  };
+
+  // `patient` da consulta é livre: texto com o nome ou `{ name, document?, birthDate? }`;
+  // `birthDate` só entra no formato `date` do FHIR
+  const patientData =
+    typeof consultation.patient === 'string' ? { name: consultation.patient } : consultation.patient;
+  const patient = add({
+    resourceType: 'Patient',
+    ...(patientData?.document
+      ? { identifier: [{ system: `${systemBase}:patient`, value: String(patientData.document) }] }
+      : {}),
+    ...(patientData?.name ? { name: [{ text: String(patientData.name) }] } : {}),
+    ...(FHIR_DATE.test(patientData?.birthDate) ? { birthDate: patientData.birthDate } : {}),
+  });
+  const practitioner = add({
+    resourceType: 'Practitioner',
+    identifier: [{ system: `${systemBase}:clinician`, value: consultation.owner.clinicianId }],
+  });
+  const encounter = add({
+    resourceType: 'Encounter',
+    identifier: [{ system: `${systemBase}:consultation`, value: consultation.id }],
+    status: 'finished',
+    class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'AMB', display: 'ambulatory' },
+    subject: patient,
+    participant: [{ individual: practitioner }],
+    period: { start: consultation.createdAt, end: consultation.updatedAt },
+  });
+
+  const documentReference = ({ description, attachment, category }) =>
+    add({
+      resourceType: 'DocumentReference',
+      status: 'current',
+      type: { text: category },
+      subject: patient,
+      date: consultation.updatedAt,
+      author: [practitioner],
+      description,
+      content: [{ attachment }],
+      context: { encounter: [encounter] },
+    });
+
+  const audioReferences = (consultation.audio || []).map((audio) =>
+    documentReference({
+      description: `Gravação ${audio.recordingId}`,
+      category: 'Gravação da consulta',
+      attachment: attachmentFor({ url: audio.uri, title: audio.recordingId }),
+    })
+  );
+  const documentReferences = (consultation.documentSummaries || []).map((document) =>
+    documentReference({
+      description: document.fileName,
+      category: 'Resumo de documento',
+      attachment: attachmentFor({
+        url: document.url,
+        title: document.fileName,
+        text: Array.isArray(document.summary) ? document.summary.join('\n') : String(document.summary ?? ''),
+      }),
+    })
+  );
+
+  // Entidades de `/api/extract-entities`: diagnósticos viram Condition
+  const { diagnoses: conditions = [], medications = [] } = consultation.entities || {};
+  const conditionReferences = conditions.map((condition) =>
+    add({
+      resourceType: 'Condition',
+      clinicalStatus: {
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }],
+      },
+      // Hipóteses (e o que não tiver certeza informada) ficam como provisórias
+      verificationStatus: {
+        coding: [
+          {
+            system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+            code: condition.certainty === 'confirmed' ? 'confirmed' : 'provisional',
+          },
+        ],
+      },
+      code: codeableConcept(condition),
+      subject: patient,
+      encounter,
+      recordedDate: consultation.updatedAt,
+    })
+  );
+  const medicationReferences = medications.map((medication) =>
+    add({
+      resourceType: 'MedicationStatement',
+      status: MEDICATION_STATUS[medication.status] || 'unknown',
+      medicationCodeableConcept: codeableConcept(medication),
+      subject: patient,
+      context: encounter,
+      dateAsserted: consultation.updatedAt,
+      ...(dosageText(medication) ? { dosage: [{ text: dosageText(medication) }] } : {}),
+    })
+  );
+
+  const section = (key, fields) => ({ title: SECTIONS[key].title, code: loinc(SECTIONS[key]), ...fields });
+  const transcriptLines = (consultation.transcript || []).map(
+    (segment) => `${segment.speakerTag || segment.speaker || 'Pessoa'}: ${segment.text}`
+  );
+  const sections = [
+    ...(consultation.anamnese ? [section('anamnese', { text: narrative(consultation.anamnese) })] : []),
+    ...(consultation.summary ? [section('summary', { text: narrative(consultation.summary) })] : []),
+    ...(consultation.timeline?.length > 0
+      ? [{ title: 'Linha do tempo', text: listNarrative(consultation.timeline) }]
+      : []),
+    // Falas na narrativa; as gravações como entradas da mesma seção
+    ...(transcriptLines.length > 0 || audioReferences.length > 0
+      ? [{ title: 'Transcrição', text: listNarrative(transcriptLines), entry: audioReferences }]
+      : []),
+    ...(conditions.length > 0
+      ? [
+          section('problems', {
+            text: listNarrative(conditions.map((item) => item.name)),
+            entry: conditionReferences,
+          }),
+        ]
+      : []),
+    ...(medications.length > 0
+      ? [
+          section('medications', {
+            text: listNarrative(
+              medications.map((item) => [item.name, dosageText(item)].filter(Boolean).join(' — '))
+            ),
+            entry: medicationReferences,
+          }),
+        ]
+      : []),
+    ...(documentReferences.length > 0
+      ? [
+          section('documents', {
+            text: listNarrative((consultation.documentSummaries || []).map((item) => item.fileName)),
+            entry: documentReferences,
+          }),
+        ]
+      : []),
+  ].map(({ entry, ...rest }) => (entry?.length > 0 ? { ...rest, entry } : rest));
+
+  const composition = {
+    fullUrl: uuidUrl(),
+    resource: {
+      resourceType: 'Composition',
+      status: 'preliminary',
+      type: loinc({ code: '11488-4', display: 'Consult note' }),
+      subject: patient,
+      encounter,
+      date: consultation.updatedAt,
+      author: [practitioner],
+      title: consultation.title || 'Consulta',
+      section: sections,
+    },
+  };
+
+  return {
+    resourceType: 'Bundle',
+    identifier: { system: `${systemBase}:bundle`, value: crypto.randomUUID() },
+    type: 'document',
+    timestamp: now,
+    entry: [composition, ...entries],
+  };
+};
+
+// --- Validação estrutural ---
+
+// Campos obrigatórios (cardinalidade mínima 1) e valores fixos por recurso
+const RESOURCE_RULES = {
+  Composition: {
+    required: ['status', 'type', 'date', 'author', 'title'],
+    codes: { status: ['preliminary', 'final', 'amended', 'entered-in-error'] },
+  },
+  Patient: { required: [], codes: {} },
+  Practitioner: { required: [], codes: {} },
+  Encounter: {
+    required: ['status', 'class'],
+    codes: {
+      status: [
+        'planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled',
+        'entered-in-error', 'unknown',
+      ],
+    },
+  },
+  DocumentReference: {
+    required: ['status', 'content'],
+    codes: { status: ['current', 'superseded', 'entered-in-error'] },
+  },
+  Condition: { required: ['subject'], codes: {} },
+  MedicationStatement: {
+    required: ['status', 'medicationCodeableConcept', 'subject'],
+    codes: {
+      status: [
+        'active', 'completed', 'entered-in-error', 'intended', 'stopped', 'on-hold', 'unknown', 'not-taken',
+      ],
+    },
+  },
+};
+
+const DATE_TIME_FIELDS = ['date', 'recordedDate', 'dateAsserted', 'timestamp'];
+const DATE_FIELDS = ['birthDate'];
+
+// Percorre o recurso chamando `visit(valor, caminho, chave)` em cada campo.
+const walk = (value, path, visit) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => walk(item, `${path}[${index}]`, visit));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      visit(child, `${path}.${key}`, key);
+      walk(child, `${path}.${key}`, visit);
+    });
+  }
+};
+
+/**
+ * Validação estrutural de um Bundle `document` gerado por
+ * `buildConsultationBundle`: Composition na primeira entrada, `fullUrl`
+ * únicos, referências resolvidas dentro do bundle, campos obrigatórios e
+ * códigos de status por recurso, narrativas XHTML, datas e URIs. Não
+ * substitui um validador FHIR completo (perfis e terminologias). Retorna uma
+ * lista de `{ field, message }`.
+ */
+export const validateBundle = (bundle) => {
+  const errors = [];
+  const error = (field, message) => errors.push({ field, message });
+
+  if (bundle?.resourceType !== 'Bundle') error('resourceType', 'Deve ser "Bundle".');
+  if (bundle?.type !== 'document') error('type', 'Deve ser "document".');
+  if (!bundle?.identifier?.system || !bundle?.identifier?.value) {
+    error('identifier', 'Bundle "document" exige identifier com system e value.');
+  }
+  if (!FHIR_DATE_TIME.test(bundle?.timestamp || '')) error('timestamp', 'Obrigatório, no formato dateTime.');
+  const entries = Array.isArray(bundle?.entry) ? bundle.entry : [];
+  if (entries[0]?.resource?.resourceType !== 'Composition') {
+    error('entry[0]', 'A primeira entrada de um Bundle "document" deve ser a Composition.');
+  }
+
+  const fullUrls = new Set();
+  entries.forEach(({ fullUrl }, index) => {
+    if (!URI.test(fullUrl || '')) error(`entry[${index}].fullUrl`, 'Deve ser uma URI absoluta.');
+    if (fullUrls.has(fullUrl)) error(`entry[${index}].fullUrl`, 'fullUrl repetido no bundle.');
+    fullUrls.add(fullUrl);
+  });
+
+  entries.forEach(({ resource }, index) => {
+    const path = `entry[${index}].resource`;
+    const rules = RESOURCE_RULES[resource?.resourceType];
+    if (!rules) {
+      error(`${path}.resourceType`, `Tipo de recurso não suportado: ${resource?.resourceType}.`);
+      return;
+    }
+    rules.required
+      .filter((field) => resource[field] === undefined || resource[field]?.length === 0)
+      .forEach((field) => error(`${path}.${field}`, 'Campo obrigatório ausente.'));
+    Object.entries(rules.codes)
+      .filter(([field, allowed]) => resource[field] !== undefined && !allowed.includes(resource[field]))
+      .forEach(([field, allowed]) => error(`${path}.${field}`, `Use um de: ${allowed.join(', ')}.`));
+    if (resource.resourceType === 'MedicationStatement' || resource.resourceType === 'Condition') {
+      const concept = resource.medicationCodeableConcept || resource.code;
+      if (!concept?.text && !concept?.coding?.length) error(`${path}`, 'Código ou texto do conceito ausente.');
+    }
+
+    walk(resource, path, (value, fieldPath, key) => {
+      if (key === 'reference' && !fullUrls.has(value)) {
+        error(fieldPath, `Referência não encontrada no bundle: ${value}.`);
+      }
+      if (key === 'div' && (typeof value !== 'string' || !value.startsWith(`<div xmlns="${XHTML_NAMESPACE}">`))) {
+        error(fieldPath, 'A narrativa deve ser um <div> XHTML.');
+      }
+      if (DATE_TIME_FIELDS.includes(key) && !FHIR_DATE_TIME.test(value)) {
+        error(fieldPath, 'Deve estar no formato dateTime.');
+      }
+      if (DATE_FIELDS.includes(key) && !FHIR_DATE.test(value)) {
+        error(fieldPath, 'Deve estar no formato date (AAAA-MM-DD).');
+      }
+      if (key === 'system' && !URI.test(value || '')) error(fieldPath, 'Deve ser uma URI absoluta.');
+      if (key === 'coding' && Array.isArray(value)) {
+        value
+          .map((coding, codingIndex) => [coding, `${fieldPath}[${codingIndex}]`])
+          .filter(([coding]) => !coding?.code)
+          .forEach(([, codingPath]) => error(`${codingPath}.code`, 'Campo obrigatório ausente.'));
+      }
+    });
+  });
+  return errors;
+};
@@ -0,0 +1,68 @@
+// Tipos aceitos para documentos do paciente (exames, laudos, receitas)
+export const DOCUMENT_TYPES = {
+  'application/pdf': 'pdf',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/tiff': 'tiff',
+  'image/heic': 'heic',
+  'application/dicom': 'dcm',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/plain': 'txt',
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Assinaturas (magic bytes) em ordem de verificação
+const SIGNATURES = [
+  { mimeType: 'application/pdf', test: (buffer) => startsWith(buffer, ascii('%PDF-')) },
+  { mimeType: 'image/png', test: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: 'image/jpeg', test: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  {
+    mimeType: 'image/webp',
+    test: (buffer) => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8),
+  },
+  {
+    mimeType: 'image/tiff',
+    test: (buffer) => startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a]),
+  },
+  {
+    mimeType: 'image/heic',
+    test: (buffer) =>
+      startsWith(buffer, ascii('ftyp'), 4) &&
+      ['heic', 'heix', 'mif1', 'msf1'].some((brand) => startsWith(buffer, ascii(brand), 8)),
+  },
+  { mimeType: 'application/dicom', test: (buffer) => startsWith(buffer, ascii('DICM'), 128) },
+  {
+    // DOCX é um ZIP com as partes do Word (`word/...`)
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    test: (buffer) => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes('word/'),
+  },
+];
+
+// Texto puro: UTF-8 válido e sem caracteres de controle binários
+const isPlainText = (buffer) => {
+  const sample = buffer.subarray(0, 64 * 1024);
+  if (sample.some((byte) => byte < 0x09 || (byte > 0x0d && byte < 0x20))) return false;
+  try {
+    // `stream`: a amostra pode terminar no meio de um caractere multibyte
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: sample.length < buffer.length });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Identifica o tipo real do arquivo pelos primeiros bytes, ignorando o
+ * mimetype e a extensão informados pelo cliente. Retorna
+ * `{ mimeType, extension }` para tipos de `DOCUMENT_TYPES` ou `null`.
+ */
+export const detectDocumentType = (buffer) => {
+  if (!buffer || buffer.length === 0) return null;
+  const signature = SIGNATURES.find(({ test }) => test(buffer));
+  const mimeType = signature?.mimeType ?? (isPlainText(buffer) ? 'text/plain' : null);
+  return mimeType ? { mimeType, extension: DOCUMENT_TYPES[mimeType] } : null;
+};
@@ -0,0 +1,145 @@
+import { parseDocument } from 'htmlparser2';
+
+const DROPPED_TAGS = new Set(['script', 'style', 'head', 'title', 'iframe', 'object', 'embed', 'svg']);
+const HEADING_TAGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 4, h6: 4 };
+const LIST_TAGS = new Set(['ul', 'ol']);
+const CONTAINER_TAGS = new Set([
+  'html', 'body', 'div', 'section', 'article', 'main', 'header', 'footer', 'blockquote',
+  'table', 'thead', 'tbody', 'tfoot',
+]);
+const PARAGRAPH_TAGS = new Set(['p', 'li', 'pre', 'dt', 'dd', 'caption']);
+const BOLD_TAGS = new Set(['strong', 'b', 'th']);
+const ITALIC_TAGS = new Set(['em', 'i', 'cite']);
+const UNDERLINE_TAGS = new Set(['u', 'ins']);
+
+const isBlockNode = (node) =>
+  node.type === 'tag' &&
+  (node.name in HEADING_TAGS ||
+    LIST_TAGS.has(node.name) ||
+    CONTAINER_TAGS.has(node.name) ||
+    PARAGRAPH_TAGS.has(node.name) ||
+    node.name === 'tr');
+
+const collectRuns = (nodes, style = {}, runs = []) => {
+  nodes.forEach((node) => {
+    if (node.type === 'text') {
+      runs.push({ ...style, text: node.data.replace(/\s+/g, ' ') });
+    } else if (node.type === 'tag' && !DROPPED_TAGS.has(node.name)) {
+      if (node.name === 'br') {
+        runs.push({ ...style, text: '\n' });
+        return;
+      }
+      collectRuns(
+        node.children,
+        {
+          ...style,
+          ...(BOLD_TAGS.has(node.name) ? { bold: true } : {}),
+          ...(ITALIC_TAGS.has(node.name) ? { italic: true } : {}),
+          ...(UNDERLINE_TAGS.has(node.name) ? { underline: true } : {}),
+        },
+        runs
+      );
+    }
+  });
+  return runs;
+};
+
+// Junta trechos vizinhos de mesmo estilo e tira espaços nas pontas da linha.
+const tidyRuns = (runs) => {
+  const sameStyle = (a, b) =>
+    Boolean(a.bold) === Boolean(b.bold) &&
+    Boolean(a.italic) === Boolean(b.italic) &&
+    Boolean(a.underline) === Boolean(b.underline);
+  const merged = runs.reduce((result, run) => {
+    const last = result[result.length - 1];
+    if (last && sameStyle(last, run)) {
+      last.text += run.text;
+    } else {
+      result.push({ ...run });
+    }
+    return result;
+  }, []);
+  merged.forEach((run) => {
+    run.text = run.text.replace(/ *\n */g, '\n').replace(/ {2,}/g, ' ');
+  });
+  if (merged.length > 0) {
+    merged[0].text = merged[0].text.trimStart();
+    merged[merged.length - 1].text = merged[merged.length - 1].text.trimEnd();
+  }
+  return merged.filter((run) => run.text);
+};
+
+const listItems = (list, level, items = []) => {
+  list.children
+    .filter((node) => node.type === 'tag' && node.name === 'li')
+    .forEach((item) => {
+      const nested = item.children.filter((node) => node.type === 'tag' && LIST_TAGS.has(node.name));
+      const runs = tidyRuns(collectRuns(item.children.filter((node) => !nested.includes(node))));
+      if (runs.length > 0) items.push({ level, ordered: list.name === 'ol', runs });
+      nested.forEach((child) => listItems(child, level + 1, items));
+    });
+  return items;
+};
+
+const toBlocks = (nodes, blocks) => {
+  let inline = [];
+  const flush = () => {
+    const runs = tidyRuns(collectRuns(inline));
+    if (runs.length > 0) blocks.push({ type: 'paragraph', runs });
+    inline = [];
+  };
+
+  nodes.forEach((node) => {
+    if (node.type === 'tag' && DROPPED_TAGS.has(node.name)) return;
+    if (!isBlockNode(node)) {
+      inline.push(node);
+      return;
+    }
+    flush();
+    if (node.name in HEADING_TAGS) {
+      const runs = tidyRuns(collectRuns(node.children));
+      if (runs.length > 0) blocks.push({ type: 'heading', level: HEADING_TAGS[node.name], runs });
+    } else if (LIST_TAGS.has(node.name)) {
+      const items = listItems(node, 0);
+      if (items.length > 0) blocks.push({ type: 'list', ordered: node.name === 'ol', items });
+    } else if (node.name === 'tr') {
+      // Tabelas viram uma linha de texto por linha da tabela
+      const cells = node.children.filter((cell) => cell.type === 'tag' && ['td', 'th'].includes(cell.name));
+      const runs = tidyRuns(
+        cells.flatMap((cell, index) => [
+          ...(index > 0 ? [{ text: ' | ' }] : []),
+          ...collectRuns(cell.children, cell.name === 'th' ? { bold: true } : {}),
+        ])
+      );
+      if (runs.length > 0) blocks.push({ type: 'paragraph', runs });
+    } else if (PARAGRAPH_TAGS.has(node.name) && !node.children.some(isBlockNode)) {
+      const runs = tidyRuns(collectRuns(node.children));
+      if (runs.length > 0) blocks.push({ type: 'paragraph', runs });
+    } else {
+      toBlocks(node.children, blocks);
+    }
+  });
+  flush();
+  return blocks;
+};
+
+const looksLikeHtml = (text) => /<\/?[a-z][^>]*>/i.test(text);
+
+/**
+ * Converte o HTML gerado (ou texto puro, um parágrafo por linha) em uma lista
+ * de blocos independente de formato, usada pelos exportadores:
+ * `{ type: 'heading', level, runs }`, `{ type: 'paragraph', runs }` e
+ * `{ type: 'list', ordered, items: [{ level, ordered, runs }] }`, com
+ * `runs = [{ text, bold?, italic?, underline? }]`.
+ */
+export const htmlToBlocks = (source) => {
+  if (typeof source !== 'string' || !source.trim()) return [];
+  if (!looksLikeHtml(source)) {
+    return source
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => ({ type: 'paragraph', runs: [{ text: line }] }));
+  }
+  return toBlocks(parseDocument(source).children, []);
+};
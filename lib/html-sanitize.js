@@ -0,0 +1,156 @@
+import { parseDocument } from 'htmlparser2';
+
+import { htmlToBlocks } from './html-blocks.js';
+
+// Tags mantidas (sem nenhum atributo); as demais são desembrulhadas
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'strong', 'em', 'u', 'ul', 'ol', 'li', 'h2', 'h3', 'h4',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td',
+]);
+// Tags removidas junto com o conteúdo
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'head', 'title', 'meta', 'link', 'iframe', 'frame', 'frameset', 'object',
+  'embed', 'applet', 'svg', 'math', 'template', 'noscript', 'form', 'input', 'button',
+  'textarea', 'select', 'option', 'img', 'video', 'audio', 'source', 'canvas',
+]);
+// Sinônimos normalizados; h1 vira h2 (o título do documento é do cliente)
+const RENAMED_TAGS = { b: 'strong', i: 'em', h1: 'h2', h5: 'h4', h6: 'h4' };
+const BLOCK_TAGS = new Set(['p', 'ul', 'ol', 'h2', 'h3', 'h4', 'table']);
+const LIST_TAGS = new Set(['ul', 'ol']);
+const VOID_TAGS = new Set(['br']);
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const element = (name, children) => ({ type: 'tag', name, children });
+const text = (data) => ({ type: 'text', data });
+
+// Aplica a allowlist: renomeia sinônimos, remove o perigoso e desembrulha o resto.
+const clean = (nodes) =>
+  nodes.flatMap((node) => {
+    if (node.type === 'text') return [text(node.data)];
+    if (node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') return [];
+    const name = RENAMED_TAGS[node.name] || node.name;
+    if (DROPPED_TAGS.has(name)) return [];
+    const children = clean(node.children || []);
+    return ALLOWED_TAGS.has(name) ? [element(name, children)] : children;
+  });
+
+const isBlank = (node) => node.type === 'text' && !node.data.trim();
+
+// Itens soltos viram <ul>; conteúdo direto de <ul>/<ol> vira <li>.
+const normalizeLists = (nodes, insideList = false) => {
+  const result = [];
+  let strayItems = [];
+  const flushItems = () => {
+    if (strayItems.length > 0) result.push(element('ul', strayItems));
+    strayItems = [];
+  };
+
+  nodes.forEach((node) => {
+    if (node.type !== 'tag') {
+      if (insideList) {
+        if (!isBlank(node)) result.push(element('li', [node]));
+      } else if (strayItems.length > 0 && isBlank(node)) {
+        // espaço entre itens soltos
+      } else {
+        flushItems();
+        result.push(node);
+      }
+      return;
+    }
+    const normalized = element(node.name, normalizeLists(node.children, LIST_TAGS.has(node.name)));
+    if (insideList && node.name !== 'li' && !LIST_TAGS.has(node.name)) {
+      result.push(element('li', [normalized]));
+    } else if (!insideList && node.name === 'li') {
+      strayItems.push(normalized);
+    } else {
+      flushItems();
+      result.push(normalized);
+    }
+  });
+  flushItems();
+  return result;
+};
+
+// Conteúdo inline no nível raiz é agrupado em <p>; blocos vazios são removidos.
+const wrapInline = (nodes) => {
+  const result = [];
+  let inline = [];
+  const flush = () => {
+    if (inline.some((node) => !isBlank(node))) result.push(element('p', inline));
+    inline = [];
+  };
+  nodes.forEach((node) => {
+    if (node.type === 'tag' && BLOCK_TAGS.has(node.name)) {
+      flush();
+      result.push(node);
+    } else {
+      inline.push(node);
+    }
+  });
+  flush();
+  return result;
+};
+
+const hasContent = (node) =>
+  node.type === 'text' ? node.data.trim().length > 0 : node.name === 'br' || node.children.some(hasContent);
+
+const serialize = (nodes) =>
+  nodes
+    .map((node) => {
+      if (node.type === 'text') return escapeText(node.data);
+      if (VOID_TAGS.has(node.name)) return `<${node.name}>`;
+      if (!hasContent(node)) return '';
+      const inner = serialize(node.children);
+      return BLOCK_TAGS.has(node.name) || node.name === 'li' || node.name === 'tr'
+        ? `<${node.name}>${inner.trim()}</${node.name}>`
+        : `<${node.name}>${inner}</${node.name}>`;
+    })
+    .join('');
+
+/** Remove cercas de markdown (```html ... ```) em volta da resposta. */
+export const stripCodeFences = (raw) =>
+  raw.trim().replace(/^```[a-zA-Z]*[ \t]*\r?\n?/, '').replace(/\r?\n?```$/, '').trim();
+
+/**
+ * Converte blocos (ver `htmlToBlocks`) em texto puro: títulos e parágrafos
+ * separados por linha em branco, itens de lista com "-" ou "1.".
+ */
+export const blocksToText = (blocks) =>
+  blocks
+    .map((block) => {
+      const line = (runs) => runs.map((run) => run.text).join('');
+      if (block.type !== 'list') return line(block.runs);
+      const counters = [];
+      return block.items
+        .map(({ level, ordered, runs }) => {
+          counters[level] = (counters[level] || 0) + 1;
+          counters.length = level + 1;
+          return `${'  '.repeat(level)}${ordered ? `${counters[level]}.` : '-'} ${line(runs)}`;
+        })
+        .join('\n');
+    })
+    .join('\n\n');
+
+/**
+ * Pós-processa HTML gerado pelo modelo antes de devolvê-lo ao cliente: tira
+ * cercas de markdown e o envelope de documento (`<html>`, `<head>`,
+ * `<body>`), mantém só as tags da allowlist e sem atributos, normaliza
+ * títulos (`h1` → `h2`) e listas. Retorna `{ html, text }`, com `text` em
+ * texto puro para clientes que não renderizam HTML.
+ */
+export const sanitizeHtml = (raw) => {
+  if (typeof raw !== 'string' || !raw.trim()) return { html: '', text: '' };
+  const source = stripCodeFences(raw);
+  if (!/<\/?[a-z][^>]*>/i.test(source)) {
+    // Texto puro: um parágrafo por bloco separado por linha em branco
+    const paragraphs = source.split(/\r?\n\s*\r?\n/).map((paragraph) => paragraph.trim()).filter(Boolean);
+    const html = paragraphs
+      .map((paragraph) => `<p>${paragraph.split(/\r?\n/).map(escapeText).join('<br>')}</p>`)
+      .join('');
+    return { html, text: paragraphs.join('\n\n') };
+  }
+  const nodes = wrapInline(normalizeLists(clean(parseDocument(source).children)));
+  const html = serialize(nodes).trim();
+  return { html, text: blocksToText(htmlToBlocks(html)) };
+};
@@ -0,0 +1,34 @@
+import { DEFAULT_LOCALE, matchLocale } from './prompt-registry.js';
+
+// Palavras frequentes e (quase) exclusivas de cada idioma
+const STOPWORDS = {
+  'pt-BR': ['não', 'você', 'também', 'são', 'para', 'com', 'uma', 'os', 'do', 'da', 'em', 'um', 'dor', 'muito', 'estou', 'tenho', 'isso', 'então', 'doutor', 'ele', 'ela'],
+  'en-US': ['the', 'and', 'is', 'you', 'to', 'of', 'it', 'that', 'have', 'with', 'for', 'this', 'was', 'are', 'pain', 'not', 'i', 'my', 'doctor', 'do'],
+  es: ['el', 'los', 'las', 'usted', 'y', 'por', 'una', 'dolor', 'muy', 'también', 'pero', 'tengo', 'estoy', 'eso', 'entonces', 'doctor', 'del', 'al', 'sí', 'señor'],
+};
+
+// Acima disso o texto é considerado suficiente; amostras menores não são classificadas
+const MIN_HITS = 3;
+const MAX_WORDS = 2000;
+
+/**
+ * Detecta o idioma predominante de um texto entre os locales suportados,
+ * contando palavras funcionais. Retorna `null` para textos curtos ou ambíguos.
+ */
+export const detectLanguage = (text) => {
+  if (typeof text !== 'string') return null;
+  const words = text.toLowerCase().match(/[\p{L}]+/gu)?.slice(0, MAX_WORDS) || [];
+  const scores = Object.entries(STOPWORDS)
+    .map(([locale, stopwords]) => [locale, words.filter((word) => stopwords.includes(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, bestHits], [, secondHits]] = scores;
+  if (bestHits < MIN_HITS || bestHits === secondHits) return null;
+  return best;
+};
+
+/**
+ * Escolhe o locale de uma geração: o pedido explicitamente (`locale` no corpo),
+ * senão o detectado no conteúdo de entrada, senão o padrão.
+ */
+export const pickLocale = ({ requested, text }) =>
+  matchLocale(requested) || detectLanguage(text) || DEFAULT_LOCALE;
@@ -0,0 +1,58 @@
+import { log } from './log.js';
+
+/**
+ * Grava no storage, à medida que chegam, os chunks WEBM/Opus de uma sessão ao
+ * vivo. `finalize` fecha o arquivo uma única vez e chama `onFinalized` com o
+ * total de bytes gravados.
+ */
+export const createLiveRecording = ({
+  storage,
+  bucket,
+  recordingId,
+  contentType = 'audio/webm',
+  onFinalized = async () => {},
+}) => {
+  const filename = `audio-${recordingId}.opus`;
+  const stream = storage.createWriteStream(bucket, filename, { contentType });
+  let bytes = 0;
+  let failed = null;
+  let finalizing = null;
+
+  stream.on('error', (err) => {
+    failed = err;
+    log('Storage-ERROR', `Falha ao gravar áudio ao vivo ${filename}:`, err.message);
+  });
+
+  return {
+    recordingId,
+    filename,
+    uri: storage.uri(bucket, filename),
+
+    get finalized() {
+      return finalizing !== null;
+    },
+
+    write: (chunk) => {
+      if (finalizing || failed || !chunk) return;
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      bytes += buffer.length;
+      stream.write(buffer);
+    },
+
+    finalize: () => {
+      if (!finalizing) {
+        finalizing = new Promise((resolve, reject) => {
+          if (failed) return reject(failed);
+          stream.once('finish', resolve);
+          stream.once('error', reject);
+          stream.end();
+        }).then(async () => {
+          log('Storage', `Áudio ao vivo finalizado: ${filename} (${bytes} bytes)`);
+          await onFinalized({ bytes });
+          return { bytes };
+        });
+      }
+      return finalizing;
+    },
+  };
+};
@@ -0,0 +1,141 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Quantos segmentos recentes são comparados na deduplicação.
+const DEDUP_WINDOW = 5;
+// Intervalo entre chunks acima do qual o áudio é tratado como interrompido
+// (mesmo limite do timer de silêncio do servidor)
+const MAX_CHUNK_INTERVAL_MS = 10000;
+// Bytes por amostra dos formatos sem compressão; Opus e FLAC não têm taxa fixa
+const PCM_BYTES_PER_SAMPLE = { LINEAR16: 2, MULAW: 1 };
+
+const normalizeText = (text = '') =>
+  text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Mesmo trecho de áudio: intervalos de tempo (ms desde o início da gravação) que se sobrepõem
+const sameAudio = (a, b) =>
+  [a.startMs, a.endMs, b.startMs, b.endMs].every(Number.isFinite) &&
+  (a.startMs === b.startMs || (a.startMs < b.endMs && b.startMs < a.endMs));
+
+/**
+ * Registro em memória das sessões de gravação ao vivo. Cada sessão guarda o log
+ * ordenado e deduplicado dos segmentos finais e sobrevive à desconexão do
+ * socket por `ttlMs`, para que o cliente possa retomá-la (`resume-session`).
+ */
+export const createLiveSessionRegistry = ({ ttlMs = 30 * 60 * 1000 } = {}) => {
+  const sessions = new Map();
+
+  const scheduleExpiry = (session) => {
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = setTimeout(() => sessions.delete(session.id), ttlMs);
+    session.expiryTimer.unref?.();
+  };
+
+  return {
+    create: ({ owner, consultationId = null, recognitionConfig }) => {
+      const session = {
+        id: uuidv4(),
+        owner,
+        consultationId,
+        recognitionConfig,
+        segments: [],
+        lastSeq: 0,
+        // Duração do áudio recebido (e gravado) na sessão até agora
+        audioOffsetMs: 0,
+        lastChunkAt: null,
+        unsizedChunk: false,
+        ended: false,
+        createdAt: new Date().toISOString(),
+        recording: null,
+        finalizeTimer: null,
+        release: null,
+        expiryTimer: null,
+      };
+      sessions.set(session.id, session);
+      return session;
+    },
+
+    get: (id) => sessions.get(id) || null,
+
+    /**
+     * Associa a sessão a uma conexão. `release` é chamado se outra conexão
+     * assumir a sessão (ex.: o cliente reconectou antes do servidor notar a queda).
+     */
+    attach: (session, release) => {
+      clearTimeout(session.expiryTimer);
+      const previousRelease = session.release;
+      session.release = release;
+      if (previousRelease && previousRelease !== release) previousRelease();
+    },
+
+    /** Desassocia a conexão e inicia o prazo de expiração da sessão. */
+    detach: (session, release) => {
+      if (session.release !== release) return;
+      session.release = null;
+      scheduleExpiry(session);
+    },
+
+    end: (session) => {
+      session.ended = true;
+    },
+
+    /**
+     * Soma a `audioOffsetMs` a duração de um chunk de áudio da sessão, para que
+     * os offsets dos próximos streams acompanhem o arquivo gravado. Sem
+     * compressão (LINEAR16, MULAW) a duração vem dos bytes; em Opus e FLAC é o
+     * intervalo desde o chunk anterior, e o primeiro chunk depois de uma pausa
+     * recebe o mesmo intervalo do seguinte.
+     */
+    addAudio: (session, byteLength, now = Date.now()) => {
+      const { encoding, sampleRateHertz, audioChannelCount = 1 } = session.recognitionConfig || {};
+      const bytesPerSample = PCM_BYTES_PER_SAMPLE[encoding];
+      if (bytesPerSample) {
+        session.audioOffsetMs += (byteLength * 1000) / (bytesPerSample * sampleRateHertz * audioChannelCount);
+        return;
+      }
+      const interval = session.lastChunkAt === null ? Infinity : now - session.lastChunkAt;
+      session.lastChunkAt = now;
+      if (interval > MAX_CHUNK_INTERVAL_MS) {
+        session.unsizedChunk = true;
+        return;
+      }
+      session.audioOffsetMs += session.unsizedChunk ? 2 * interval : interval;
+      session.unsizedChunk = false;
+    },
+
+    /**
+     * Adiciona um segmento final ao log. Retorna o segmento armazenado (com
+     * `sessionId` e `seq`) ou `null` se repetir um segmento recente: mesmo texto
+     * sobre o mesmo trecho de áudio (ex.: reenviado após reinício do stream).
+     * Falas iguais em momentos diferentes ("Sim.") são mantidas.
+     * Um parcial forçado pelo cliente (`forced`) é substituído pelo final
+     * correspondente, mantendo o mesmo `seq`.
+     */
+    addSegment: (session, segment) => {
+      const key = normalizeText(segment.text);
+      if (!key) return null;
+
+      const last = session.segments[session.segments.length - 1];
+      if (last?.forced && !segment.forced && key.startsWith(normalizeText(last.text))) {
+        const replaced = { ...segment, sessionId: session.id, seq: last.seq };
+        session.segments[session.segments.length - 1] = replaced;
+        return replaced;
+      }
+
+      const recent = session.segments.slice(-DEDUP_WINDOW);
+      if (recent.some((previous) => normalizeText(previous.text) === key && sameAudio(previous, segment))) {
+        return null;
+      }
+
+      session.lastSeq += 1;
+      const stored = { ...segment, sessionId: session.id, seq: session.lastSeq };
+      session.segments.push(stored);
+      return stored;
+    },
+  };
+};
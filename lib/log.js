@@ -0,0 +1,85 @@
+import { formatWithOptions } from 'node:util';
+
+import { redactText } from './phi.js';
+
+// --- Funções de Log Padronizadas ---
+// Níveis via LOG_LEVEL (debug, info, warn, error; padrão info). LOG_FORMAT=json
+// emite uma linha JSON por entrada (padrão no Cloud Run, onde K_SERVICE existe).
+// Dados pessoais são sempre mascarados, salvo LOG_REDACT=false em desenvolvimento.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// Nomes de severidade do Cloud Logging
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+const MAX_REDACT_DEPTH = 6;
+// Campos de objetos logados que guardam dados pessoais: o valor inteiro é
+// ocultado, já que nomes sem uma expressão antes ("paciente", "sr.") escapam do texto
+const PERSONAL_KEYS = new Set([
+  'name', 'patient', 'patientName', 'grantedBy', 'document', 'cpf', 'birthDate', 'phone', 'email', 'address',
+]);
+
+const minLevel = () => LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+const jsonFormat = () => (process.env.LOG_FORMAT || (process.env.K_SERVICE ? 'json' : 'text')) === 'json';
+
+/** Indica se mensagens do nível informado serão emitidas (evita montar textos grandes à toa). */
+export const isLevelEnabled = (level) => LEVELS[level] >= minLevel();
+
+/**
+ * Mascara dados pessoais em qualquer valor logado: textos, objetos e arrays
+ * (copiados, sem alterar o original) e mensagem/stack de erros. Campos de
+ * `PERSONAL_KEYS` viram `[OCULTO]`.
+ */
+export const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value) || depth >= MAX_REDACT_DEPTH) return '[...]';
+  seen.add(value);
+  if (value instanceof Error) {
+    const copy = new Error(redactText(value.message));
+    copy.name = value.name;
+    copy.stack = value.stack && redactText(value.stack);
+    Object.entries(value).forEach(([key, field]) => {
+      copy[key] = redact(field, depth + 1, seen);
+    });
+    return copy;
+  }
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1, seen));
+  if (value instanceof Date) return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      PERSONAL_KEYS.has(key) && field !== null && field !== undefined ? '[OCULTO]' : redact(field, depth + 1, seen),
+    ])
+  );
+};
+
+const write = (level, prefix, message, ...args) => {
+  if (!isLevelEnabled(level)) return;
+  const values = process.env.LOG_REDACT === 'false' ? [message, ...args] : [message, ...args].map((value) => redact(value));
+  const output = LEVELS[level] >= LEVELS.warn ? console.error : console.log;
+  const time = new Date().toISOString();
+
+  if (jsonFormat()) {
+    output(
+      JSON.stringify({
+        severity: SEVERITIES[level],
+        time,
+        component: prefix,
+        message: formatWithOptions({ breakLength: Infinity, depth: MAX_REDACT_DEPTH }, ...values),
+      })
+    );
+  } else {
+    output(`[${time}] [${prefix}]`, ...values);
+  }
+};
+
+export const logger = {
+  debug: (prefix, message, ...args) => write('debug', prefix, message, ...args),
+  info: (prefix, message, ...args) => write('info', prefix, message, ...args),
+  warn: (prefix, message, ...args) => write('warn', prefix, message, ...args),
+  error: (prefix, message, ...args) => write('error', prefix, message, ...args),
+};
+
+/** Atalho compatível: prefixos terminados em `-ERROR` (ex.: `API-ERROR`) saem como erro. */
+export const log = (prefix, message, ...args) =>
+  write(prefix.endsWith('-ERROR') ? 'error' : 'info', prefix, message, ...args);
@@ -0,0 +1,267 @@
+/**
+ * Formatos de saída estruturada dos endpoints de IA (ver
+ * `structured-output.js`): `schema` vai como `responseSchema` para o modelo e
+ * `refine` cobre as regras que o schema do Gemini não expressa.
+ */
+
+export const IA_TRANSCRIPTION_OUTPUT = {
+  name: 'ia-transcription',
+  schema: {
+    type: 'OBJECT',
+    properties: {
+      processedTranscript: {
+        type: 'ARRAY',
+        items: {
+          type: 'OBJECT',
+          properties: {
+            speakerTag: { type: 'INTEGER', nullable: true },
+            speaker: { type: 'STRING' },
+            text: { type: 'STRING' },
+            timestamp: { type: 'STRING', nullable: true },
+            isFinal: { type: 'BOOLEAN' },
+          },
+          required: ['speaker', 'text', 'isFinal'],
+        },
+      },
+      timeline: { type: 'ARRAY', items: { type: 'STRING' } },
+    },
+    required: ['processedTranscript', 'timeline'],
+  },
+  refine: ({ processedTranscript }) =>
+    processedTranscript.flatMap((item, index) => [
+      ...(item.isFinal !== true
+        ? [{ field: `processedTranscript[${index}].isFinal`, message: 'Deve ser true.' }]
+        : []),
+      ...(!item.text.trim()
+        ? [{ field: `processedTranscript[${index}].text`, message: 'Falas vazias não devem ser incluídas.' }]
+        : []),
+    ]),
+};
+
+// Campos exigidos por modo da resposta do chat
+const CHAT_MODE_FIELDS = {
+  CHATIME: ['mensagem'],
+  BIGTIME: ['mensagem', 'titulo'],
+  HTML: ['html', 'titulo'],
+};
+
+export const CHAT_OUTPUT = {
+  name: 'chat',
+  schema: {
+    type: 'OBJECT',
+    properties: {
+      mode: { type: 'STRING', enum: Object.keys(CHAT_MODE_FIELDS) },
+      mensagem: { type: 'STRING' },
+      html: { type: 'STRING' },
+      titulo: { type: 'STRING' },
+    },
+    required: ['mode'],
+  },
+  refine: (response) =>
+    CHAT_MODE_FIELDS[response.mode]
+      .filter((field) => typeof response[field] !== 'string' || !response[field].trim())
+      .map((field) => ({ field, message: `Obrigatório no modo ${response.mode}.` })),
+};
+
+/**
+ * Formato da geração por template de documento: um item por seção do
+ * template, na mesma ordem, com o HTML e os campos obrigatórios sem dados.
+ */
+export const documentOutput = (template) => {
+  const keys = template.sections.map((section) => section.key);
+  return {
+    name: 'document',
+    schema: {
+      type: 'OBJECT',
+      properties: {
+        sections: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              key: { type: 'STRING', enum: keys },
+              html: { type: 'STRING' },
+              missingFields: { type: 'ARRAY', items: { type: 'STRING' } },
+            },
+            required: ['key', 'html', 'missingFields'],
+          },
+        },
+      },
+      required: ['sections'],
+    },
+    refine: ({ sections }) => {
+      const returned = sections.map((section) => section.key);
+      return [
+        ...keys
+          .filter((key) => !returned.includes(key))
+          .map((key) => ({ field: 'sections', message: `Falta a seção "${key}".` })),
+        ...returned
+          .filter((key, index) => returned.indexOf(key) !== index)
+          .map((key) => ({ field: 'sections', message: `Seção "${key}" repetida.` })),
+      ];
+    },
+  };
+};
+
+export const VITAL_SIGN_TYPES = [
+  'blood-pressure',
+  'heart-rate',
+  'temperature',
+  'respiratory-rate',
+  'oxygen-saturation',
+  'weight',
+  'height',
+  'glucose',
+  'other',
+];
+
+const optionalText = { type: 'STRING', nullable: true };
+
+// Listas de entidades: campos de cada tipo, além de `segments`
+const ENTITY_FIELDS = {
+  symptoms: {
+    properties: { name: { type: 'STRING' }, onset: optionalText, duration: optionalText, severity: optionalText },
+    required: ['name'],
+  },
+  medications: {
+    properties: {
+      name: { type: 'STRING' },
+      dose: optionalText,
+      frequency: optionalText,
+      route: optionalText,
+      status: { type: 'STRING', enum: ['in-use', 'prescribed', 'suspended'], nullable: true },
+    },
+    required: ['name'],
+  },
+  allergies: {
+    properties: { substance: { type: 'STRING' }, reaction: optionalText },
+    required: ['substance'],
+  },
+  vitalSigns: {
+    properties: { type: { type: 'STRING', enum: VITAL_SIGN_TYPES }, value: { type: 'STRING' }, unit: optionalText },
+    required: ['type', 'value'],
+  },
+  diagnoses: {
+    properties: { name: { type: 'STRING' }, certainty: { type: 'STRING', enum: ['confirmed', 'hypothesis'] } },
+    required: ['name', 'certainty'],
+  },
+  exams: {
+    properties: { name: { type: 'STRING' }, reason: optionalText },
+    required: ['name'],
+  },
+  followUps: {
+    properties: { description: { type: 'STRING' }, timeframe: optionalText },
+    required: ['description'],
+  },
+};
+
+/**
+ * Formato da extração de entidades clínicas. Cada entidade cita em
+ * `segments` os índices das falas que a sustentam, que precisam existir na
+ * transcrição enviada (`segmentCount` falas).
+ */
+export const entitiesOutput = (segmentCount) => ({
+  name: 'entities',
+  schema: {
+    type: 'OBJECT',
+    properties: Object.fromEntries(
+      Object.entries(ENTITY_FIELDS).map(([list, { properties, required }]) => [
+        list,
+        {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: { ...properties, segments: { type: 'ARRAY', items: { type: 'INTEGER' } } },
+            required: [...required, 'segments'],
+          },
+        },
+      ])
+    ),
+    required: Object.keys(ENTITY_FIELDS),
+  },
+  refine: (entities) =>
+    Object.keys(ENTITY_FIELDS).flatMap((list) =>
+      entities[list].flatMap((entity, index) => {
+        const field = `${list}[${index}].segments`;
+        if (entity.segments.length === 0) {
+          return [{ field, message: 'Cite pelo menos uma fala.' }];
+        }
+        return entity.segments
+          .filter((segment) => segment < 0 || segment >= segmentCount)
+          .map((segment) => ({ field, message: `Índice ${segment} fora da transcrição (0 a ${segmentCount - 1}).` }));
+      })
+    ),
+});
+
+/**
+ * OCR de um anexo com `pageCount` páginas: o texto de cada página, uma vez
+ * cada, numeradas de 1 a `pageCount` na ordem do anexo.
+ */
+export const ocrOutput = (pageCount) => ({
+  name: 'ocr',
+  schema: {
+    type: 'OBJECT',
+    properties: {
+      pages: {
+        type: 'ARRAY',
+        items: {
+          type: 'OBJECT',
+          properties: { page: { type: 'INTEGER' }, text: { type: 'STRING' } },
+          required: ['page', 'text'],
+        },
+      },
+    },
+    required: ['pages'],
+  },
+  refine: ({ pages }) => {
+    const numbers = pages.map(({ page }) => page);
+    const missing = Array.from({ length: pageCount }, (_, index) => index + 1).filter(
+      (page) => !numbers.includes(page)
+    );
+    return [
+      ...(missing.length > 0 ? [{ field: 'pages', message: `Faltam as páginas: ${missing.join(', ')}.` }] : []),
+      ...pages.flatMap(({ page }, index) =>
+        page < 1 || page > pageCount || numbers.indexOf(page) !== index
+          ? [{ field: `pages[${index}].page`, message: `Página inválida ou repetida (use 1 a ${pageCount}).` }]
+          : []
+      ),
+    ];
+  },
+});
+
+/**
+ * Resumo de documento com citações: `keyPoints` traz os pontos principais e
+ * as páginas que sustentam cada um, que precisam estar em `pages` (as
+ * páginas do trecho ou do documento resumido).
+ */
+export const documentSummaryOutput = (pages) => ({
+  name: 'document-summary',
+  schema: {
+    type: 'OBJECT',
+    properties: {
+      summary: { type: 'STRING' },
+      keyPoints: {
+        type: 'ARRAY',
+        items: {
+          type: 'OBJECT',
+          properties: {
+            text: { type: 'STRING' },
+            pages: { type: 'ARRAY', items: { type: 'INTEGER' } },
+          },
+          required: ['text', 'pages'],
+        },
+      },
+    },
+    required: ['summary', 'keyPoints'],
+  },
+  refine: ({ summary, keyPoints }) => [
+    ...(!summary.trim() ? [{ field: 'summary', message: 'O resumo não pode ser vazio.' }] : []),
+    ...keyPoints.flatMap((point, index) => {
+      const field = `keyPoints[${index}].pages`;
+      if (point.pages.length === 0) return [{ field, message: 'Cite pelo menos uma página.' }];
+      return point.pages
+        .filter((page) => !pages.includes(page))
+        .map((page) => ({ field, message: `Página ${page} fora do trecho (${pages.join(', ')}).` }));
+    }),
+  ],
+});
@@ -0,0 +1,212 @@
+// Detecção de dados pessoais (PHI/PII) em texto livre: transcrições,
+// anamneses, documentos e mensagens de log. Heurísticas por regex para
+// pt-BR, en-US e es; não substitui uma revisão humana.
+
+// Nome próprio: palavras com inicial maiúscula, aceitando partículas (da, de, dos...)
+const NAME_WORD = String.raw`\p{Lu}[\p{Ll}'’]+`;
+const PERSON_NAME = String.raw`${NAME_WORD}(?:\s+(?:(?:d[aeo]s?|del|la|van|von)\s+)?${NAME_WORD}){0,4}`;
+// Expressões que costumam anteceder um nome
+const NAME_CUES = [
+  'meu nome é', 'me chamo', 'chamo-me', 'paciente', 'sr\\.?', 'sra\\.?', 'senhor', 'senhora',
+  'dr\\.?', 'dra\\.?', 'doutor', 'doutora', 'my name is', 'mr\\.?', 'mrs\\.?', 'ms\\.?', 'miss',
+  'me llamo', 'mi nombre es', 'señor', 'señora', 'don', 'doña', 'dona',
+];
+
+const anyInitialCase = (cue) => `[${cue[0]}${cue[0].toUpperCase()}]${cue.slice(1)}`;
+
+const STREET_WORDS = [
+  'rua', 'r\\.', 'avenida', 'av\\.', 'alameda', 'al\\.', 'travessa', 'tv\\.', 'rodovia', 'estrada',
+  'praça', 'largo', 'street', 'st\\.', 'avenue', 'ave\\.', 'road', 'rd\\.', 'boulevard', 'calle',
+  'carrera', 'pasaje', 'plaza',
+];
+
+// Expressões que costumam anteceder um telefone ("tel.:", "celular", "WhatsApp"...)
+const PHONE_CUES = [
+  'tel', 'telefone', 'fone', 'cel', 'celular', 'contato', 'whatsapp', 'whats', 'phone', 'mobile',
+  'teléfono', 'móvil',
+];
+
+// Trechos que não são dado pessoal, mas têm sequências de dígitos: UUIDs e
+// hashes, parâmetros de URL (ex.: `Expires=` das URLs assinadas) e
+// timestamps ISO 8601. As regras numéricas (`inTokens: false`) os ignoram.
+const TOKEN_PATTERNS = [
+  /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi,
+  /(?<![\p{L}\p{N}])(?=[0-9a-f]*[a-f])(?=[0-9a-f]*\d)[0-9a-f]{8,}(?![\p{L}\p{N}])/giu,
+  /[?&][\w.-]+=[^&\s#]*/g,
+  /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/g,
+];
+
+// Ordem importa: em sobreposição vence a regra que aparece primeiro
+const PHI_RULES = [
+  { type: 'email', pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.\p{L}{2,}/gu },
+  // Depois de "tel", "celular"... é telefone mesmo sem formatação (vem antes
+  // do CPF, que também pode ter 11 dígitos sem pontuação)
+  {
+    type: 'phone',
+    pattern: new RegExp(
+      String.raw`(?<=(?<!\p{L})(?:${PHONE_CUES.join('|')})\.?:?\s*)\+?[\d()][\d\s().-]{6,18}\d`,
+      'giu'
+    ),
+    inTokens: false,
+  },
+  // CPF com ou sem pontuação
+  { type: 'cpf', pattern: /(?<!\d)\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?!\d)/g, inTokens: false },
+  {
+    type: 'address',
+    pattern: new RegExp(
+      String.raw`(?<![\p{L}])(?:${STREET_WORDS.join('|')})\s+[^,\n;]{2,60}?(?:,?\s*(?:n[º°o.]?\s*)?\d{1,6}(?:\s*[-/,]?\s*(?:apto?\.?|apartamento|casa|bloco)\s*\w+)?)?(?=[,.;\n]|$)`,
+      'giu'
+    ),
+  },
+  // Formato em inglês: número antes do logradouro ("221B Baker Street")
+  {
+    type: 'address',
+    pattern: /(?<![\p{L}\p{N}])\d{1,5}\p{L}?\s+(?:\p{Lu}\p{Ll}+\s+){1,3}(?:Street|St\.|Avenue|Ave\.|Road|Rd\.|Boulevard|Lane|Drive)/gu,
+  },
+  { type: 'address', pattern: /(?<!\d)\d{5}-\d{3}(?!\d)/g, inTokens: false },
+  // Telefones só com formatação de telefone ou depois de "tel", "celular"...:
+  // uma sequência qualquer de 10 ou 11 dígitos pode ser ID, tamanho ou timestamp
+  {
+    type: 'phone',
+    pattern: /(?<![\d+])\+\d{1,3}[\s.-]?(?:\(\d{2,3}\)|\d{2,3})[\s.-]?9?\d{4}[\s.-]?\d{4}(?!\d)/g,
+    inTokens: false,
+  },
+  {
+    type: 'phone',
+    pattern: /(?<![\d+])\(\d{2,3}\)\s?9?\d{4}[\s.-]?\d{4}(?!\d)/g,
+    inTokens: false,
+  },
+  // Com separadores: "11 98765-4321", "11 9876.5432", "98765-4321"
+  {
+    type: 'phone',
+    pattern: /(?<![\d+.-])(?:\d{2}\s)?9?\d{4}[.-]\d{4}(?![\d.-])/g,
+    inTokens: false,
+  },
+  { type: 'phone', pattern: /(?<![\d+])\+\d{1,3}(?:[\s.-]?\d{2,4}){2,4}(?!\d)/g, inTokens: false },
+  // Datas completas (nascimento e outras)
+  {
+    type: 'date',
+    pattern: /(?<!\d)(?:\d{1,2}[/.-]\d{1,2}[/.-]\d{4}|\d{4}-\d{2}-\d{2})(?!\d)/g,
+    inTokens: false,
+  },
+  {
+    type: 'date',
+    pattern:
+      /(?<!\p{L})\d{1,2}\s+(?:de\s+)?(?:janeiro|fevereiro|março|abril|maio|junho|julho|agosto|setembro|outubro|novembro|dezembro|enero|febrero|marzo|mayo|junio|julio|septiembre|octubre|noviembre|diciembre|january|february|march|april|may|june|july|august|september|october|november|december)(?:\s+(?:de\s+)?|,?\s+)\d{4}(?!\d)/giu,
+  },
+  {
+    type: 'date',
+    pattern:
+      /(?<!\p{L})(?:january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2},?\s+\d{4}(?!\d)/giu,
+  },
+  {
+    type: 'name',
+    // Sem a flag `i`: o nome precisa das maiúsculas; as expressões aceitam as duas formas
+    pattern: new RegExp(
+      String.raw`(?<=(?<!\p{L})(?:${NAME_CUES.map(anyInitialCase).join('|')})\s+)${PERSON_NAME}`,
+      'gu'
+    ),
+  },
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const NAME_PARTICLE = /^(?:d[aeo]s?|del|la|van|von)$/i;
+const capitalize = (word) => word[0].toUpperCase() + word.slice(1).toLowerCase();
+const nameKey = (name) => name.split(/\s+/).join(' ').toLowerCase();
+const nameAlternatives = (names) =>
+  names
+    .sort((a, b) => b.length - a.length)
+    .map((name) => name.split(/\s+/).map(escapeRegExp).join(String.raw`\s+`))
+    .join('|');
+
+/**
+ * Regras para nomes já conhecidos. O nome completo é buscado sem diferenciar
+ * maiúsculas; as partes soltas ("Rosa", "Cruz") só com inicial maiúscula,
+ * para não marcar palavras comuns ("lesão rosa"). O trecho traz em
+ * `knownName` o nome completo de origem.
+ */
+const knownNameRules = (knownNames) => {
+  const names = knownNames
+    .filter((name) => typeof name === 'string' && name.trim().length > 1)
+    .map((name) => name.trim());
+  const fullNames = new Map(names.filter((name) => /\s/.test(name)).map((name) => [nameKey(name), name]));
+  const parts = new Map();
+  names.forEach((name) => {
+    const words = name.split(/\s+/);
+    (words.length === 1 ? words : words.filter((word) => word.length > 2 && !NAME_PARTICLE.test(word)))
+      .map(capitalize)
+      .forEach((part) => parts.has(part) || parts.set(part, name));
+  });
+  return [
+    fullNames.size > 0 && {
+      type: 'name',
+      pattern: new RegExp(String.raw`(?<!\p{L})(?:${nameAlternatives([...fullNames.values()])})(?!\p{L})`, 'giu'),
+      knownName: (value) => fullNames.get(nameKey(value)),
+    },
+    parts.size > 0 && {
+      type: 'name',
+      pattern: new RegExp(String.raw`(?<!\p{L})(?:${nameAlternatives([...parts.keys()])})(?!\p{L})`, 'gu'),
+      knownName: (value) => parts.get(value),
+    },
+  ].filter(Boolean);
+};
+
+/**
+ * Encontra dados pessoais em `text`. `knownNames` acrescenta nomes já
+ * conhecidos (ex.: o paciente da consulta), buscados em qualquer posição.
+ * Retorna trechos `{ type, start, end, value, knownName? }` sem sobreposição,
+ * em ordem; `knownName` é o nome conhecido de onde veio o trecho (o nome
+ * completo, mesmo quando o texto traz só uma parte dele).
+ * Tipos: `name`, `cpf`, `phone`, `email`, `date`, `address`.
+ */
+export const findPhi = (text, { knownNames = [] } = {}) => {
+  if (typeof text !== 'string' || !text) return [];
+  const rules = [...knownNameRules(knownNames), ...PHI_RULES];
+
+  const tokens = TOKEN_PATTERNS.flatMap((pattern) =>
+    [...text.matchAll(pattern)].map((match) => ({ start: match.index, end: match.index + match[0].length }))
+  );
+  const overlaps = (list, start, end) => list.some((span) => start < span.end && end > span.start);
+
+  const spans = [];
+  rules.forEach(({ type, pattern, inTokens = true, knownName }) => {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!inTokens && overlaps(tokens, start, end)) continue;
+      if (!overlaps(spans, start, end)) {
+        spans.push({ type, start, end, value: match[0], ...(knownName ? { knownName: knownName(match[0]) } : {}) });
+      }
+    }
+  });
+  return spans.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Substitui cada trecho encontrado por `findPhi` pelo resultado de
+ * `replacement(span)`.
+ */
+export const replacePhi = (text, replacement, options) => {
+  const spans = findPhi(text, options);
+  if (spans.length === 0) return text;
+  let result = '';
+  let cursor = 0;
+  spans.forEach((span) => {
+    result += text.slice(cursor, span.start) + replacement(span);
+    cursor = span.end;
+  });
+  return result + text.slice(cursor);
+};
+
+const REDACTION_LABELS = {
+  name: '[NOME]',
+  cpf: '[CPF]',
+  phone: '[TELEFONE]',
+  email: '[EMAIL]',
+  date: '[DATA]',
+  address: '[ENDEREÇO]',
+};
+
+/** Troca os dados pessoais de um texto por marcadores fixos (`[CPF]`, `[NOME]`...). */
+export const redactText = (text) => replacePhi(text, (span) => REDACTION_LABELS[span.type]);
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+
+// Bordas de palavra com Unicode: o `\b` do JS só conhece ASCII e falha em "você"
+const words = (alternatives) => String.raw`(?<!\p{L})(?:${alternatives.join('|')})(?!\p{L})`;
+
+// Padrões de texto com cara de instrução para o modelo (pt-BR, en-US, es)
+const INJECTION_RULES = [
+  {
+    rule: 'ignore-instructions',
+    pattern: new RegExp(
+      words(['ignore', 'disregard', 'forget', 'ignora', 'ignorar', 'desconsidere', 'desconsidera', 'esqueça', 'esqueca', 'olvida', 'omite']) +
+        '.{0,40}' +
+        words(['instructions?', 'prompts?', 'rules?', 'instruç(?:ões|ão)', 'instrucoes', 'regras', 'comandos?', 'instrucciones', 'reglas', 'indicaciones']),
+      'iu'
+    ),
+  },
+  {
+    rule: 'role-override',
+    pattern: new RegExp(
+      words(['you are now', 'from now on,? you', 'act as', 'pretend to be', 'a partir de agora,? (?:você|voce)', 'aja como', 'finja ser', 'ahora eres', 'actúa como', 'actua como', 'a partir de ahora,? (?:eres|tú|tu)']),
+      'iu'
+    ),
+  },
+  {
+    rule: 'system-prompt',
+    pattern: new RegExp(
+      words(['system prompt', 'prompt do sistema', 'instruç(?:ões|ão) do sistema', 'prompt del sistema', 'reveal your instructions', 'revele suas instruç(?:ões|ão)', 'revela tus instrucciones']),
+      'iu'
+    ),
+  },
+  {
+    rule: 'chat-markup',
+    pattern: /<\|(?:im_start|im_end|system|endoftext)\|>|\[\/?INST\]|^\s*(?:system|assistant|sistema)\s*:/imu,
+  },
+];
+
+const EXCERPT_RADIUS = 40;
+
+/**
+ * Procura trechos com cara de instrução em um conteúdo não confiável.
+ * Retorna `{ source, rule, excerpt }` para cada regra encontrada.
+ */
+export const scanForInjection = (text, source) => {
+  if (typeof text !== 'string' || !text) return [];
+  return INJECTION_RULES.map(({ rule, pattern }) => {
+    const match = pattern.exec(text);
+    if (!match) return null;
+    const start = Math.max(0, match.index - EXCERPT_RADIUS);
+    const end = Math.min(text.length, match.index + match[0].length + EXCERPT_RADIUS);
+    return { source, rule, excerpt: text.slice(start, end).replace(/\s+/g, ' ').trim() };
+  }).filter(Boolean);
+};
+
+/** Marcador aleatório por requisição: o conteúdo não consegue forjar o fim do bloco. */
+export const createBoundary = () => crypto.randomBytes(8).toString('hex');
+
+const delimit = (boundary, label, text) =>
+  `<<<${boundary} ${label}>>>\n${String(text).replace(/<<<|>>>/g, '‹‹‹')}\n<<<FIM ${boundary} ${label}>>>`;
+
+/**
+ * Separa instruções de conteúdo não confiável: as instruções (template já
+ * renderizado + aviso sobre os blocos) vão na `systemInstruction`, e cada
+ * conteúdo em `untrusted` (`{ label, text }`) vira uma parte delimitada da
+ * mensagem do usuário. Também devolve o que `scanForInjection` encontrou.
+ */
+export const isolateUntrusted = ({ instructions, notice, boundary, untrusted }) => {
+  const findings = untrusted.flatMap(({ label, text }) => scanForInjection(text, label));
+  return {
+    systemInstruction: `${instructions}\n\n${notice}`,
+    parts: untrusted.map(({ label, text }) => ({ text: delimit(boundary, label, text) })),
+    findings,
+  };
+};
+
+/** Campos de resposta que sinalizam conteúdo suspeito ao cliente. */
+export const injectionFlags = (findings) => ({
+  injectionSuspected: findings.length > 0,
+  ...(findings.length > 0 ? { injectionFindings: findings } : {}),
+});
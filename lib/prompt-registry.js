@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { log } from './log.js';
+
+export const SUPPORTED_LOCALES = ['pt-BR', 'en-US', 'es'];
+export const DEFAULT_LOCALE = 'pt-BR';
+
+const TEMPLATE_NAME = /^[a-z0-9-]+$/;
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const CONDITIONAL = /\{\{#if (\w+)\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g;
+const VARIABLE = /\{\{(\w+)\}\}/g;
+
+/**
+ * Normaliza um código de idioma para um dos locales suportados ("en" ou
+ * "en-GB" viram "en-US", "es-MX" vira "es"). Retorna `null` se não houver
+ * correspondência.
+ */
+export const matchLocale = (code) => {
+  if (typeof code !== 'string' || !code.trim()) return null;
+  const normalized = code.trim().toLowerCase();
+  const exact = SUPPORTED_LOCALES.find((locale) => locale.toLowerCase() === normalized);
+  if (exact) return exact;
+  const language = normalized.split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.find((locale) => locale.toLowerCase().split('-')[0] === language) || null;
+};
+
+const parseTemplate = (source, filePath) => {
+  const match = FRONT_MATTER.exec(source);
+  if (!match) throw new Error(`Template sem cabeçalho (---): ${filePath}`);
+  const meta = Object.fromEntries(
+    match[1]
+      .split(/\r?\n/)
+      .map((line) => /^(\w+):\s*(.*)$/.exec(line.trim()))
+      .filter(Boolean)
+      .map(([, key, value]) => [key, value])
+  );
+  if (!meta.version) throw new Error(`Template sem "version": ${filePath}`);
+  return { version: meta.version, description: meta.description || null, body: source.slice(match[0].length) };
+};
+
+/**
+ * Preenche o corpo do template: `{{#if nome}}...{{else}}...{{/if}}` (sem
+ * aninhamento) e depois `{{nome}}`. Variável ausente (`undefined`) é erro.
+ */
+const fill = (body, variables, name) =>
+  body
+    .replace(CONDITIONAL, (match, key, whenTrue, whenFalse = '') =>
+      variables[key] ? whenTrue : whenFalse
+    )
+    .replace(VARIABLE, (match, key) => {
+      if (variables[key] === undefined) {
+        throw new Error(`Variável "${key}" não informada para o template ${name}`);
+      }
+      return String(variables[key]);
+    })
+    .trim();
+
+/**
+ * Registro de templates de prompt versionados, lidos de
+ * `<dir>/<nome>/<locale>.txt`. Cada arquivo começa com um cabeçalho
+ * (`version`, `description`) entre linhas `---`. Os arquivos são relidos
+ * quando mudam no disco, então um texto novo não exige redeploy.
+ */
+export const createPromptRegistry = ({ dir }) => {
+  // caminho -> { mtimeMs, template }
+  const cache = new Map();
+
+  const loadFile = async (filePath) => {
+    const { mtimeMs } = await fs.stat(filePath);
+    const cached = cache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.template;
+    const template = parseTemplate(await fs.readFile(filePath, 'utf8'), filePath);
+    if (cached) log('Prompts', `Template recarregado: ${filePath} (versão ${template.version})`);
+    cache.set(filePath, { mtimeMs, template });
+    return template;
+  };
+
+  // Usa o locale pedido e, se não houver arquivo para ele, o padrão.
+  const load = async (name, locale) => {
+    if (!TEMPLATE_NAME.test(name)) throw new Error(`Nome de template inválido: ${name}`);
+    const candidates = [...new Set([matchLocale(locale) || DEFAULT_LOCALE, DEFAULT_LOCALE])];
+    for (const candidate of candidates) {
+      try {
+        return { locale: candidate, ...(await loadFile(path.join(dir, name, `${candidate}.txt`))) };
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+    throw new Error(`Template de prompt não encontrado: ${name}`);
+  };
+
+  return {
+    /**
+     * Renderiza o template `name` no `locale` pedido. Retorna `{ text,
+     * template }`, com `template = { name, version, locale }` para registrar
+     * junto com a saída gerada.
+     */
+    render: async (name, { locale, variables = {} } = {}) => {
+      const template = await load(name, locale);
+      return {
+        text: fill(template.body, variables, name),
+        template: { name, version: template.version, locale: template.locale },
+      };
+    },
+
+    /** Lista os templates disponíveis com a versão de cada locale. */
+    list: async () => {
+      const names = (await fs.readdir(dir, { withFileTypes: true }))
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort();
+      return Promise.all(
+        names.map(async (name) => {
+          const files = (await fs.readdir(path.join(dir, name))).filter((file) => file.endsWith('.txt'));
+          const locales = await Promise.all(
+            files.map(async (file) => {
+              const { version, description } = await loadFile(path.join(dir, name, file));
+              return { locale: path.basename(file, '.txt'), version, description };
+            })
+          );
+          return { name, locales };
+        })
+      );
+    },
+  };
+};
@@ -0,0 +1,242 @@
+const ENCODINGS = ['WEBM_OPUS', 'OGG_OPUS', 'LINEAR16', 'FLAC', 'MULAW'];
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+const MODELS = [
+  'default',
+  'telephony',
+  'phone_call',
+  'video',
+  'latest_long',
+  'latest_short',
+  'command_and_search',
+  'medical_conversation',
+  'medical_dictation',
+];
+// Modelos médicos da Speech API só existem em inglês americano.
+const EN_US_ONLY_MODELS = ['medical_conversation', 'medical_dictation'];
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[A-Za-z]{2,4})?(-[A-Z]{2}|-\d{3})?$/;
+const MAX_ALTERNATIVE_LANGUAGES = 3;
+const MAX_SPEAKERS = 10;
+const MAX_PHRASES = 5000;
+const MAX_PHRASE_LENGTH = 100;
+const MAX_BOOST = 20;
+
+// Opções que o servidor define sozinho no modo batch (a partir do arquivo convertido).
+const SERVER_MANAGED_IN_BATCH = ['encoding', 'sampleRateHertz'];
+
+const KNOWN_OPTIONS = [
+  'encoding',
+  'sampleRateHertz',
+  'languageCode',
+  'lang',
+  'alternativeLanguageCodes',
+  'model',
+  'diarization',
+  'speechContexts',
+  'phraseHints',
+  'profanityFilter',
+  'enableAutomaticPunctuation',
+];
+
+const DEFAULTS = {
+  streaming: {
+    encoding: 'WEBM_OPUS',
+    sampleRateHertz: 48000,
+    languageCode: 'pt-BR',
+    alternativeLanguageCodes: ['en-US'],
+    model: 'telephony',
+    diarization: { enabled: true, minSpeakerCount: 2, maxSpeakerCount: 6 },
+  },
+  batch: {
+    languageCode: 'pt-BR',
+    alternativeLanguageCodes: ['en-US'],
+    diarization: { enabled: true, minSpeakerCount: 2, maxSpeakerCount: 6 },
+  },
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validateSpeechContexts = (contexts, errors) => {
+  if (!Array.isArray(contexts)) {
+    errors.push({ field: 'speechContexts', message: 'Deve ser um array de { phrases, boost }.' });
+    return [];
+  }
+  let phraseCount = 0;
+  const valid = contexts.map((context, index) => {
+    const field = `speechContexts[${index}]`;
+    if (!isPlainObject(context) || !Array.isArray(context.phrases)) {
+      errors.push({ field, message: 'Deve conter "phrases" (array de strings).' });
+      return null;
+    }
+    const badPhrase = context.phrases.find(
+      (phrase) =>
+        typeof phrase !== 'string' || !phrase.trim() || phrase.length > MAX_PHRASE_LENGTH
+    );
+    if (badPhrase !== undefined) {
+      errors.push({
+        field: `${field}.phrases`,
+        message: `Frases devem ser strings não vazias de até ${MAX_PHRASE_LENGTH} caracteres.`,
+      });
+    }
+    if (
+      context.boost !== undefined &&
+      (typeof context.boost !== 'number' || context.boost < 0 || context.boost > MAX_BOOST)
+    ) {
+      errors.push({ field: `${field}.boost`, message: `Deve ser um número entre 0 e ${MAX_BOOST}.` });
+    }
+    phraseCount += context.phrases.length;
+    return {
+      phrases: context.phrases.map((phrase) => String(phrase).trim()),
+      ...(context.boost !== undefined ? { boost: context.boost } : {}),
+    };
+  });
+  if (phraseCount > MAX_PHRASES) {
+    errors.push({ field: 'speechContexts', message: `Máximo de ${MAX_PHRASES} frases no total.` });
+  }
+  return valid.filter(Boolean);
+};
+
+/**
+ * Valida as opções de reconhecimento enviadas pelo cliente (no
+ * `start-recording` ou no campo `options` do `/batch-transcribe`) e monta o
+ * `config` da Speech API.
+ *
+ * `mode` é `streaming` ou `batch`; no batch, codificação e taxa de amostragem
+ * vêm do arquivo convertido e não podem ser enviadas. Retorna
+ * `{ config, errors }`, onde `errors` é uma lista de `{ field, message }`.
+ */
+export const parseRecognitionOptions = (input = {}, { mode = 'streaming' } = {}) => {
+  const errors = [];
+  if (!isPlainObject(input)) {
+    return { config: null, errors: [{ field: 'options', message: 'Deve ser um objeto.' }] };
+  }
+
+  Object.keys(input)
+    .filter((key) => !KNOWN_OPTIONS.includes(key))
+    .forEach((key) => errors.push({ field: key, message: 'Opção não suportada.' }));
+  if (mode === 'batch') {
+    SERVER_MANAGED_IN_BATCH.filter((key) => input[key] !== undefined).forEach((key) =>
+      errors.push({ field: key, message: 'Definido pelo servidor a partir do arquivo enviado.' })
+    );
+  }
+
+  const defaults = DEFAULTS[mode];
+  // `lang` é o nome antigo de `languageCode` no start-recording
+  const options = {
+    ...defaults,
+    ...input,
+    languageCode: input.languageCode ?? input.lang ?? defaults.languageCode,
+    diarization: { ...defaults.diarization, ...(isPlainObject(input.diarization) ? input.diarization : {}) },
+  };
+
+  if (mode === 'streaming') {
+    if (!ENCODINGS.includes(options.encoding)) {
+      errors.push({ field: 'encoding', message: `Use um de: ${ENCODINGS.join(', ')}.` });
+    }
+    const rate = options.sampleRateHertz;
+    if (!Number.isInteger(rate) || rate < 8000 || rate > 48000) {
+      errors.push({ field: 'sampleRateHertz', message: 'Deve ser um inteiro entre 8000 e 48000.' });
+    } else if (options.encoding?.endsWith('_OPUS') && !OPUS_SAMPLE_RATES.includes(rate)) {
+      errors.push({
+        field: 'sampleRateHertz',
+        message: `Para Opus, use um de: ${OPUS_SAMPLE_RATES.join(', ')}.`,
+      });
+    }
+  }
+
+  if (typeof options.languageCode !== 'string' || !LANGUAGE_CODE.test(options.languageCode)) {
+    errors.push({ field: 'languageCode', message: 'Código de idioma BCP-47 inválido (ex.: pt-BR).' });
+  }
+
+  const alternatives = options.alternativeLanguageCodes;
+  if (
+    !Array.isArray(alternatives) ||
+    alternatives.length > MAX_ALTERNATIVE_LANGUAGES ||
+    alternatives.some((code) => typeof code !== 'string' || !LANGUAGE_CODE.test(code))
+  ) {
+    errors.push({
+      field: 'alternativeLanguageCodes',
+      message: `Deve ser um array de até ${MAX_ALTERNATIVE_LANGUAGES} códigos BCP-47.`,
+    });
+  }
+
+  if (options.model !== undefined) {
+    if (!MODELS.includes(options.model)) {
+      errors.push({ field: 'model', message: `Use um de: ${MODELS.join(', ')}.` });
+    } else if (EN_US_ONLY_MODELS.includes(options.model) && options.languageCode !== 'en-US') {
+      errors.push({ field: 'model', message: `O modelo ${options.model} só suporta en-US.` });
+    }
+  }
+
+  if (input.diarization !== undefined && !isPlainObject(input.diarization)) {
+    errors.push({ field: 'diarization', message: 'Deve ser { enabled, minSpeakerCount, maxSpeakerCount }.' });
+  }
+  const { enabled, minSpeakerCount, maxSpeakerCount } = options.diarization;
+  if (typeof enabled !== 'boolean') {
+    errors.push({ field: 'diarization.enabled', message: 'Deve ser booleano.' });
+  }
+  if (enabled) {
+    if (!Number.isInteger(minSpeakerCount) || minSpeakerCount < 1 || minSpeakerCount > MAX_SPEAKERS) {
+      errors.push({
+        field: 'diarization.minSpeakerCount',
+        message: `Deve ser um inteiro entre 1 e ${MAX_SPEAKERS}.`,
+      });
+    }
+    if (
+      !Number.isInteger(maxSpeakerCount) ||
+      maxSpeakerCount > MAX_SPEAKERS ||
+      maxSpeakerCount < minSpeakerCount
+    ) {
+      errors.push({
+        field: 'diarization.maxSpeakerCount',
+        message: `Deve ser um inteiro entre minSpeakerCount e ${MAX_SPEAKERS}.`,
+      });
+    }
+  }
+
+  let speechContexts = [];
+  if (options.speechContexts !== undefined) {
+    speechContexts = validateSpeechContexts(options.speechContexts, errors);
+  }
+  if (options.phraseHints !== undefined) {
+    speechContexts.push(...validateSpeechContexts([{ phrases: options.phraseHints }], errors));
+  }
+
+  ['profanityFilter', 'enableAutomaticPunctuation'].forEach((field) => {
+    if (options[field] !== undefined && typeof options[field] !== 'boolean') {
+      errors.push({ field, message: 'Deve ser booleano.' });
+    }
+  });
+
+  if (errors.length > 0) return { config: null, errors };
+
+  const config = {
+    ...(mode === 'streaming'
+      ? { encoding: options.encoding, sampleRateHertz: options.sampleRateHertz }
+      : {}),
+    languageCode: options.languageCode,
+    alternativeLanguageCodes: alternatives,
+    enableAutomaticPunctuation: options.enableAutomaticPunctuation ?? true,
+    enableWordTimeOffsets: true,
+    enableWordConfidence: true,
+    profanityFilter: options.profanityFilter ?? false,
+    ...(enabled
+      ? {
+          diarizationConfig: {
+            enableSpeakerDiarization: true,
+            minSpeakerCount,
+            maxSpeakerCount,
+          },
+        }
+      : {}),
+    ...(options.model ? { model: options.model, useEnhanced: true } : {}),
+    ...(speechContexts.length > 0 ? { speechContexts } : {}),
+  };
+  return { config, errors };
+};
+
+/** Resume a lista de erros em uma mensagem única (para o evento 'error' do socket). */
+export const formatOptionErrors = (errors) =>
+  `Opções de reconhecimento inválidas: ${errors
+    .map(({ field, message }) => `${field}: ${message}`)
+    .join('; ')}`;
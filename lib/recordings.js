@@ -0,0 +1,43 @@
+/**
+ * Registro das gravações de áudio (arquivo no bucket + dono), usado para
+ * restringir `/audio-url` e `DELETE /audio` ao profissional que gravou.
+ */
+export const createRecordingService = (store) => ({
+  create: ({
+    id,
+    filename,
+    originalFilename = filename,
+    uri,
+    owner,
+    consultationId = null,
+    status = 'finalized',
+    consent = null,
+  }) =>
+    store.put(id, {
+      id,
+      filename,
+      originalFilename,
+      uri,
+      owner,
+      consultationId,
+      status,
+      consent,
+      createdAt: new Date().toISOString(),
+    }),
+
+  /** Marca uma gravação ao vivo como finalizada (arquivo completo no bucket). */
+  markFinalized: (id, { bytes, consultationId }) =>
+    store.update(id, (current) => ({
+      ...current,
+      status: 'finalized',
+      bytes,
+      consultationId: consultationId ?? current.consultationId,
+      finalizedAt: new Date().toISOString(),
+    })),
+
+  get: (id) => store.get(id),
+
+  list: () => store.list(),
+
+  remove: (id) => store.remove(id),
+});
@@ -0,0 +1,255 @@
+import { log } from './log.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Tipos de dado com regra de retenção e a variável de ambiente de cada um
+const RETENTION_ENV = {
+  audio: 'RETENTION_AUDIO_DAYS',
+  documents: 'RETENTION_DOCUMENT_DAYS',
+  documentText: 'RETENTION_DOCUMENT_TEXT_DAYS',
+  exports: 'RETENTION_EXPORT_DAYS',
+};
+
+/**
+ * Regras de retenção em dias por tipo (`audio`, `documents`, `documentText`,
+ * `exports`), lidas de RETENTION_AUDIO_DAYS, RETENTION_DOCUMENT_DAYS,
+ * RETENTION_DOCUMENT_TEXT_DAYS (texto extraído em cache) e
+ * RETENTION_EXPORT_DAYS. Sem a variável (ou vazia), o tipo é mantido (`null`).
+ */
+export const parseRetentionRules = (env = process.env) =>
+  Object.fromEntries(
+    Object.entries(RETENTION_ENV).map(([type, variable]) => {
+      if (env[variable] === undefined || env[variable] === '') return [type, null];
+      const days = Number(env[variable]);
+      if (!Number.isInteger(days) || days < 1) {
+        throw new Error(`${variable} deve ser um número inteiro de dias (>= 1).`);
+      }
+      return [type, days];
+    })
+  );
+
+const normalizeName = (name) =>
+  String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+const digits = (value) => String(value).replace(/\D/g, '');
+
+/**
+ * Valida um pedido de eliminação: `{ patient: { document?, name?, birthDate? },
+ * dryRun? }`, com documento (ex.: CPF) ou nome. Retorna os erros por campo.
+ */
+export const validateErasureRequest = (body) => {
+  const errors = [];
+  const { patient, dryRun } = body;
+  if (!patient || typeof patient !== 'object' || Array.isArray(patient)) {
+    return [{ field: 'patient', message: 'Informe o paciente ({ document } ou { name }).' }];
+  }
+  ['document', 'name', 'birthDate'].forEach((field) => {
+    if (patient[field] !== undefined && (typeof patient[field] !== 'string' || !patient[field].trim())) {
+      errors.push({ field: `patient.${field}`, message: 'Deve ser texto.' });
+    }
+  });
+  if (patient.document === undefined && patient.name === undefined) {
+    errors.push({ field: 'patient', message: 'Informe o documento ou o nome do paciente.' });
+  }
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    errors.push({ field: 'dryRun', message: 'Deve ser booleano.' });
+  }
+  return errors;
+};
+
+/**
+ * Indica se a consulta é do paciente: pelo documento quando informado,
+ * senão pelo nome (sem acentos/caixa), e pela data de nascimento se houver.
+ */
+const patientData = (consultation) =>
+  typeof consultation.patient === 'string' ? { name: consultation.patient } : consultation.patient;
+
+export const matchesPatient = (consultation, patient) => {
+  const data = patientData(consultation);
+  if (!data) return false;
+  if (patient.document) return Boolean(data.document) && digits(data.document) === digits(patient.document);
+  if (!data.name || normalizeName(data.name) !== normalizeName(patient.name)) return false;
+  return !patient.birthDate || data.birthDate === patient.birthDate;
+};
+
+/**
+ * Ciclo de vida dos dados: varredura de retenção (apaga áudio, documentos,
+ * texto extraído e exportações mais antigos que a regra) e eliminação de tudo que estiver
+ * ligado a um paciente. Ambas aceitam `dryRun` para só gerar o relatório.
+ */
+export const createRetentionService = ({
+  rules,
+  storage,
+  audioBucket,
+  documentBucket,
+  consultations,
+  recordings,
+  documents,
+  documentText,
+  exportsService,
+  batchJobs,
+  deidentifications,
+}) => {
+  // Apaga arquivos que ainda existirem no bucket
+  const deleteFiles = async (bucket, filenames) => {
+    for (const filename of [...new Set(filenames.filter(Boolean))]) {
+      if (await storage.exists(bucket, filename)) await storage.delete(bucket, filename);
+    }
+  };
+
+  const purge = {
+    recording: async (recording) => {
+      await deleteFiles(audioBucket, [recording.filename, recording.originalFilename]);
+      await recordings.remove(recording.id);
+      if (recording.consultationId) {
+        await consultations.removeAudio(recording.consultationId, recording.id);
+      }
+    },
+    document: async (document) => {
+      await deleteFiles(documentBucket, [document.filename]);
+      await documents.remove(document.id);
+    },
+    documentText: (cached) => documentText.remove(cached.id),
+    export: async (exported) => {
+      await deleteFiles(documentBucket, [exported.filename]);
+      await exportsService.remove(exported.id);
+    },
+    batchJob: (job) => batchJobs.remove(job.id),
+    deidentification: (record) => deidentifications.remove(record),
+    consultation: (consultation) => consultations.remove(consultation.id),
+  };
+
+  // Executa as remoções (fora do dry-run) e monta o relatório por tipo
+  const run = async (items, dryRun) => {
+    const report = { dryRun, items: [], deleted: 0, errors: [] };
+    for (const { type, record } of items) {
+      report.items.push({ type, id: record.id, createdAt: record.createdAt ?? null });
+      if (dryRun) continue;
+      try {
+        await purge[type](record);
+        report.deleted += 1;
+      } catch (err) {
+        log('Retention-ERROR', `Falha ao remover ${type} ${record.id}:`, err);
+        report.errors.push({ type, id: record.id, message: 'Falha ao remover.' });
+      }
+    }
+    return report;
+  };
+
+  const inTenant = (record, tenantId) => !tenantId || record.owner?.tenantId === tenantId;
+
+  return {
+    rules,
+
+    /**
+     * Varredura de retenção. `tenantId` limita a um tenant (execuções pedidas
+     * por um administrador); sem ele, varre tudo (execução agendada).
+     * Gravações ao vivo ainda abertas nunca são removidas.
+     */
+    sweep: async ({ dryRun = true, tenantId = null, now = Date.now() } = {}) => {
+      const expired = (record, days) =>
+        days !== null && inTenant(record, tenantId) && Date.parse(record.createdAt) < now - days * DAY_MS;
+      const items = [
+        ...(rules.audio === null ? [] : await recordings.list())
+          .filter((recording) => recording.status !== 'recording' && expired(recording, rules.audio))
+          .map((record) => ({ type: 'recording', record })),
+        ...(rules.documents === null ? [] : await documents.list())
+          .filter((document) => expired(document, rules.documents))
+          .map((record) => ({ type: 'document', record })),
+        // O cache de texto não tem dono (é compartilhado): só a varredura agendada o expira
+        ...(rules.documentText === null ? [] : await documentText.list())
+          .filter((cached) => expired(cached, rules.documentText))
+          .map((record) => ({ type: 'documentText', record })),
+        ...(rules.exports === null ? [] : await exportsService.list())
+          .filter((exported) => expired(exported, rules.exports))
+          .map((record) => ({ type: 'export', record })),
+      ];
+      const report = await run(items, dryRun);
+      log(
+        'Retention',
+        `Varredura ${dryRun ? '(dry-run) ' : ''}concluída: ${items.length} itens expirados, ${report.deleted} removidos`
+      );
+      return { ...report, ranAt: new Date(now).toISOString(), rules };
+    },
+
+    /**
+     * Eliminação a pedido do titular: remove as consultas do paciente no
+     * tenant e tudo ligado a elas (gravações, jobs em lote, documentos, texto
+     * extraído em cache e exportações), além dos mapeamentos de
+     * de-identificação feitos a partir dessas consultas ou que guardem o
+     * documento ou o nome do paciente. O relatório traz só IDs, sem dados do paciente.
+     */
+    erasePatient: async ({ patient, tenantId, dryRun = false }) => {
+      const matched = (await consultations.listByTenant(tenantId)).filter((consultation) =>
+        matchesPatient(consultation, patient)
+      );
+      const consultationIds = new Set(matched.map((consultation) => consultation.id));
+      const recordingIds = new Set(
+        matched.flatMap((consultation) => (consultation.audio || []).map((audio) => audio.recordingId))
+      );
+      const linked = (record) => inTenant(record, tenantId) && consultationIds.has(record.consultationId);
+      const linkedDocuments = (await documents.list()).filter(linked);
+      // Texto extraído em cache dos documentos enviados e dos resumidos nas consultas
+      const contentHashes = new Set(
+        [
+          ...linkedDocuments.map((document) => document.contentHash),
+          ...matched.flatMap((consultation) =>
+            (consultation.documentSummaries || []).map((summary) => summary.extraction?.contentHash)
+          ),
+        ].filter(Boolean)
+      );
+
+      // Mapeamentos com o paciente: pelo documento/nome pedido ou das consultas encontradas
+      const patientDocuments = new Set(
+        [patient.document, ...matched.map((consultation) => patientData(consultation)?.document)]
+          .filter(Boolean)
+          .map(digits)
+      );
+      const patientNames = new Set(
+        [patient.name, ...matched.map((consultation) => patientData(consultation)?.name)]
+          .filter(Boolean)
+          .map(normalizeName)
+      );
+      const holdsPatient = (entry) =>
+        (entry.type === 'cpf' && patientDocuments.has(digits(entry.value))) ||
+        (entry.type === 'name' && patientNames.has(normalizeName(entry.value)));
+      const mappings = (await deidentifications.list()).filter(
+        (record) =>
+          inTenant(record, tenantId) &&
+          (consultationIds.has(record.consultationId) || (record.mapping || []).some(holdsPatient))
+      );
+
+      const items = [
+        ...mappings.map((record) => ({ type: 'deidentification', record })),
+        ...(consultationIds.size === 0
+          ? []
+          : [
+              ...(await recordings.list())
+                .filter(
+                  (recording) =>
+                    linked(recording) || (inTenant(recording, tenantId) && recordingIds.has(recording.id))
+                )
+                .map((record) => ({ type: 'recording', record })),
+              ...(await batchJobs.list()).filter(linked).map((record) => ({ type: 'batchJob', record })),
+              ...linkedDocuments.map((record) => ({ type: 'document', record })),
+              ...(await documentText.list())
+                .filter((cached) => contentHashes.has(cached.id))
+                .map((record) => ({ type: 'documentText', record })),
+              ...(await exportsService.list()).filter(linked).map((record) => ({ type: 'export', record })),
+              // Consultas por último: as remoções acima ainda atualizam a consulta
+              ...matched.map((record) => ({ type: 'consultation', record })),
+          ]),
+      ];
+      const report = await run(items, dryRun);
+      log(
+        'Retention',
+        `Eliminação ${dryRun ? '(dry-run) ' : ''}de paciente no tenant ${tenantId}: ${matched.length} consultas, ${report.deleted} itens removidos`
+      );
+      return { ...report, consultations: matched.length };
+    },
+  };
+};
@@ -0,0 +1,157 @@
+import { log } from './log.js';
+
+const TYPE_CHECKS = {
+  STRING: (value) => typeof value === 'string',
+  NUMBER: (value) => typeof value === 'number' && Number.isFinite(value),
+  INTEGER: (value) => Number.isInteger(value),
+  BOOLEAN: (value) => typeof value === 'boolean',
+  ARRAY: Array.isArray,
+  OBJECT: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  STRING: 'texto',
+  NUMBER: 'número',
+  INTEGER: 'inteiro',
+  BOOLEAN: 'booleano',
+  ARRAY: 'array',
+  OBJECT: 'objeto',
+};
+
+/**
+ * Valida `value` contra um schema no formato do `responseSchema` do Gemini
+ * (subconjunto OpenAPI: `type`, `properties`, `required`, `items`, `enum`,
+ * `nullable`). Retorna uma lista de `{ field, message }`, com `field` no
+ * formato `timeline[2]` / `processedTranscript[0].text`.
+ */
+export const validateSchema = (value, schema, field = '') => {
+  const label = field || '(raiz)';
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [{ field: label, message: 'Valor ausente.' }];
+  }
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return [{ field: label, message: `Deve ser ${TYPE_NAMES[schema.type]}.` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field: label, message: `Use um de: ${schema.enum.join(', ')}.` }];
+  }
+
+  if (schema.type === 'ARRAY' && schema.items) {
+    return value.flatMap((item, index) => validateSchema(item, schema.items, `${field}[${index}]`));
+  }
+  if (schema.type === 'OBJECT') {
+    const prefix = field ? `${field}.` : '';
+    const missing = (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .map((key) => ({ field: `${prefix}${key}`, message: 'Campo obrigatório ausente.' }));
+    const invalid = Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .flatMap(([key, propertySchema]) =>
+        validateSchema(value[key], propertySchema, `${prefix}${key}`)
+      );
+    return [...missing, ...invalid];
+  }
+  return [];
+};
+
+/**
+ * Extrai o JSON de uma resposta do modelo, tolerando cercas de markdown e texto
+ * em volta do objeto. Retorna `{ value }` ou `{ error }`.
+ */
+export const parseJsonResponse = (text) => {
+  const unfenced = text.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+  try {
+    return { value: JSON.parse(unfenced) };
+  } catch (err) {
+    const objectMatch = unfenced.match(/\{[\s\S]*\}/);
+    if (objectMatch) {
+      try {
+        return { value: JSON.parse(objectMatch[0]) };
+      } catch {
+        // cai no erro do parse original
+      }
+    }
+    return { error: err.message };
+  }
+};
+
+/**
+ * Valida uma resposta contra o formato declarado (`spec.schema` mais as regras
+ * extras de `spec.refine`, que devolve erros no mesmo formato).
+ */
+export const checkStructuredResponse = (text, spec) => {
+  const { value, error } = parseJsonResponse(text);
+  if (error) {
+    return { errors: [{ field: '(raiz)', message: `JSON inválido: ${error}` }] };
+  }
+  const errors = validateSchema(value, spec.schema);
+  if (errors.length === 0 && spec.refine) errors.push(...spec.refine(value));
+  return { value, errors };
+};
+
+/** Pede ao modelo JSON restrito ao schema do formato (`responseSchema`). */
+export const withResponseSchema = (request, spec) => ({
+  ...request,
+  generationConfig: {
+    ...request.generationConfig,
+    responseMimeType: 'application/json',
+    responseSchema: spec.schema,
+  },
+});
+
+const repairInstruction = (errors) => `
+Sua resposta anterior não segue o formato JSON exigido. Problemas encontrados:
+${errors.map(({ field, message }) => `- ${field}: ${message}`).join('\n')}
+
+Responda novamente APENAS com o objeto JSON corrigido, sem texto ou markdown em volta, mantendo o mesmo conteúdo.
+`;
+
+/**
+ * Gera uma resposta estruturada: valida o JSON devolvido pelo modelo e, se for
+ * inválido, reenvia a conversa com a resposta anterior e a lista de problemas
+ * para correção, até `maxAttempts` tentativas. `firstResponse` aproveita um
+ * texto já gerado (ex.: via streaming) como primeira tentativa.
+ *
+ * Retorna `{ data, attempts }`. Se nenhuma tentativa for válida, lança um erro
+ * com `status: 502`, `expose: true` e `details` (erros por campo da última).
+ */
+export const generateStructured = async ({
+  generate,
+  request,
+  spec,
+  maxAttempts = 3,
+  firstResponse,
+}) => {
+  const baseRequest = withResponseSchema(request, spec);
+  let previous = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    // Sem texto anterior (resposta vazia) não há o que corrigir: só repete o pedido
+    const attemptRequest = previous?.text
+      ? {
+          ...baseRequest,
+          contents: [
+            ...baseRequest.contents,
+            { role: 'model', parts: [{ text: previous.text }] },
+            { role: 'user', parts: [{ text: repairInstruction(previous.errors) }] },
+          ],
+        }
+      : baseRequest;
+
+    const text =
+      attempt === 1 && firstResponse !== undefined ? firstResponse : await generate(attemptRequest);
+    const { value, errors } = text
+      ? checkStructuredResponse(text, spec)
+      : { errors: [{ field: '(raiz)', message: 'Resposta vazia.' }] };
+    if (errors.length === 0) return { data: value, attempts: attempt };
+
+    log('LLM', `Resposta fora do formato ${spec.name} (tentativa ${attempt}/${maxAttempts}):`, errors);
+    previous = { text, errors };
+  }
+
+  throw Object.assign(new Error('A resposta da IA não seguiu o formato esperado.'), {
+    status: 502,
+    expose: true,
+    details: previous.errors,
+  });
+};
@@ -0,0 +1,59 @@
+/**
+ * Converte um `google.protobuf.Duration` ({ seconds, nanos }) em milissegundos.
+ * `seconds` pode vir como número, string ou Long.
+ */
+export const durationToMs = (duration) => {
+  if (!duration) return 0;
+  const { seconds = 0, nanos = 0 } = duration;
+  const wholeSeconds = typeof seconds?.toNumber === 'function' ? seconds.toNumber() : Number(seconds);
+  return Math.round(wholeSeconds * 1000 + Number(nanos) / 1e6);
+};
+
+/** Formata um deslocamento em ms como "mm:ss" (ou "h:mm:ss" a partir de 1 hora). */
+export const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+/**
+ * Converte as palavras da Speech API em `{ word, startMs, endMs, confidence,
+ * speakerTag }`, somando `offsetMs` (início do stream dentro da gravação).
+ */
+export const toTimedWords = (words = [], offsetMs = 0) =>
+  words.map((word) => ({
+    word: word.word,
+    startMs: offsetMs + durationToMs(word.startTime),
+    endMs: offsetMs + durationToMs(word.endTime),
+    ...(word.confidence ? { confidence: word.confidence } : {}),
+    ...(word.speakerTag ? { speakerTag: word.speakerTag } : {}),
+  }));
+
+/**
+ * Monta um segmento de transcrição com deslocamentos desde o início da
+ * gravação. Sem palavras, usa `fallbackStartMs`/`fallbackEndMs`.
+ */
+export const buildTimedSegment = ({
+  text,
+  isFinal = true,
+  speakerTag,
+  words = [],
+  confidence,
+  fallbackStartMs = 0,
+  fallbackEndMs = fallbackStartMs,
+}) => {
+  const startMs = words.length > 0 ? words[0].startMs : fallbackStartMs;
+  const endMs = words.length > 0 ? words[words.length - 1].endMs : fallbackEndMs;
+  return {
+    text,
+    isFinal,
+    speakerTag,
+    startMs,
+    endMs,
+    timestamp: formatElapsed(startMs),
+    ...(confidence ? { confidence } : {}),
+    ...(words.length > 0 ? { words } : {}),
+  };
+};
@@ -0,0 +1,251 @@
+import { v4 as uuidv4 } from 'uuid';
+
+import { log } from './log.js';
+
+export const VOCABULARY_CATEGORIES = ['medication', 'specialty', 'exam', 'place', 'other'];
+
+const DEFAULT_BOOST = 10;
+const MAX_BOOST = 20;
+const MAX_PHRASE_LENGTH = 100;
+const MAX_PHRASES_PER_LIST = 1000;
+// Limite da Speech API para o total de frases em `speechContexts`
+const MAX_SPEECH_PHRASES = 5000;
+// Vocabulário em cache é recarregado em segundo plano depois deste intervalo
+const CACHE_TTL_MS = 60 * 1000;
+
+const isNonEmptyString = (value, maxLength = MAX_PHRASE_LENGTH) =>
+  typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+/**
+ * Valida os campos de uma lista de vocabulário. Com `partial`, só os campos
+ * presentes são verificados (PATCH). Retorna uma lista de `{ field, message }`.
+ */
+export const validateVocabularyList = (data, { partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => !partial || data[field] !== undefined;
+
+  if (has('name') && !isNonEmptyString(data.name)) {
+    errors.push({ field: 'name', message: 'Obrigatório, até 100 caracteres.' });
+  }
+  if (has('category') && !VOCABULARY_CATEGORIES.includes(data.category)) {
+    errors.push({ field: 'category', message: `Use um de: ${VOCABULARY_CATEGORIES.join(', ')}.` });
+  }
+  if (
+    data.boost !== undefined &&
+    (typeof data.boost !== 'number' || data.boost < 0 || data.boost > MAX_BOOST)
+  ) {
+    errors.push({ field: 'boost', message: `Deve ser um número entre 0 e ${MAX_BOOST}.` });
+  }
+  if (has('phrases')) {
+    if (
+      !Array.isArray(data.phrases) ||
+      data.phrases.length > MAX_PHRASES_PER_LIST ||
+      !data.phrases.every((phrase) => isNonEmptyString(phrase))
+    ) {
+      errors.push({
+        field: 'phrases',
+        message: `Deve ser um array de até ${MAX_PHRASES_PER_LIST} frases (até ${MAX_PHRASE_LENGTH} caracteres cada).`,
+      });
+    }
+  }
+  if (data.corrections !== undefined) {
+    if (!Array.isArray(data.corrections)) {
+      errors.push({ field: 'corrections', message: 'Deve ser um array de { from, to }.' });
+    } else {
+      data.corrections.forEach((correction, index) => {
+        if (!isNonEmptyString(correction?.from) || !isNonEmptyString(correction?.to)) {
+          errors.push({
+            field: `corrections[${index}]`,
+            message: '"from" e "to" devem ser textos não vazios.',
+          });
+        }
+      });
+    }
+  }
+  return errors;
+};
+
+const pickFields = (data) => ({
+  ...(data.name !== undefined ? { name: data.name.trim() } : {}),
+  ...(data.category !== undefined ? { category: data.category } : {}),
+  ...(data.boost !== undefined ? { boost: data.boost } : {}),
+  ...(data.phrases !== undefined ? { phrases: data.phrases.map((phrase) => phrase.trim()) } : {}),
+  ...(data.corrections !== undefined
+    ? {
+        corrections: data.corrections.map(({ from, to }) => ({ from: from.trim(), to: to.trim() })),
+      }
+    : {}),
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compila as listas de um tenant em `{ speechContexts, correct }`: os contextos
+ * de adaptação da Speech API (um por valor de boost) e uma função que troca
+ * reconhecimentos errados conhecidos pelo termo canônico.
+ */
+export const compileVocabulary = (lists) => {
+  const byBoost = new Map();
+  lists.forEach((list) => {
+    const boost = list.boost ?? DEFAULT_BOOST;
+    const phrases = byBoost.get(boost) || new Set();
+    list.phrases.forEach((phrase) => phrases.add(phrase));
+    byBoost.set(boost, phrases);
+  });
+
+  // Boosts maiores primeiro, para sobreviverem ao corte do limite da API
+  let remaining = MAX_SPEECH_PHRASES;
+  const speechContexts = [...byBoost.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([boost, phrases]) => {
+      const kept = [...phrases].slice(0, Math.max(remaining, 0));
+      remaining -= kept.length;
+      return { phrases: kept, boost };
+    })
+    .filter((context) => context.phrases.length > 0);
+
+  const replacements = new Map();
+  lists.forEach((list) =>
+    (list.corrections || []).forEach(({ from, to }) => replacements.set(from.toLowerCase(), to))
+  );
+  // Alternativas mais longas primeiro para "lo sartana" vencer "lo"
+  const pattern =
+    replacements.size > 0
+      ? new RegExp(
+          `(?<![\\p{L}\\p{N}])(${[...replacements.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp)
+            .join('|')})(?![\\p{L}\\p{N}])`,
+          'giu'
+        )
+      : null;
+
+  const correct = (text) =>
+    pattern && text ? text.replace(pattern, (match) => replacements.get(match.toLowerCase())) : text;
+
+  return { speechContexts, correct };
+};
+
+const EMPTY_VOCABULARY = compileVocabulary([]);
+
+/**
+ * Acrescenta os contextos do vocabulário aos de um `config` de reconhecimento,
+ * respeitando o limite total de frases da Speech API (as do cliente têm
+ * prioridade).
+ */
+export const withVocabulary = (config, { speechContexts }) => {
+  const own = config.speechContexts || [];
+  let remaining = MAX_SPEECH_PHRASES - own.reduce((sum, context) => sum + context.phrases.length, 0);
+  const extra = speechContexts
+    .map((context) => {
+      const phrases = context.phrases.slice(0, Math.max(remaining, 0));
+      remaining -= phrases.length;
+      return { ...context, phrases };
+    })
+    .filter((context) => context.phrases.length > 0);
+  if (extra.length === 0) return config;
+  return { ...config, speechContexts: [...own, ...extra] };
+};
+
+/**
+ * Aplica as correções a um segmento de transcrição. O texto reconhecido é
+ * mantido em `originalText` quando muda; `words` fica como veio da API.
+ */
+export const correctSegment = (segment, { correct }) => {
+  const text = correct(segment.text);
+  if (text === segment.text) return segment;
+  return { ...segment, text, originalText: segment.text };
+};
+
+/**
+ * Serviço de vocabulário médico por clínica (tenant): listas de frases com
+ * boost para a adaptação da Speech API e correções pós-reconhecimento.
+ */
+export const createVocabularyService = (store) => {
+  // tenantId -> { vocabulary, loadedAt, loading }
+  const cache = new Map();
+
+  const listByTenant = async (tenantId) => {
+    const lists = (await store.list()).filter((list) => list.owner?.tenantId === tenantId);
+    return lists.sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  const load = (tenantId) => {
+    const entry = cache.get(tenantId);
+    if (entry?.loading) return entry.loading;
+    const loading = listByTenant(tenantId)
+      .then((lists) => {
+        const vocabulary = compileVocabulary(lists);
+        cache.set(tenantId, { vocabulary, loadedAt: Date.now(), loading: null });
+        return vocabulary;
+      })
+      .catch((err) => {
+        log('API-ERROR', `Falha ao carregar vocabulário do tenant ${tenantId}:`, err);
+        cache.set(tenantId, { ...entry, loading: null });
+        return entry?.vocabulary || EMPTY_VOCABULARY;
+      });
+    cache.set(tenantId, { ...entry, loading });
+    return loading;
+  };
+
+  const invalidate = (tenantId) => {
+    cache.delete(tenantId);
+    load(tenantId);
+  };
+
+  return {
+    create: async (data, owner) => {
+      const now = new Date().toISOString();
+      const list = {
+        id: uuidv4(),
+        boost: DEFAULT_BOOST,
+        corrections: [],
+        ...pickFields(data),
+        owner,
+        createdAt: now,
+        updatedAt: now,
+      };
+      await store.put(list.id, list);
+      invalidate(owner.tenantId);
+      return list;
+    },
+
+    get: (id) => store.get(id),
+
+    list: listByTenant,
+
+    update: async (id, data) => {
+      const updated = await store.update(id, (current) => ({
+        ...current,
+        ...pickFields(data),
+        updatedAt: new Date().toISOString(),
+      }));
+      if (updated) invalidate(updated.owner.tenantId);
+      return updated;
+    },
+
+    remove: async (list) => {
+      await store.remove(list.id);
+      invalidate(list.owner.tenantId);
+    },
+
+    /** Vocabulário compilado do tenant (carrega e guarda em cache). */
+    forTenant: async (tenantId) => {
+      const entry = cache.get(tenantId);
+      if (!entry?.vocabulary) return load(tenantId);
+      if (Date.now() - entry.loadedAt > CACHE_TTL_MS) load(tenantId);
+      return entry.vocabulary;
+    },
+
+    /**
+     * Versão síncrona de `forTenant` para o início do streaming, que não pode
+     * esperar o storage: devolve o que estiver em cache (ou um vocabulário
+     * vazio) e dispara a recarga se preciso.
+     */
+    cachedForTenant: (tenantId) => {
+      const entry = cache.get(tenantId);
+      if (!entry?.vocabulary || Date.now() - entry.loadedAt > CACHE_TTL_MS) load(tenantId);
+      return entry?.vocabulary || EMPTY_VOCABULARY;
+    },
+  };
+};
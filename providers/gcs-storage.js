@@ -0,0 +1,56 @@
+import { Storage } from '@google-cloud/storage';
+
+/**
+ * Provider de armazenamento sobre o Google Cloud Storage.
+ */
+export const createGcsStorage = () => {
+  const storage = new Storage();
+  const fileOf = (bucket, name) => storage.bucket(bucket).file(name);
+
+  return {
+    name: 'gcs',
+
+    uri: (bucket, name) => `gs://${bucket}/${name}`,
+
+    save: async (bucket, name, buffer, { contentType, metadata } = {}) => {
+      await fileOf(bucket, name).save(buffer, {
+        contentType,
+        resumable: false,
+        metadata: { contentType, metadata },
+      });
+    },
+
+    createWriteStream: (bucket, name, { contentType, metadata } = {}) =>
+      fileOf(bucket, name).createWriteStream({
+        contentType,
+        metadata: { contentType, metadata },
+      }),
+
+    read: async (bucket, name) => {
+      const [contents] = await fileOf(bucket, name).download();
+      return contents;
+    },
+
+    exists: async (bucket, name) => {
+      const [exists] = await fileOf(bucket, name).exists();
+      return exists;
+    },
+
+    delete: async (bucket, name) => {
+      await fileOf(bucket, name).delete();
+    },
+
+    list: async (bucket, prefix = '') => {
+      const [files] = await storage.bucket(bucket).getFiles({ prefix });
+      return files.map((file) => file.name);
+    },
+
+    getSignedUrl: async (bucket, name, { expires }) => {
+      const [signedUrl] = await fileOf(bucket, name).getSignedUrl({
+        action: 'read',
+        expires,
+      });
+      return signedUrl;
+    },
+  };
+};
@@ -0,0 +1,24 @@
+import speech from '@google-cloud/speech';
+
+/**
+ * Provider de STT sobre o Google Cloud Speech-to-Text.
+ */
+export const createGoogleSpeech = () => {
+  const speechClient = new speech.SpeechClient();
+
+  return {
+    name: 'google',
+
+    streamingRecognize: (request) => speechClient.streamingRecognize(request),
+
+    /** `onProgress` recebe o `progressPercent` (0-100) informado pela operação. */
+    longRunningRecognize: async (request, { onProgress } = {}) => {
+      const [operation] = await speechClient.longRunningRecognize(request);
+      if (onProgress) {
+        operation.on('progress', (metadata) => onProgress(metadata?.progressPercent ?? 0));
+      }
+      const [response] = await operation.promise();
+      return response;
+    },
+  };
+};
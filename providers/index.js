@@ -0,0 +1,61 @@
+import { createGcsStorage } from './gcs-storage.js';
+import { createLocalStorage } from './local-storage.js';
+import { createGoogleSpeech } from './google-speech.js';
+import { createLocalSpeech } from './local-speech.js';
+import { createVertexLLM } from './vertex-llm.js';
+import { createLocalLLM } from './local-llm.js';
+
+const pick = (kind, value, factories) => {
+  const factory = factories[value];
+  if (!factory) {
+    throw new Error(
+      `Provider de ${kind} desconhecido: "${value}". Use: ${Object.keys(factories).join(', ')}.`
+    );
+  }
+  return factory();
+};
+
+/**
+ * Cria os providers de armazenamento, STT e LLM a partir do ambiente.
+ *
+ * `PROVIDERS` define o padrão para todos (`gcp` ou `local`); `STORAGE_PROVIDER`,
+ * `SPEECH_PROVIDER` e `LLM_PROVIDER` sobrescrevem cada um individualmente.
+ */
+export const createProviders = (env = process.env) => {
+  const mode = env.PROVIDERS || 'gcp';
+  const port = env.PORT || 8080;
+
+  const storage = pick('armazenamento', env.STORAGE_PROVIDER || mode, {
+    gcp: createGcsStorage,
+    local: () =>
+      createLocalStorage({
+        rootDir: env.LOCAL_STORAGE_DIR || '.local-data/storage',
+        publicBaseUrl: env.PUBLIC_BASE_URL || `http://localhost:${port}`,
+        secret: env.LOCAL_STORAGE_SECRET,
+      }),
+  });
+
+  const speech = pick('STT', env.SPEECH_PROVIDER || mode, {
+    gcp: createGoogleSpeech,
+    local: () =>
+      createLocalSpeech({
+        fixturePath: env.LOCAL_STT_FIXTURE,
+        bytesPerSegment: Number(env.LOCAL_STT_BYTES_PER_SEGMENT) || undefined,
+      }),
+  });
+
+  const llm = pick('LLM', env.LLM_PROVIDER || mode, {
+    gcp: () =>
+      createVertexLLM({
+        project: env.GCLOUD_PROJECT,
+        location: env.GCLOUD_LOCATION,
+      }),
+    local: () =>
+      createLocalLLM({
+        fixturePath: env.LOCAL_LLM_FIXTURES,
+        chunkDelayMs: Number(env.LOCAL_LLM_CHUNK_DELAY_MS) || undefined,
+      }),
+  });
+
+  return { storage, speech, llm };
+};
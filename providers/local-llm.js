@@ -0,0 +1,84 @@
+import fs from 'fs';
+import { setTimeout as delay } from 'timers/promises';
+
+const DEFAULT_RESPONSES = {
+  '/api/generate-title': 'Consulta de avaliação clínica',
+  '/api/melhorar-anamnese': '<p>Anamnese revisada (resposta local).</p>',
+  '/api/generate-ia-transcription': JSON.stringify({
+    processedTranscript: [],
+    timeline: ['Apresentação de sintomas'],
+  }),
+  '/api/generate-summary': 'Resumo local da consulta.',
+  '/api/generate-anamnese': '<p><strong>Anamnese</strong> gerada localmente.</p>',
+  '/api/process-and-summarize-documents': JSON.stringify({
+    summary: 'Resumo local do documento.',
+    keyPoints: [{ text: 'Ponto principal do documento.', pages: [1] }],
+  }),
+  '/api/process-and-summarize-documents:ocr': JSON.stringify({
+    pages: [{ page: 1, text: 'Texto reconhecido localmente.' }],
+  }),
+  '/api/process-and-summarize-documents:merge': JSON.stringify({
+    summary: 'Resumo local do documento.',
+    keyPoints: [{ text: 'Ponto principal do documento.', pages: [1] }],
+  }),
+  '/api/chat': JSON.stringify({ mensagem: 'Resposta local de teste.', mode: 'CHATIME' }),
+  '/api/extract-entities': JSON.stringify({
+    symptoms: [{ name: 'Dor', onset: null, duration: null, severity: null, segments: [0] }],
+    medications: [],
+    allergies: [],
+    vitalSigns: [],
+    diagnoses: [],
+    exams: [],
+    followUps: [],
+  }),
+};
+
+const FALLBACK_RESPONSE = 'Resposta gerada localmente.';
+
+const loadFixtures = (fixturePath) => {
+  if (!fixturePath) return {};
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+};
+
+/**
+ * Provider de LLM roteirizado, sem rede. As respostas são escolhidas pela `tag`
+ * da chamada (o nome do endpoint): primeiro no arquivo de fixtures
+ * (`{ "<tag>": "resposta" | ["resposta 1", "resposta 2"] }`, listas são
+ * devolvidas em sequência e repetem a última) e depois nas respostas padrão.
+ * No streaming, a resposta sai em trechos de poucas palavras a cada
+ * `chunkDelayMs`.
+ */
+export const createLocalLLM = ({ fixturePath, chunkDelayMs = 20 } = {}) => {
+  const fixtures = loadFixtures(fixturePath);
+  const calls = new Map();
+
+  const scripted = (tag) => {
+    const entry = fixtures[tag] ?? fixtures['*'];
+    if (entry === undefined) return DEFAULT_RESPONSES[tag] ?? FALLBACK_RESPONSE;
+    if (!Array.isArray(entry)) return entry;
+
+    const count = calls.get(tag) || 0;
+    calls.set(tag, count + 1);
+    return entry[Math.min(count, entry.length - 1)];
+  };
+
+  return {
+    name: 'local',
+
+    generate: async ({ tag }) => {
+      const response = scripted(tag);
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    },
+
+    async *generateStream({ tag, signal }) {
+      const response = scripted(tag);
+      const text = typeof response === 'string' ? response : JSON.stringify(response);
+      const chunks = text.match(/(\S+\s*){1,3}|\s+/g) || [];
+      for (const chunk of chunks) {
+        await delay(chunkDelayMs);
+        if (signal?.aborted) return;
+        yield chunk;
+      }
+    },
+  };
+};
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import { Writable } from 'stream';
+
+const DEFAULT_SEGMENTS = [
+  { speakerTag: 1, text: 'Bom dia, o que traz o senhor aqui hoje?' },
+  { speakerTag: 2, text: 'Estou com dor de cabeça há três dias, doutor.' },
+  { speakerTag: 1, text: 'A dor piora com a luz ou com barulho?' },
+  { speakerTag: 2, text: 'Piora com a luz e melhora um pouco quando deito.' },
+  { speakerTag: 1, text: 'Vou prescrever um analgésico e pedir alguns exames.' },
+];
+
+const SECONDS_PER_WORD = 0.4;
+
+const toDuration = (seconds) => ({
+  seconds: String(Math.floor(seconds)),
+  nanos: Math.round((seconds % 1) * 1e9),
+});
+
+/**
+ * Monta uma alternativa no formato da Speech API, com tempos por palavra
+ * contados a partir de `offset` (em segundos).
+ */
+const buildAlternative = (segment, offset) => {
+  const words = segment.text.split(/\s+/).filter(Boolean).map((word, index) => ({
+    word,
+    startTime: toDuration(offset + index * SECONDS_PER_WORD),
+    endTime: toDuration(offset + (index + 1) * SECONDS_PER_WORD),
+    speakerTag: segment.speakerTag,
+  }));
+  return {
+    alternative: { transcript: segment.text, confidence: 0.9, words },
+    duration: words.length * SECONDS_PER_WORD,
+  };
+};
+
+const loadSegments = (fixturePath) => {
+  if (!fixturePath) return DEFAULT_SEGMENTS;
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  if (!Array.isArray(fixture.segments) || fixture.segments.length === 0) {
+    throw new Error(`Fixture de STT sem "segments": ${fixturePath}`);
+  }
+  return fixture.segments;
+};
+
+/**
+ * Provider de STT falso: devolve falas roteirizadas (fixture JSON ou um diálogo
+ * padrão) no mesmo formato da Speech API. No streaming, cada `bytesPerSegment`
+ * bytes de áudio recebidos produzem um resultado parcial seguido do final.
+ */
+export const createLocalSpeech = ({ fixturePath, bytesPerSegment = 16000 } = {}) => {
+  const segments = loadSegments(fixturePath);
+  let nextSegment = 0;
+
+  return {
+    name: 'local',
+
+    streamingRecognize: () => {
+      let pendingBytes = 0;
+      let streamTime = 0;
+
+      const emitSegment = (stream) => {
+        const segment = segments[nextSegment % segments.length];
+        nextSegment += 1;
+        const { alternative, duration } = buildAlternative(segment, streamTime);
+        streamTime += duration;
+        const half = Math.ceil(alternative.words.length / 2);
+        const partial = alternative.words.slice(0, half).map((w) => w.word).join(' ');
+
+        setImmediate(() => {
+          stream.emit('data', {
+            results: [{ alternatives: [{ transcript: partial }], isFinal: false }],
+          });
+          stream.emit('data', {
+            results: [
+              {
+                alternatives: [alternative],
+                isFinal: true,
+                resultEndTime: toDuration(streamTime),
+              },
+            ],
+          });
+        });
+      };
+
+      const stream = new Writable({
+        write(chunk, encoding, callback) {
+          pendingBytes += chunk.length;
+          while (pendingBytes >= bytesPerSegment) {
+            pendingBytes -= bytesPerSegment;
+            emitSegment(stream);
+          }
+          callback();
+        },
+      });
+      return stream;
+    },
+
+    // Mesmo formato da API com diarização: os resultados trazem `speakerTag` 0
+    // e o último repete todas as palavras com o locutor.
+    longRunningRecognize: async (request, { onProgress } = {}) => {
+      onProgress?.(50);
+      let offset = 0;
+      const diarizedWords = [];
+      const results = segments.map((segment) => {
+        const { alternative, duration } = buildAlternative(segment, offset);
+        offset += duration;
+        diarizedWords.push(...alternative.words);
+        return {
+          alternatives: [
+            { ...alternative, words: alternative.words.map((word) => ({ ...word, speakerTag: 0 })) },
+          ],
+          resultEndTime: toDuration(offset),
+        };
+      });
+      results.push({ alternatives: [{ transcript: '', words: diarizedWords }] });
+      onProgress?.(100);
+      return { results };
+    },
+  };
+};
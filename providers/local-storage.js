@@ -0,0 +1,136 @@
+import fs from 'fs/promises';
+import { createWriteStream, mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const META_SUFFIX = '.meta.json';
+
+/**
+ * Provider de armazenamento em disco local, usado para rodar o backend sem GCP.
+ * Cada bucket vira um diretório em `rootDir`; as URLs assinadas apontam para a
+ * rota `/local-storage` do próprio servidor e são validadas por HMAC.
+ */
+export const createLocalStorage = ({ rootDir, publicBaseUrl, secret }) => {
+  const root = path.resolve(rootDir);
+  const signingSecret = secret || crypto.randomBytes(32).toString('hex');
+
+  // Bucket não configurado (modo local sem GCLOUD_BUCKET_*) vira 'default'
+  const bucketName = (bucket) => String(bucket || 'default');
+
+  const resolvePath = (bucket, name) => {
+    const bucketDir = path.join(root, bucketName(bucket));
+    const filePath = path.resolve(bucketDir, name);
+    if (!filePath.startsWith(bucketDir + path.sep)) {
+      throw new Error(`Nome de objeto inválido: ${name}`);
+    }
+    return filePath;
+  };
+
+  const sign = (bucket, name, expires) =>
+    crypto
+      .createHmac('sha256', signingSecret)
+      .update(`${bucketName(bucket)}/${name}:${expires}`)
+      .digest('hex');
+
+  const fileExists = async (filePath) => {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+    const files = [];
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) files.push(...(await walk(fullPath)));
+      else if (!entry.name.endsWith(META_SUFFIX)) files.push(fullPath);
+    }
+    return files;
+  };
+
+  return {
+    name: 'local',
+
+    uri: (bucket, name) => `file://${resolvePath(bucket, name)}`,
+
+    save: async (bucket, name, buffer, { contentType, metadata } = {}) => {
+      const filePath = resolvePath(bucket, name);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      await fs.writeFile(
+        filePath + META_SUFFIX,
+        JSON.stringify({ contentType, metadata: metadata || {} })
+      );
+    },
+
+    createWriteStream: (bucket, name, { contentType, metadata } = {}) => {
+      const filePath = resolvePath(bucket, name);
+      mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileSync(
+        filePath + META_SUFFIX,
+        JSON.stringify({ contentType, metadata: metadata || {} })
+      );
+      return createWriteStream(filePath);
+    },
+
+    read: async (bucket, name) => fs.readFile(resolvePath(bucket, name)),
+
+    exists: async (bucket, name) => fileExists(resolvePath(bucket, name)),
+
+    delete: async (bucket, name) => {
+      const filePath = resolvePath(bucket, name);
+      await fs.rm(filePath);
+      await fs.rm(filePath + META_SUFFIX, { force: true });
+    },
+
+    list: async (bucket, prefix = '') => {
+      const bucketDir = path.join(root, bucketName(bucket));
+      const files = await walk(bucketDir);
+      return files
+        .map((file) => path.relative(bucketDir, file).split(path.sep).join('/'))
+        .filter((name) => name.startsWith(prefix))
+        .sort();
+    },
+
+    getSignedUrl: async (bucket, name, { expires }) => {
+      const signature = sign(bucket, name, expires);
+      const encodedName = name.split('/').map(encodeURIComponent).join('/');
+      return `${publicBaseUrl}/local-storage/${encodeURIComponent(bucketName(bucket))}/${encodedName}?expires=${expires}&signature=${signature}`;
+    },
+
+    /**
+     * Valida uma URL gerada por `getSignedUrl` e devolve o caminho do arquivo.
+     * Retorna `null` se a assinatura for inválida ou estiver expirada.
+     */
+    resolveSignedUrl: (bucket, name, expires, signature) => {
+      const expected = sign(bucket, name, expires);
+      if (
+        typeof signature !== 'string' ||
+        signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ||
+        Number(expires) < Date.now()
+      ) {
+        return null;
+      }
+      return resolvePath(bucket, name);
+    },
+
+    readMetadata: async (bucket, name) => {
+      try {
+        const raw = await fs.readFile(resolvePath(bucket, name) + META_SUFFIX, 'utf8');
+        return JSON.parse(raw);
+      } catch {
+        return {};
+      }
+    },
+  };
+};
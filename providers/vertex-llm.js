@@ -0,0 +1,53 @@
+import { VertexAI } from '@google-cloud/vertexai';
+
+export const DEFAULT_MODEL = 'gemini-2.0-flash-001';
+
+/**
+ * Provider de LLM sobre o Vertex AI (Gemini).
+ */
+export const createVertexLLM = ({ project, location }) => {
+  const vertex_ai = new VertexAI({ project, location });
+  const models = new Map();
+
+  const getModel = (model = DEFAULT_MODEL) => {
+    if (!models.has(model)) {
+      models.set(model, vertex_ai.getGenerativeModel({ model }));
+    }
+    return models.get(model);
+  };
+
+  const buildRequest = ({ contents, systemInstruction, generationConfig }) => {
+    const request = { contents, generationConfig };
+    if (systemInstruction) {
+      request.systemInstruction = { parts: [{ text: systemInstruction }] };
+    }
+    return request;
+  };
+
+  return {
+    name: 'vertex',
+
+    /**
+     * Gera texto a partir de `contents` no formato do Gemini.
+     * Retorna o texto da primeira parte do primeiro candidato (ou `undefined`).
+     */
+    generate: async ({ model, ...params }) => {
+      const result = await getModel(model).generateContent(buildRequest(params));
+      return result.response?.candidates?.[0]?.content?.parts?.[0]?.text;
+    },
+
+    /**
+     * Versão em streaming de `generate`: produz os trechos de texto conforme o
+     * modelo os gera. O SDK não aceita `AbortSignal`; com `signal` abortado, o
+     * stream deixa de ser consumido.
+     */
+    async *generateStream({ model, signal, ...params }) {
+      const result = await getModel(model).generateContentStream(buildRequest(params));
+      for await (const item of result.stream) {
+        if (signal?.aborted) return;
+        const text = item.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (text) yield text;
+      }
+    },
+  };
+};
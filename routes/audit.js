@@ -0,0 +1,81 @@
+import express from 'express';
+
+import { log } from '../lib/log.js';
+import { hasRole } from '../lib/auth.js';
+import {
+  AUDIT_EXPORT_FORMATS,
+  auditToCsv,
+  auditToJsonl,
+  parseAuditFilters,
+} from '../lib/audit.js';
+
+/**
+ * Consulta administrativa da trilha de auditoria (`/api/audit`): busca com
+ * filtros, exportação em CSV/JSONL e verificação da cadeia de hashes. O
+ * administrador só vê as entradas do próprio tenant.
+ */
+
+// Papel da operação da plataforma: vê o relatório completo da cadeia, que é única para todos os tenants
+const PLATFORM_ROLE = 'platform-admin';
+export const createAuditRouter = ({ auditLog }) => {
+  const router = express.Router();
+
+  // Filtros da query string, sempre limitados ao tenant do administrador
+  const readFilters = (req, res) => {
+    const { filters, errors } = parseAuditFilters(req.query);
+    if (errors.length > 0) {
+      res.status(400).json({ error: 'Filtros de auditoria inválidos.', details: errors });
+      return null;
+    }
+    return { ...filters, tenantId: req.user.tenantId };
+  };
+
+  router.get('/', async (req, res) => {
+    try {
+      const filters = readFilters(req, res);
+      if (!filters) return;
+      res.json(await auditLog.query(filters));
+    } catch (error) {
+      log('API-ERROR', 'Erro ao consultar auditoria:', error);
+      res.status(500).json({ error: 'Falha ao consultar auditoria.' });
+    }
+  });
+
+  router.get('/export', async (req, res) => {
+    try {
+      const format = req.query.format || 'csv';
+      if (!AUDIT_EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          error: 'Filtros de auditoria inválidos.',
+          details: [{ field: 'format', message: `Use um de: ${Object.keys(AUDIT_EXPORT_FORMATS).join(', ')}.` }],
+        });
+      }
+      const filters = readFilters(req, res);
+      if (!filters) return;
+      const entries = await auditLog.export(filters);
+      const { contentType, extension } = AUDIT_EXPORT_FORMATS[format];
+      log('API', `Auditoria exportada em ${format}: ${entries.length} entradas`);
+      res
+        .type(contentType)
+        .attachment(`auditoria-${new Date().toISOString().slice(0, 10)}.${extension}`)
+        .send(format === 'csv' ? auditToCsv(entries) : auditToJsonl(entries));
+    } catch (error) {
+      log('API-ERROR', 'Erro ao exportar auditoria:', error);
+      res.status(500).json({ error: 'Falha ao exportar auditoria.' });
+    }
+  });
+
+  router.get('/verify', async (req, res) => {
+    try {
+      const result = await auditLog.verify();
+      if (!result.valid) log('Audit-ERROR', 'Cadeia de auditoria inválida:', result.problems);
+      // Contagem e sequências são globais: o administrador de um tenant só recebe o resultado
+      res.json(hasRole(req.user, PLATFORM_ROLE) ? result : { valid: result.valid });
+    } catch (error) {
+      log('API-ERROR', 'Erro ao verificar auditoria:', error);
+      res.status(500).json({ error: 'Falha ao verificar auditoria.' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,108 @@
+import express from 'express';
+
+import { log } from '../lib/log.js';
+import { isOwner, ownerOf } from '../lib/auth.js';
+import { buildConsultationBundle, validateBundle } from '../lib/fhir.js';
+import { validateConsultation } from '../lib/consultations.js';
+
+/**
+ * Rotas CRUD de consultas (`/api/consultations`) e exportação FHIR.
+ */
+export const createConsultationsRouter = ({ consultations, fhirSystemBase }) => {
+  const router = express.Router();
+
+  // Consultas de outro profissional são tratadas como inexistentes.
+  const findOwned = async (id, user) => {
+    const consultation = await consultations.get(id);
+    return isOwner(consultation, user) ? consultation : null;
+  };
+
+  router.post('/', async (req, res) => {
+    try {
+      const errors = validateConsultation(req.body || {});
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Consulta inválida.', details: errors });
+      }
+      const consultation = await consultations.create(req.body || {}, ownerOf(req.user));
+      log('API', `Consulta criada: ${consultation.id}`);
+      res.status(201).json(consultation);
+    } catch (error) {
+      log('API-ERROR', 'Erro ao criar consulta:', error);
+      res.status(500).json({ error: 'Falha ao criar consulta.' });
+    }
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ consultations: await consultations.list(ownerOf(req.user)) });
+    } catch (error) {
+      log('API-ERROR', 'Erro ao listar consultas:', error);
+      res.status(500).json({ error: 'Falha ao listar consultas.' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const consultation = await findOwned(req.params.id, req.user);
+      if (!consultation) {
+        return res.status(404).json({ error: 'Consulta não encontrada.' });
+      }
+      res.json(consultation);
+    } catch (error) {
+      log('API-ERROR', `Erro ao buscar consulta ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao buscar consulta.' });
+    }
+  });
+
+  // Bundle FHIR R4 (`document`) com as saídas da consulta, validado antes do envio
+  router.get('/:id/fhir', async (req, res) => {
+    try {
+      const consultation = await findOwned(req.params.id, req.user);
+      if (!consultation) {
+        return res.status(404).json({ error: 'Consulta não encontrada.' });
+      }
+      const bundle = buildConsultationBundle(consultation, { systemBase: fhirSystemBase });
+      const errors = validateBundle(bundle);
+      if (errors.length > 0) {
+        log('API-ERROR', `Bundle FHIR inválido para a consulta ${req.params.id}:`, errors);
+        return res.status(422).json({ error: 'Não foi possível gerar um Bundle FHIR válido.', details: errors });
+      }
+      res.type('application/fhir+json').send(JSON.stringify(bundle));
+    } catch (error) {
+      log('API-ERROR', `Erro ao exportar consulta ${req.params.id} para FHIR:`, error);
+      res.status(500).json({ error: 'Falha ao exportar consulta para FHIR.' });
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      if (!(await findOwned(req.params.id, req.user))) {
+        return res.status(404).json({ error: 'Consulta não encontrada.' });
+      }
+      const errors = validateConsultation(req.body || {});
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Consulta inválida.', details: errors });
+      }
+      res.json(await consultations.update(req.params.id, req.body || {}));
+    } catch (error) {
+      log('API-ERROR', `Erro ao atualizar consulta ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao atualizar consulta.' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      if (!(await findOwned(req.params.id, req.user))) {
+        return res.status(404).json({ error: 'Consulta não encontrada.' });
+      }
+      await consultations.remove(req.params.id);
+      log('API', `Consulta removida: ${req.params.id}`);
+      res.status(200).json({ message: 'Consulta removida com sucesso.' });
+    } catch (error) {
+      log('API-ERROR', `Erro ao remover consulta ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao remover consulta.' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,134 @@
+import express from 'express';
+
+import { log } from '../lib/log.js';
+import { isOwner, ownerOf } from '../lib/auth.js';
+import { findPhi } from '../lib/phi.js';
+import {
+  createPseudonymizer,
+  reidentify,
+  summarizeMapping,
+  validateDeidentifyRequest,
+} from '../lib/deidentify.js';
+
+// Nome do paciente registrado na consulta (texto ou `{ name }`)
+const patientName = (consultation) =>
+  typeof consultation?.patient === 'string' ? consultation.patient : consultation?.patient?.name;
+
+/**
+ * De-identificação de transcrições e documentos (`/api/deidentify`): troca
+ * nomes, CPF, telefones, e-mails, datas e endereços por pseudônimos
+ * consistentes. O mapeamento fica no servidor e só o dono pode reidentificar.
+ */
+export const createDeidentifyRouter = ({ deidentifications, consultations }) => {
+  const router = express.Router();
+
+  const findOwned = async (id, user) => {
+    const record = await deidentifications.get(id);
+    return isOwner(record, user) ? record : null;
+  };
+
+  router.post('/', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const errors = validateDeidentifyRequest(body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Pedido de de-identificação inválido.', details: errors });
+      }
+
+      const knownNames = [...(body.knownNames || [])];
+      let { text, transcription } = body;
+      if (body.consultationId) {
+        const consultation = await consultations.get(body.consultationId);
+        if (!isOwner(consultation, req.user)) {
+          return res.status(404).json({ error: 'Consulta não encontrada.' });
+        }
+        transcription = consultation.transcript;
+        if (patientName(consultation)) knownNames.push(patientName(consultation));
+      }
+
+      const previous = body.mappingId ? await findOwned(body.mappingId, req.user) : null;
+      if (body.mappingId && !previous) {
+        return res.status(404).json({ error: 'Mapeamento não encontrado.' });
+      }
+
+      // Nomes já mapeados e os achados em qualquer trecho (ex.: após "meu nome é")
+      // valem para o texto todo
+      previous?.mapping
+        .filter((entry) => entry.type === 'name')
+        .forEach((entry) => knownNames.push(entry.value));
+      const texts = text !== undefined ? [text] : transcription.map((segment) => segment.text);
+      texts.forEach((value) => {
+        findPhi(value, { knownNames })
+          .filter((span) => span.type === 'name')
+          .forEach((span) => knownNames.push(span.knownName ?? span.value));
+      });
+
+      const pseudonymizer = createPseudonymizer(previous?.mapping);
+      const options = { knownNames };
+      const result =
+        text !== undefined
+          ? { text: pseudonymizer.pseudonymize(text, options) }
+          : {
+              transcription: transcription.map((segment) => ({
+                ...segment,
+                text: pseudonymizer.pseudonymize(segment.text, options),
+              })),
+            };
+
+      const mapping = pseudonymizer.mapping();
+      // A consulta de origem liga o mapeamento à eliminação de dados do paciente
+      const consultationId = body.consultationId || null;
+      const record = previous
+        ? await deidentifications.updateMapping(previous.id, mapping, { consultationId })
+        : await deidentifications.create({ owner: ownerOf(req.user), mapping, consultationId });
+      log('API', `De-identificação ${record.id}: ${mapping.length} valores mapeados`);
+
+      res.status(previous ? 200 : 201).json({
+        mappingId: record.id,
+        ...result,
+        replacements: summarizeMapping(mapping),
+      });
+    } catch (error) {
+      log('API-ERROR', 'Erro ao de-identificar texto:', error);
+      res.status(500).json({ error: 'Falha ao de-identificar texto.' });
+    }
+  });
+
+  router.post('/:id/reidentify', async (req, res) => {
+    try {
+      const { text } = req.body || {};
+      if (typeof text !== 'string') {
+        return res.status(400).json({
+          error: 'Pedido de reidentificação inválido.',
+          details: [{ field: 'text', message: 'Deve ser texto.' }],
+        });
+      }
+      const record = await findOwned(req.params.id, req.user);
+      if (!record) {
+        return res.status(404).json({ error: 'Mapeamento não encontrado.' });
+      }
+      log('API', `Reidentificação solicitada para o mapeamento ${record.id}`);
+      res.json({ mappingId: record.id, text: reidentify(text, record.mapping) });
+    } catch (error) {
+      log('API-ERROR', `Erro ao reidentificar com o mapeamento ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao reidentificar texto.' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const record = await findOwned(req.params.id, req.user);
+      if (!record) {
+        return res.status(404).json({ error: 'Mapeamento não encontrado.' });
+      }
+      await deidentifications.remove(record);
+      log('API', `Mapeamento de de-identificação removido: ${record.id}`);
+      res.status(200).json({ message: 'Mapeamento removido com sucesso.' });
+    } catch (error) {
+      log('API-ERROR', `Erro ao remover o mapeamento ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao remover mapeamento.' });
+    }
+  });
+
+  return router;
+};
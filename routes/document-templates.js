@@ -0,0 +1,89 @@
+import express from 'express';
+
+import { log } from '../lib/log.js';
+import { ownerOf } from '../lib/auth.js';
+import { validateDocumentTemplate } from '../lib/document-templates.js';
+
+/**
+ * Rotas CRUD dos templates de documento da clínica (`/api/document-templates`).
+ * Os templates são compartilhados por todos os profissionais do mesmo tenant.
+ */
+export const createDocumentTemplatesRouter = ({ documentTemplates }) => {
+  const router = express.Router();
+
+  // Templates de outra clínica são tratados como inexistentes.
+  const findInTenant = async (id, user) => {
+    const template = await documentTemplates.get(id);
+    return template && template.owner?.tenantId === user?.tenantId ? template : null;
+  };
+
+  router.post('/', async (req, res) => {
+    try {
+      const errors = validateDocumentTemplate(req.body || {});
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Template de documento inválido.', details: errors });
+      }
+      const template = await documentTemplates.create(req.body, ownerOf(req.user));
+      log('API', `Template de documento criado: ${template.id}`);
+      res.status(201).json(template);
+    } catch (error) {
+      log('API-ERROR', 'Erro ao criar template de documento:', error);
+      res.status(500).json({ error: 'Falha ao criar template de documento.' });
+    }
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ templates: await documentTemplates.list(req.user.tenantId) });
+    } catch (error) {
+      log('API-ERROR', 'Erro ao listar templates de documento:', error);
+      res.status(500).json({ error: 'Falha ao listar templates de documento.' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const template = await findInTenant(req.params.id, req.user);
+      if (!template) {
+        return res.status(404).json({ error: 'Template de documento não encontrado.' });
+      }
+      res.json(template);
+    } catch (error) {
+      log('API-ERROR', `Erro ao buscar template de documento ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao buscar template de documento.' });
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      if (!(await findInTenant(req.params.id, req.user))) {
+        return res.status(404).json({ error: 'Template de documento não encontrado.' });
+      }
+      const errors = validateDocumentTemplate(req.body || {}, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Template de documento inválido.', details: errors });
+      }
+      res.json(await documentTemplates.update(req.params.id, req.body));
+    } catch (error) {
+      log('API-ERROR', `Erro ao atualizar template de documento ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao atualizar template de documento.' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const template = await findInTenant(req.params.id, req.user);
+      if (!template) {
+        return res.status(404).json({ error: 'Template de documento não encontrado.' });
+      }
+      await documentTemplates.remove(template);
+      log('API', `Template de documento removido: ${req.params.id}`);
+      res.status(200).json({ message: 'Template de documento removido com sucesso.' });
+    } catch (error) {
+      log('API-ERROR', `Erro ao remover template de documento ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao remover template de documento.' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,40 @@
+import express from 'express';
+
+import { log } from '../lib/log.js';
+import { validateErasureRequest } from '../lib/retention.js';
+
+/**
+ * Eliminação de dados a pedido do titular (`/api/erasure`, só
+ * administradores): remove tudo que estiver ligado ao paciente no tenant.
+ * Com `dryRun: true`, só lista o que seria removido.
+ */
+export const createErasureRouter = ({ retention }) => {
+  const router = express.Router();
+
+  router.post('/', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const errors = validateErasureRequest(body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Pedido de eliminação inválido.', details: errors });
+      }
+      const report = await retention.erasePatient({
+        patient: body.patient,
+        tenantId: req.user.tenantId,
+        dryRun: body.dryRun ?? false,
+      });
+      if (report.items.length === 0) {
+        return res.status(404).json({ error: 'Nenhum dado encontrado para o paciente.', ...report });
+      }
+      if (report.errors.length > 0) {
+        return res.status(500).json({ error: 'Eliminação incompleta: alguns itens não foram removidos.', ...report });
+      }
+      res.json(report);
+    } catch (error) {
+      log('API-ERROR', 'Erro na eliminação de dados do paciente:', error);
+      res.status(500).json({ error: 'Falha na eliminação de dados do paciente.' });
+    }
+  });
+
+  return router;
+};
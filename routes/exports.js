@@ -0,0 +1,126 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+
+import { log } from '../lib/log.js';
+import { isOwner, ownerOf } from '../lib/auth.js';
+import { htmlToBlocks } from '../lib/html-blocks.js';
+import {
+  EXPORT_FORMATS,
+  buildExportDocument,
+  patientFromConsultation,
+  renderExport,
+  validateExportRequest,
+} from '../lib/document-export.js';
+
+const URL_TTL_MS = 15 * 60 * 1000;
+
+// Nome de arquivo legível para o download, sem caracteres problemáticos
+const downloadName = (title, extension) =>
+  `${title
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase() || 'documento'}.${extension}`;
+
+/**
+ * Exportação de documentos gerados para PDF ou DOCX (`/api/exports`), com
+ * timbre da clínica, profissional (CRM), paciente e data. O arquivo fica no
+ * bucket de documentos e é baixado por URL assinada.
+ */
+export const createExportsRouter = ({ exportsService, consultations, storage, bucket }) => {
+  const router = express.Router();
+
+  const signedUrl = async (filename) => {
+    const expires = Date.now() + URL_TTL_MS;
+    const url = await storage.getSignedUrl(bucket, filename, { expires });
+    return { url, expiresAt: new Date(expires).toISOString() };
+  };
+
+  router.post('/', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const errors = validateExportRequest(body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Pedido de exportação inválido.', details: errors });
+      }
+
+      const field = body.field || 'anamnese';
+      let source = body.html;
+      let patient = body.patient;
+      if (body.consultationId) {
+        const consultation = await consultations.get(body.consultationId);
+        if (!isOwner(consultation, req.user)) {
+          return res.status(404).json({ error: 'Consulta não encontrada.' });
+        }
+        source = consultation[field];
+        if (!source) {
+          return res.status(409).json({ error: `A consulta não tem "${field}" gerado para exportar.` });
+        }
+        // Paciente da consulta, se não vier no pedido
+        patient ??= patientFromConsultation(consultation.patient);
+      }
+
+      const blocks = htmlToBlocks(source);
+      if (blocks.length === 0) {
+        return res.status(400).json({ error: 'O documento não tem conteúdo para exportar.' });
+      }
+
+      const document = buildExportDocument({
+        blocks,
+        title: body.title,
+        field,
+        letterhead: body.letterhead,
+        clinician: body.clinician,
+        patient,
+        date: body.date,
+        locale: body.locale,
+      });
+      const { contentType, extension } = EXPORT_FORMATS[body.format];
+      const buffer = await renderExport(body.format, document);
+
+      const id = uuidv4();
+      res.locals.auditResourceId = id;
+      const filename = `exports/${id}.${extension}`;
+      await storage.save(bucket, filename, buffer, { contentType });
+      const exported = await exportsService.create({
+        id,
+        format: body.format,
+        fileName: downloadName(document.title, extension),
+        filename,
+        contentType,
+        bytes: buffer.length,
+        owner: ownerOf(req.user),
+        consultationId: body.consultationId || null,
+        field: body.consultationId ? field : null,
+      });
+      log('API', `Documento exportado: ${id} (${body.format}, ${buffer.length} bytes)`);
+
+      res.status(201).json({
+        id,
+        format: exported.format,
+        fileName: exported.fileName,
+        bytes: exported.bytes,
+        ...(await signedUrl(filename)),
+      });
+    } catch (error) {
+      log('API-ERROR', 'Erro ao exportar documento:', error);
+      res.status(500).json({ error: 'Falha ao exportar documento.' });
+    }
+  });
+
+  router.get('/:id/url', async (req, res) => {
+    try {
+      const exported = await exportsService.get(req.params.id);
+      if (!isOwner(exported, req.user)) {
+        return res.status(404).json({ error: 'Exportação não encontrada.' });
+      }
+      res.json({ id: exported.id, fileName: exported.fileName, ...(await signedUrl(exported.filename)) });
+    } catch (error) {
+      log('API-ERROR', `Erro ao gerar URL da exportação ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao gerar URL da exportação.' });
+    }
+  });
+
+  return router;
+};
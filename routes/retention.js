@@ -0,0 +1,39 @@
+import express from 'express';
+
+import { log } from '../lib/log.js';
+
+/**
+ * Retenção de dados (`/api/retention`, só administradores): relatório do que
+ * a varredura removeria (dry-run) e execução sob demanda, no tenant do
+ * administrador. A varredura agendada roda em todo o bucket.
+ */
+export const createRetentionRouter = ({ retention }) => {
+  const router = express.Router();
+
+  router.get('/report', async (req, res) => {
+    try {
+      res.json(await retention.sweep({ dryRun: true, tenantId: req.user.tenantId }));
+    } catch (error) {
+      log('API-ERROR', 'Erro ao gerar relatório de retenção:', error);
+      res.status(500).json({ error: 'Falha ao gerar relatório de retenção.' });
+    }
+  });
+
+  router.post('/sweep', async (req, res) => {
+    try {
+      const dryRun = req.body?.dryRun ?? false;
+      if (typeof dryRun !== 'boolean') {
+        return res.status(400).json({
+          error: 'Pedido de varredura inválido.',
+          details: [{ field: 'dryRun', message: 'Deve ser booleano.' }],
+        });
+      }
+      res.json(await retention.sweep({ dryRun, tenantId: req.user.tenantId }));
+    } catch (error) {
+      log('API-ERROR', 'Erro na varredura de retenção:', error);
+      res.status(500).json({ error: 'Falha na varredura de retenção.' });
+    }
+  });
+
+  return router;
+};
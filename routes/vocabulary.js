@@ -0,0 +1,89 @@
+import express from 'express';
+
+import { log } from '../lib/log.js';
+import { ownerOf } from '../lib/auth.js';
+import { validateVocabularyList } from '../lib/vocabulary.js';
+
+/**
+ * Rotas CRUD das listas de vocabulário médico da clínica (`/api/vocabulary`).
+ * As listas são compartilhadas por todos os profissionais do mesmo tenant.
+ */
+export const createVocabularyRouter = ({ vocabulary }) => {
+  const router = express.Router();
+
+  // Listas de outra clínica são tratadas como inexistentes.
+  const findInTenant = async (id, user) => {
+    const list = await vocabulary.get(id);
+    return list && list.owner?.tenantId === user?.tenantId ? list : null;
+  };
+
+  router.post('/', async (req, res) => {
+    try {
+      const errors = validateVocabularyList(req.body || {});
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Lista de vocabulário inválida.', details: errors });
+      }
+      const list = await vocabulary.create(req.body, ownerOf(req.user));
+      log('API', `Lista de vocabulário criada: ${list.id}`);
+      res.status(201).json(list);
+    } catch (error) {
+      log('API-ERROR', 'Erro ao criar lista de vocabulário:', error);
+      res.status(500).json({ error: 'Falha ao criar lista de vocabulário.' });
+    }
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ lists: await vocabulary.list(req.user.tenantId) });
+    } catch (error) {
+      log('API-ERROR', 'Erro ao listar vocabulário:', error);
+      res.status(500).json({ error: 'Falha ao listar vocabulário.' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const list = await findInTenant(req.params.id, req.user);
+      if (!list) {
+        return res.status(404).json({ error: 'Lista de vocabulário não encontrada.' });
+      }
+      res.json(list);
+    } catch (error) {
+      log('API-ERROR', `Erro ao buscar lista de vocabulário ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao buscar lista de vocabulário.' });
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      if (!(await findInTenant(req.params.id, req.user))) {
+        return res.status(404).json({ error: 'Lista de vocabulário não encontrada.' });
+      }
+      const errors = validateVocabularyList(req.body || {}, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Lista de vocabulário inválida.', details: errors });
+      }
+      res.json(await vocabulary.update(req.params.id, req.body));
+    } catch (error) {
+      log('API-ERROR', `Erro ao atualizar lista de vocabulário ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao atualizar lista de vocabulário.' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const list = await findInTenant(req.params.id, req.user);
+      if (!list) {
+        return res.status(404).json({ error: 'Lista de vocabulário não encontrada.' });
+      }
+      await vocabulary.remove(list);
+      log('API', `Lista de vocabulário removida: ${req.params.id}`);
+      res.status(200).json({ message: 'Lista de vocabulário removida com sucesso.' });
+    } catch (error) {
+      log('API-ERROR', `Erro ao remover lista de vocabulário ${req.params.id}:`, error);
+      res.status(500).json({ error: 'Falha ao remover lista de vocabulário.' });
+    }
+  });
+
+  return router;
+};
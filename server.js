@@ -3,28 +3,81 @@ import 'dotenv/config';
 
 import express from 'express';
 import http from 'http';
+import path from 'path';
 import { Server } from 'socket.io';
-import speech from '@google-cloud/speech';
 import multer from 'multer';
 import cors from 'cors';
-import { Storage } from '@google-cloud/storage';
 import { v4 as uuidv4 } from 'uuid';
-
-// Vertex AI
-import { VertexAI } from '@google-cloud/vertexai';
-
-// --- Funções de Log Padronizadas ---
-const log = (prefix, message, ...args) =>
-  console.log(`[${new Date().toISOString()}] [${prefix}]`, message, ...args);
+import proxyaddr from 'proxy-addr';
+
+import { log, logger } from './lib/log.js';
+import { createAuth, isOwner, ownerOf, requireRole } from './lib/auth.js';
+import { auditRequest, createAuditLog } from './lib/audit.js';
+import { allowsAiProcessing, buildConsentRecord, formatConsentErrors, validateConsent } from './lib/consent.js';
+import { createDocumentService } from './lib/documents.js';
+import { DOCUMENT_TYPES, detectDocumentType } from './lib/file-types.js';
+import { createDocumentScanner } from './lib/document-scan.js';
+import { chunkPages, contentHash, createDocumentTextService, formatPageRanges } from './lib/document-text.js';
+import { createRetentionService, parseRetentionRules } from './lib/retention.js';
+import { createDocumentStore } from './lib/document-store.js';
+import { createConsultationService } from './lib/consultations.js';
+import { createRecordingService } from './lib/recordings.js';
+import { createLiveSessionRegistry } from './lib/live-sessions.js';
+import { createLiveRecording } from './lib/live-recording.js';
+import { buildTimedSegment, durationToMs, toTimedWords } from './lib/transcript-timing.js';
+import { buildSpeakerTurns } from './lib/diarization.js';
+import { createBatchJobService, toPublicJob } from './lib/batch-jobs.js';
+import { normalizeAudio } from './lib/audio-transcode.js';
+import { formatOptionErrors, parseRecognitionOptions } from './lib/recognition-options.js';
+import { correctSegment, createVocabularyService, withVocabulary } from './lib/vocabulary.js';
+import { composeDocument, createDocumentTemplateService, templateRef } from './lib/document-templates.js';
+import { createExportService } from './lib/exports.js';
+import { createDeidentificationService } from './lib/deidentify.js';
+import { sanitizeHtml } from './lib/html-sanitize.js';
+import { generateStructured, withResponseSchema } from './lib/structured-output.js';
+import {
+  CHAT_OUTPUT,
+  IA_TRANSCRIPTION_OUTPUT,
+  documentOutput,
+  documentSummaryOutput,
+  entitiesOutput,
+  ocrOutput,
+} from './lib/output-schemas.js';
+import { createPromptRegistry } from './lib/prompt-registry.js';
+import { pickLocale } from './lib/language.js';
+import {
+  createBoundary,
+  injectionFlags,
+  isolateUntrusted,
+  scanForInjection,
+} from './lib/prompt-isolation.js';
+import { createProviders } from './providers/index.js';
+import { createConsultationsRouter } from './routes/consultations.js';
+import { createVocabularyRouter } from './routes/vocabulary.js';
+import { createDocumentTemplatesRouter } from './routes/document-templates.js';
+import { createExportsRouter } from './routes/exports.js';
+import { createDeidentifyRouter } from './routes/deidentify.js';
+import { createAuditRouter } from './routes/audit.js';
+import { createRetentionRouter } from './routes/retention.js';
+import { createErasureRouter } from './routes/erasure.js';
 
 // --- Configurações iniciais ---
 const app = express();
 const server = http.createServer(app);
+const auth = createAuth();
+// Proxies confiáveis à frente do servidor (1 no Cloud Run) para obter o IP real do cliente
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? (process.env.K_SERVICE ? 1 : 0)));
+
+// Origens permitidas (CORS_ORIGINS separado por vírgulas); sem a variável, reflete a origem
+const corsOrigin = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map((origin) => origin.trim())
+  : true;
 
 // Socket.io configurado para Cloud Run
 const io = new Server(server, { 
   cors: { 
-    origin: "*",
+    origin: corsOrigin,
+    credentials: true,
     methods: ["GET", "POST"]
   },
   transports: ['websocket', 'polling'],
@@ -36,7 +89,7 @@ const upload = multer();
 
 // CORS configurado para Cloud Run
 app.use(cors({
-  origin: true,
+  origin: corsOrigin,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
 }));
@@ -48,6 +101,7 @@ app.get('/health', (req, res) => {
   res.status(200).json({ 
     status: 'ok', 
     socket: 'enabled',
+    providers: { storage: storage.name, speech: speech.name, llm: llm.name },
     timestamp: new Date().toISOString()
   });
 });
@@ -62,7 +116,7 @@ app.get('/ws-test', (req, res) => {
 });
 
 // Handle preflight
-app.options('*', cors());
+app.options('/{*path}', cors());
 
 // --- Middleware de Logging de Requisições ---
 app.use((req, res, next) => {
@@ -70,55 +124,483 @@ app.use((req, res, next) => {
   next();
 });
 
-// --- Clientes ---
-const speechClient = new speech.SpeechClient();
-const storage = new Storage();
-const vertex_ai = new VertexAI({
-  project: process.env.GCLOUD_PROJECT,
-  location: process.env.GCLOUD_LOCATION,
+// --- Providers (GCP ou locais, conforme PROVIDERS/*_PROVIDER) ---
+const { storage, speech, llm } = createProviders();
+log('Server', `Providers: storage=${storage.name}, speech=${speech.name}, llm=${llm.name}`);
+
+// Bucket dos registros JSON (consultas etc.); usa o de áudio se não definido
+const dataBucketName = process.env.GCLOUD_BUCKET_DATA || process.env.GCLOUD_BUCKET_NAME;
+
+const consultations = createConsultationService(
+  createDocumentStore({ storage, bucket: dataBucketName, prefix: 'consultations' })
+);
+const recordings = createRecordingService(
+  createDocumentStore({ storage, bucket: dataBucketName, prefix: 'recordings' })
+);
+const vocabulary = createVocabularyService(
+  createDocumentStore({ storage, bucket: dataBucketName, prefix: 'vocabulary' })
+);
+const documentTemplates = createDocumentTemplateService(
+  createDocumentStore({ storage, bucket: dataBucketName, prefix: 'document-templates' })
+);
+const documentExports = createExportService(
+  createDocumentStore({ storage, bucket: dataBucketName, prefix: 'exports' })
+);
+const deidentifications = createDeidentificationService(
+  createDocumentStore({ storage, bucket: dataBucketName, prefix: 'deidentify' })
+);
+// Trilha de auditoria (LGPD): bucket próprio opcional, para retenção/permissões separadas
+const auditBucketName = process.env.GCLOUD_BUCKET_AUDIT || dataBucketName;
+const auditLog = createAuditLog({
+  entries: createDocumentStore({ storage, bucket: auditBucketName, prefix: 'audit' }),
+  head: createDocumentStore({ storage, bucket: auditBucketName, prefix: 'audit-head' }),
+});
+const uploadedDocuments = createDocumentService(
+  createDocumentStore({ storage, bucket: dataBucketName, prefix: 'documents' })
+);
+// Texto extraído dos documentos (por página), em cache pelo hash do conteúdo
+const documentText = createDocumentTextService(
+  createDocumentStore({ storage, bucket: dataBucketName, prefix: 'document-text' })
+);
+const liveSessions = createLiveSessionRegistry({
+  ttlMs: Number(process.env.LIVE_SESSION_TTL_MINUTES || 30) * 60 * 1000,
 });
 
-const model = 'gemini-2.0-flash-001';
-const generativeModel = vertex_ai.getGenerativeModel({
-  model,
-  generationConfig: {
-    maxOutputTokens: 8192,
-    temperature: 0.2,
-  },
+// Atualizações de jobs vão para a sala do socket de quem se inscreveu
+const batchJobs = createBatchJobService(
+  createDocumentStore({ storage, bucket: dataBucketName, prefix: 'batch-jobs' }),
+  { onUpdate: (job) => io.to(`batch-job:${job.id}`).emit('batch-job-update', toPublicJob(job)) }
+);
+
+// Retenção por tipo de dado (RETENTION_*_DAYS) e eliminação de dados do paciente
+const retention = createRetentionService({
+  rules: parseRetentionRules(),
+  storage,
+  audioBucket: process.env.GCLOUD_BUCKET_NAME,
+  documentBucket: process.env.GCLOUD_BUCKET_DOC,
+  consultations,
+  recordings,
+  documents: uploadedDocuments,
+  documentText,
+  exportsService: documentExports,
+  batchJobs,
+  deidentifications,
 });
 
+// Varredura agendada a cada RETENTION_SWEEP_INTERVAL_HOURS (padrão 24; 0 desativa)
+const retentionSweepHours = Number(process.env.RETENTION_SWEEP_INTERVAL_HOURS ?? 24);
+if (retentionSweepHours > 0 && Object.values(retention.rules).some((days) => days !== null)) {
+  setInterval(async () => {
+    try {
+      const report = await retention.sweep({ dryRun: false });
+      auditLog.record({
+        action: 'retention.sweep',
+        outcome: report.errors.length > 0 ? 'failure' : 'success',
+        details: { scheduled: true, deleted: report.deleted, errors: report.errors.length },
+      });
+    } catch (err) {
+      log('Retention-ERROR', 'Falha na varredura de retenção agendada:', err);
+    }
+  }, retentionSweepHours * 60 * 60 * 1000).unref();
+}
+
+// Tempo que o áudio de uma sessão desconectada fica aberto aguardando 'resume-session'
+const liveAudioGraceMs = Number(process.env.LIVE_AUDIO_GRACE_SECONDS || 120) * 1000;
+
 /**
- * Função auxiliar para chamar o Vertex AI e centralizar o logging.
+ * Abre a gravação do áudio bruto de uma sessão ao vivo no bucket de áudio.
+ * Ao finalizar, a gravação é registrada (e vinculada à consulta, se houver).
  */
-const callVertexAI = async (endpointName, prompt, generationConfig = {}) => {
-  log('VertexAI', `Iniciando chamada para o endpoint: ${endpointName}`);
-  log(
-    'VertexAI',
+const startLiveRecording = (session, consent) => {
+  const bucketName = process.env.GCLOUD_BUCKET_NAME;
+  const recordingId = uuidv4();
+  const recording = createLiveRecording({
+    storage,
+    bucket: bucketName,
+    recordingId,
+    onFinalized: async ({ bytes }) => {
+      await registered;
+      await recordings.markFinalized(recordingId, {
+        bytes,
+        consultationId: session.consultationId,
+      });
+      if (session.consultationId) {
+        await consultations.addAudio(session.consultationId, { recordingId, uri: recording.uri });
+      }
+    },
+  });
+  const registered = recordings.create({
+    id: recordingId,
+    filename: recording.filename,
+    uri: recording.uri,
+    owner: session.owner,
+    status: 'recording',
+    consent,
+  });
+  registered.catch((err) => log('API-ERROR', `Falha ao registrar gravação ${recordingId}:`, err));
+  session.recording = recording;
+  return recording;
+};
+
+// Finaliza o áudio da sessão (idempotente); falhas são apenas registradas no log.
+const finalizeLiveRecording = (session) => {
+  clearTimeout(session.finalizeTimer);
+  if (!session.recording) return Promise.resolve(null);
+  return session.recording.finalize().catch((err) => {
+    log('Storage-ERROR', `Falha ao finalizar gravação ${session.recording.recordingId}:`, err);
+    return null;
+  });
+};
+
+/**
+ * Busca a consulta indicada por `consultationId`, se houver e se pertencer ao
+ * usuário. Retorna `null` quando nenhum ID é informado, a consulta não existe
+ * ou é de outro profissional.
+ */
+const findConsultation = async (consultationId, user) => {
+  if (!consultationId) return null;
+  const consultation = await consultations.get(consultationId);
+  return isOwner(consultation, user) ? consultation : null;
+};
+
+/**
+ * Recusa (403) o envio de dados da consulta ao LLM quando alguma gravação
+ * vinculada foi consentida sem o escopo 'ai-processing'.
+ */
+const assertAiConsent = async (consultation) => {
+  if (!consultation) return;
+  const linked = await Promise.all((consultation.audio || []).map(({ recordingId }) => recordings.get(recordingId)));
+  if (linked.some((recording) => recording && !allowsAiProcessing(recording.consent))) {
+    throw requestError(403, 'O consentimento do paciente não autoriza o processamento por IA.');
+  }
+};
+
+// Formata segmentos de transcrição como linhas "speakerTag: texto".
+const formatTranscript = (segments) =>
+  segments.map((segment) => `${segment.speakerTag || 'Pessoa'}: ${segment.text}`).join('\n');
+
+const defaultGenerationConfig = {
+  maxOutputTokens: 8192,
+  temperature: 0.2,
+};
+
+// Templates de prompt versionados, relidos do disco quando mudam
+const prompts = createPromptRegistry({ dir: process.env.PROMPTS_DIR || path.resolve('prompts') });
+
+// Tentativas (incluindo a primeira) para obter uma saída estruturada válida
+const structuredMaxAttempts = Number(process.env.LLM_STRUCTURED_MAX_ATTEMPTS || 3);
+
+/**
+ * Monta a chamada ao LLM a partir de um template, isolando o conteúdo não
+ * confiável (transcrições, anamneses, documentos): o template renderizado vai
+ * na `systemInstruction` e cada item de `untrusted` (`{ label, text }`) numa
+ * parte delimitada da mensagem do usuário, seguida dos `attachments` (ex.:
+ * arquivos em `inlineData`). Retorna `{ request, template, findings }`, com
+ * os trechos suspeitos de injeção de prompt em `findings`.
+ */
+const isolatedPrompt = async (
+  endpointName,
+  { name, locale, variables, untrusted = [], attachments = [], generationConfig = {} }
+) => {
+  const { text: instructions, template } = await prompts.render(name, { locale, variables });
+  const boundary = createBoundary();
+  const { text: notice } = await prompts.render('untrusted-content', {
+    locale: template.locale,
+    variables: { boundary },
+  });
+  const { systemInstruction, parts, findings } = isolateUntrusted({
+    instructions,
+    notice,
+    boundary,
+    untrusted,
+  });
+  if (findings.length > 0) {
+    log('LLM', `Possível injeção de prompt em ${endpointName}:`, findings);
+  }
+  return {
+    request: {
+      tag: endpointName,
+      systemInstruction,
+      contents: [{ role: 'user', parts: [...parts, ...attachments] }],
+      generationConfig: { ...defaultGenerationConfig, ...generationConfig },
+    },
+    template,
+    findings,
+  };
+};
+
+/**
+ * Função auxiliar para chamar o LLM configurado e centralizar o logging.
+ */
+const callLLM = async (request) => {
+  const endpointName = request.tag;
+  const prompt = [
+    request.systemInstruction,
+    ...request.contents.flatMap((content) => content.parts.map((part) => part.text ?? '[anexo]')),
+  ]
+    .filter(Boolean)
+    .join('\n');
+  log('LLM', `Iniciando chamada para o endpoint: ${endpointName} (${prompt.length} caracteres)`);
+  // O prompt completo traz dados do paciente: só em LOG_LEVEL=debug, e ainda mascarado
+  logger.debug(
+    'LLM',
     `Prompt enviado:\n---INÍCIO DO PROMPT---\n${prompt}\n---FIM DO PROMPT---`
   );
 
-  const request = {
-    contents: [{ role: 'user', parts: [{ text: prompt }] }],
-    generationConfig: { ...generativeModel.generationConfig, ...generationConfig },
-  };
+  const generatedText = await llm.generate(request);
 
-  const result = await generativeModel.generateContent(request);
-  const generatedText = result.response.candidates[0].content.parts[0].text;
+  if (!generatedText) {
+    throw new Error('Resposta vazia do modelo generativo');
+  }
 
-  log('VertexAI', `Resposta recebida do endpoint ${endpointName}`);
+  log('LLM', `Resposta recebida do endpoint ${endpointName}`);
   return generatedText.trim();
 };
 
+// Erro com status HTTP cuja mensagem pode ser devolvida ao cliente
+const requestError = (status, message) =>
+  Object.assign(new Error(message), { status, expose: true });
+
+// Corpo de erro para o cliente: mensagem exposta (com erros por campo) ou genérica
+const errorPayload = (error, fallbackMessage) =>
+  error.expose
+    ? { error: error.message, ...(error.details ? { details: error.details } : {}) }
+    : { error: fallbackMessage };
+
+/**
+ * Executa de uma vez uma geração preparada (`{ request, finish }`, ver
+ * `generationRoute`) e devolve o payload final.
+ */
+const runGeneration = async ({ request, finish }) => finish(await callLLM(request));
+
+/**
+ * Executa uma geração preparada em streaming, repassando cada trecho de texto
+ * para `onDelta`. Retorna o payload final, ou `null` se `signal` foi abortado
+ * (nesse caso nada é gravado).
+ */
+const streamGeneration = async ({ request, finish }, { signal, onDelta }) => {
+  log('LLM', `Iniciando streaming para o endpoint: ${request.tag}`);
+  let generatedText = '';
+  for await (const chunk of llm.generateStream({ ...request, signal })) {
+    generatedText += chunk;
+    onDelta(chunk);
+  }
+  if (signal.aborted) {
+    log('LLM', `Streaming cancelado pelo cliente: ${request.tag}`);
+    return null;
+  }
+  if (!generatedText.trim()) {
+    throw new Error('Resposta vazia do modelo generativo');
+  }
+  log('LLM', `Streaming concluído para o endpoint ${request.tag}`);
+  return finish(generatedText.trim());
+};
+
+/**
+ * Responde uma geração como Server-Sent Events: `delta` ({ text }) a cada
+ * trecho, depois `done` com o payload final ou `error`. Fechar a conexão
+ * cancela a geração.
+ */
+const sendGenerationEvents = async (endpointName, generation, res) => {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  try {
+    const result = await streamGeneration(generation, {
+      signal: controller.signal,
+      onDelta: (text) => send('delta', { text }),
+    });
+    if (result) send('done', result);
+  } catch (error) {
+    log('API-ERROR', `Erro no streaming de ${endpointName}:`, error);
+    if (!controller.signal.aborted) {
+      send('error', errorPayload(error, 'Falha ao gerar a resposta.'));
+    }
+  }
+  res.end();
+};
+
+const wantsEventStream = (req) =>
+  req.query.stream === 'true' ||
+  req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream';
+
+/**
+ * Cria a rota de uma geração. `prepare(body, user)` valida a entrada (lançando
+ * `requestError`) e devolve `{ request, finish }`: a chamada ao LLM e a função
+ * que transforma o texto final no payload de resposta (gravando o que for
+ * preciso). Responde em JSON ou, com `Accept: text/event-stream` ou
+ * `?stream=true`, em SSE.
+ */
+const generationRoute = (endpointName, prepare, errorMessage) => async (req, res) => {
+  try {
+    const generation = await prepare(req.body, req.user);
+    if (wantsEventStream(req)) {
+      return sendGenerationEvents(endpointName, generation, res);
+    }
+    res.status(200).json(await runGeneration(generation));
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).json(errorPayload(error));
+    }
+    log('API-ERROR', `Erro em ${endpointName}:`, error);
+    res.status(500).json({ error: errorMessage });
+  }
+};
+
+// Serve os arquivos das URLs assinadas quando o armazenamento é local
+if (storage.resolveSignedUrl) {
+  app.get('/local-storage/:bucket/*name', async (req, res) => {
+    const { bucket } = req.params;
+    const name = req.params.name.join('/');
+    const filePath = storage.resolveSignedUrl(
+      bucket,
+      name,
+      req.query.expires,
+      req.query.signature
+    );
+    if (!filePath) {
+      return res.status(403).json({ error: 'URL assinada inválida ou expirada.' });
+    }
+    if (!(await storage.exists(bucket, name))) {
+      return res.status(404).json({ error: 'Arquivo não encontrado.' });
+    }
+    const { contentType } = await storage.readMetadata(bucket, name);
+    if (contentType) res.type(contentType);
+    res.sendFile(filePath, { dotfiles: 'allow' });
+  });
+}
+
+// --- Autenticação: tudo abaixo exige Bearer JWT (HTTP) ou token no handshake (socket) ---
+if (auth.disabled) {
+  log('Server', '⚠️ Autenticação desabilitada (AUTH_DISABLED=true).');
+}
+app.use(auth.httpMiddleware);
+io.use(auth.socketMiddleware);
+
+app.use(
+  '/api/consultations',
+  createConsultationsRouter({
+    consultations,
+    fhirSystemBase: process.env.FHIR_SYSTEM_BASE || 'urn:doctor-agent',
+  })
+);
+app.use('/api/vocabulary', createVocabularyRouter({ vocabulary }));
+app.use('/api/document-templates', createDocumentTemplatesRouter({ documentTemplates }));
+// Acesso a conteúdo clínico gerado: exportações (URLs assinadas) e reidentificação
+app.post('/api/exports', auditRequest(auditLog, 'document.export', { resourceType: 'export' }));
+app.get(
+  '/api/exports/:id/url',
+  auditRequest(auditLog, 'document.url', { resourceType: 'export', resourceId: (req) => req.params.id })
+);
+app.post(
+  '/api/deidentify/:id/reidentify',
+  auditRequest(auditLog, 'phi.reidentify', { resourceType: 'deidentification', resourceId: (req) => req.params.id })
+);
+app.use(
+  '/api/exports',
+  createExportsRouter({
+    exportsService: documentExports,
+    consultations,
+    storage,
+    bucket: process.env.GCLOUD_BUCKET_DOC,
+  })
+);
+app.use('/api/deidentify', createDeidentifyRouter({ deidentifications, consultations }));
+app.use(
+  '/api/audit',
+  auditRequest(auditLog, 'audit.read'),
+  requireRole('admin'),
+  createAuditRouter({ auditLog })
+);
+app.use(
+  '/api/retention',
+  auditRequest(auditLog, 'retention.sweep'),
+  requireRole('admin'),
+  createRetentionRouter({ retention })
+);
+app.use(
+  '/api/erasure',
+  auditRequest(auditLog, 'patient.erasure'),
+  requireRole('admin'),
+  createErasureRouter({ retention })
+);
+
+// Auditoria das gerações por IA (HTTP); as do socket são registradas em 'start-generation'
+const AI_GENERATION_PATHS = [
+  '/api/generate-title',
+  '/api/melhorar-anamnese',
+  '/api/generate-ia-transcription',
+  '/api/generate-summary',
+  '/api/extract-entities',
+  '/api/generate-anamnese',
+  '/api/process-and-summarize-documents',
+  '/api/chat',
+];
+app.use(
+  AI_GENERATION_PATHS,
+  auditRequest(auditLog, 'ai.generate', {
+    resourceType: 'consultation',
+    resourceId: (req) => req.body?.consultationId,
+  })
+);
+
+// Consentimento para IA da consulta informada, antes de qualquer chamada ao LLM
+// (rotas multipart conferem depois do multer, que é quem lê o corpo)
+app.use(AI_GENERATION_PATHS, async (req, res, next) => {
+  try {
+    await assertAiConsent(await findConsultation(req.body?.consultationId, req.user));
+  } catch (err) {
+    if (!err.expose) log('API-ERROR', 'Falha ao verificar o consentimento para IA:', err);
+    return res.status(err.status || 500).json(errorPayload(err, 'Falha ao verificar o consentimento.'));
+  }
+  next();
+});
+
+// IP do cliente no handshake do socket, com as mesmas regras de proxy do Express
+const socketIp = (socket) => proxyaddr(socket.request, app.get('trust proxy fn'));
+
+/** Registra na auditoria uma ação feita pelo usuário de um socket. */
+const auditSocket = (socket, action, { resourceType = null, resourceId = null, outcome = 'success', details = {} } = {}) =>
+  auditLog.record({
+    actor: ownerOf(socket.data.user),
+    action,
+    resourceType,
+    resourceId,
+    ip: socketIp(socket),
+    outcome,
+    details: { socketId: socket.id, ...details },
+  });
+
 // ===================================
 // --- WebSocket STT com Automação ---
 // ===================================
 io.on('connection', (socket) => {
   log('WebSocket', `Cliente conectado: ${socket.id} from ${socket.handshake.address}`);
+  auditSocket(socket, 'session.connect');
 
   let recognizeStream = null;
   let recognitionConfig = null;
+  // Vocabulário da clínica (já carrega o cache para o 'start-recording')
+  let tenantVocabulary = vocabulary.cachedForTenant(socket.data.user.tenantId);
+  // Sessão ao vivo (log de segmentos finais) associada a esta conexão
+  let session = null;
+  // Resolve para o ID da consulta vinculada (já validada) ou `null`.
+  let consultationReady = Promise.resolve(null);
   let silenceTimer = null;
   let streamRestartTimer = null;
+  // Posição na gravação (ms) do primeiro chunk enviado ao stream atual: os
+  // tempos da Speech API contam a partir dele, não da abertura do stream
+  let streamTiming = null;
+  // Gerações de texto em andamento, por requestId (para 'cancel-generation')
+  const generations = new Map();
   const silenceTimeoutDuration = 10000; // 10 segundos
   const maxStreamDuration = 290 * 1000; // ~4.8 minutos
 
@@ -147,7 +629,12 @@ io.on('connection', (socket) => {
 
     const request = { config: recognitionConfig, interimResults: true };
 
-    recognizeStream = speechClient
+    // Os tempos da Speech API são relativos ao início de cada stream
+    const timing = { offsetMs: null };
+    streamTiming = timing;
+    let lastFinalEndMs = null;
+
+    recognizeStream = speech
       .streamingRecognize(request)
       .on('error', (err) => {
         log('SpeechAPI-ERROR', `Erro no streaming para ${socket.id}:`, err.message);
@@ -157,21 +644,31 @@ io.on('connection', (socket) => {
       .on('data', (data) => {
         const result = data.results[0];
         if (result && result.alternatives[0]) {
-          const transcriptData = {
-            text: result.alternatives[0].transcript,
+          const alternative = result.alternatives[0];
+          const offsetMs = timing.offsetMs ?? 0;
+          lastFinalEndMs ??= offsetMs;
+          // Descarta palavras de resultados finais anteriores que venham repetidas
+          const words = toTimedWords(alternative.words, offsetMs).filter(
+            (word) => word.startMs >= lastFinalEndMs
+          );
+          const timedSegment = buildTimedSegment({
+            text: alternative.transcript,
             isFinal: result.isFinal,
-            timestamp: new Date().toLocaleTimeString('pt-BR', {
-              hour: '2-digit',
-              minute: '2-digit',
-            }),
-            speakerTag:
-              result.alternatives[0].words?.[
-                result.alternatives[0].words.length - 1
-              ]?.speakerTag,
-          };
+            speakerTag: words[words.length - 1]?.speakerTag,
+            words,
+            confidence: alternative.confidence,
+            fallbackStartMs: lastFinalEndMs,
+            fallbackEndMs: offsetMs + durationToMs(result.resultEndTime),
+          });
+          const transcriptData = correctSegment(timedSegment, tenantVocabulary);
+          if (transcriptData.isFinal) {
+            lastFinalEndMs = Math.max(lastFinalEndMs, transcriptData.endMs);
+          }
           
-          log('WebSocket', `Enviando transcript: ${transcriptData.text.substring(0, 50)}...`);
-          socket.emit('transcript-data', transcriptData);
+          const segment = transcriptData.isFinal ? recordFinalSegment(transcriptData) : transcriptData;
+          if (!segment) return;
+          logger.debug('WebSocket', `Enviando transcript (${segment.text.length} caracteres) para ${socket.id}`);
+          socket.emit('transcript-data', segment);
         }
       });
 
@@ -188,6 +685,37 @@ io.on('connection', (socket) => {
     }, maxStreamDuration);
   };
 
+  /**
+   * Registra um segmento final no log da sessão e o persiste na consulta
+   * vinculada, se houver. Retorna o segmento armazenado ou `null` se for repetido.
+   */
+  const recordFinalSegment = (segment) => {
+    if (!session) return segment;
+    const stored = liveSessions.addSegment(session, segment);
+    if (!stored) {
+      log('WebSocket', `Segmento repetido descartado na sessão ${session.id}`);
+      return null;
+    }
+    consultationReady
+      .then((consultationId) =>
+        consultationId && consultations.upsertTranscriptSegment(consultationId, stored)
+      )
+      .catch((err) => log('API-ERROR', 'Falha ao salvar transcrição na consulta:', err));
+    return stored;
+  };
+
+  // Chamado quando outra conexão assume a sessão desta (reconexão do cliente).
+  const releaseSession = () => {
+    log('WebSocket', `Sessão ${session?.id} assumida por outra conexão; liberando ${socket.id}`);
+    stopRecognizeStream();
+    session = null;
+  };
+
+  const leaveSession = () => {
+    if (session) liveSessions.detach(session, releaseSession);
+    session = null;
+  };
+
   const resetSilenceTimer = () => {
     clearTimeout(silenceTimer);
     silenceTimer = setTimeout(() => {
@@ -202,29 +730,193 @@ io.on('connection', (socket) => {
     }, silenceTimeoutDuration);
   };
 
-  socket.on('start-recording', (config) => {
-    log('WebSocket', `Evento 'start-recording' recebido de ${socket.id}`, config);
-    recognitionConfig = {
-      encoding: 'WEBM_OPUS',
-      sampleRateHertz: config.sampleRateHertz || 48000,
-      languageCode: config.lang || 'pt-BR',
-      alternativeLanguageCodes: ['en-US'], 
-      enableAutomaticPunctuation: true,
-      diarizationConfig: {
-        enableSpeakerDiarization: true,
-        minSpeakerCount: 2,
-        maxSpeakerCount: 6,
-      },
-      model: 'telephony',
-      useEnhanced: true,
-    };
+  socket.on('start-recording', (config = {}) => {
+    const { consultationId: requestedId, consent, ...options } = config;
+    // Só campos sem dados pessoais: o consentimento traz o nome de quem consentiu
+    // e as dicas de frases podem ter nomes de pacientes
+    log('WebSocket', `Evento 'start-recording' recebido de ${socket.id}`, {
+      consultationId: requestedId,
+      languageCode: options.languageCode ?? options.lang,
+      model: options.model,
+      encoding: options.encoding,
+      consentScope: consent?.scope,
+      consentMethod: consent?.method,
+    });
+    // Sem consentimento do paciente (gravar e transcrever) a gravação não começa
+    const consentErrors = validateConsent(consent);
+    if (consentErrors.length > 0) {
+      log('WebSocket', `Consentimento rejeitado para ${socket.id}:`, consentErrors);
+      auditSocket(socket, 'recording.start', { outcome: 'denied', details: { reason: 'consent' } });
+      socket.emit('error', formatConsentErrors(consentErrors));
+      return;
+    }
+    const { config: parsedConfig, errors } = parseRecognitionOptions(options, { mode: 'streaming' });
+    if (errors.length > 0) {
+      log('WebSocket', `Opções de reconhecimento rejeitadas para ${socket.id}:`, errors);
+      socket.emit('error', formatOptionErrors(errors));
+      return;
+    }
+    tenantVocabulary = vocabulary.cachedForTenant(socket.data.user.tenantId);
+    recognitionConfig = withVocabulary(parsedConfig, tenantVocabulary);
+
+    if (session) {
+      liveSessions.end(session);
+      finalizeLiveRecording(session);
+    }
+    leaveSession();
+    const currentSession = liveSessions.create({
+      owner: ownerOf(socket.data.user),
+      recognitionConfig,
+    });
+    session = currentSession;
+    liveSessions.attach(session, releaseSession);
+    const { recordingId } = startLiveRecording(session, buildConsentRecord(consent, ownerOf(socket.data.user)));
+    socket.emit('session-id', { sessionId: session.id, recordingId });
+    auditSocket(socket, 'recording.start', {
+      resourceType: 'live-session',
+      resourceId: session.id,
+      details: { recordingId, consultationId: requestedId ?? null },
+    });
+
+    // Validação assíncrona para não atrasar o início do stream
+    consultationReady = findConsultation(requestedId, socket.data.user)
+      .then((consultation) => {
+        if (requestedId && !consultation) {
+          log('WebSocket', `Consulta ${requestedId} não encontrada para ${socket.id}`);
+          auditSocket(socket, 'recording.start', {
+            resourceType: 'consultation',
+            resourceId: requestedId,
+            outcome: 'denied',
+            details: { sessionId: currentSession.id },
+          });
+          socket.emit('error', 'Consulta não encontrada.');
+        }
+        currentSession.consultationId = consultation?.id ?? null;
+        return currentSession.consultationId;
+      })
+      .catch((err) => {
+        log('API-ERROR', `Falha ao buscar consulta ${requestedId}:`, err);
+        return null;
+      });
+
     stopRecognizeStream();
     startRecognizeStream();
     resetSilenceTimer();
   });
 
+  socket.on('resume-session', (payload) => {
+    const sessionId = payload?.sessionId;
+    log('WebSocket', `Evento 'resume-session' recebido de ${socket.id} para ${sessionId}`);
+    const resumed = liveSessions.get(sessionId);
+    if (!resumed || !isOwner(resumed, socket.data.user)) {
+      auditSocket(socket, 'recording.resume', {
+        resourceType: 'live-session',
+        resourceId: typeof sessionId === 'string' ? sessionId : null,
+        outcome: 'denied',
+      });
+      socket.emit('error', 'Sessão não encontrada.');
+      return;
+    }
+    auditSocket(socket, 'recording.resume', { resourceType: 'live-session', resourceId: resumed.id });
+
+    stopRecognizeStream();
+    if (session !== resumed) leaveSession();
+    session = resumed;
+    liveSessions.attach(session, releaseSession);
+    clearTimeout(session.finalizeTimer);
+    consultationReady = Promise.resolve(session.consultationId);
+
+    if (!session.ended && session.recording?.finalized) {
+      log('WebSocket', `Áudio da sessão ${session.id} já foi finalizado; o restante não será gravado.`);
+    }
+    socket.emit('session-id', {
+      sessionId: session.id,
+      recordingId: session.recording?.recordingId,
+    });
+    socket.emit('session-resumed', {
+      sessionId: session.id,
+      ended: session.ended,
+      segments: session.segments,
+    });
+
+    // Retoma a captura de imediato com a mesma configuração
+    if (!session.ended) {
+      tenantVocabulary = vocabulary.cachedForTenant(socket.data.user.tenantId);
+      recognitionConfig = session.recognitionConfig;
+      startRecognizeStream();
+      resetSilenceTimer();
+    }
+  });
+
+  socket.on('subscribe-batch-job', async (payload) => {
+    try {
+      const job = await batchJobs.get(payload?.jobId);
+      if (!isOwner(job, socket.data.user)) {
+        socket.emit('error', 'Job de transcrição não encontrado.');
+        return;
+      }
+      socket.join(`batch-job:${job.id}`);
+      socket.emit('batch-job-update', toPublicJob(job));
+    } catch (err) {
+      log('API-ERROR', `Falha ao inscrever ${socket.id} no job ${payload?.jobId}:`, err);
+      socket.emit('error', 'Falha ao acompanhar o job de transcrição.');
+    }
+  });
+
+  socket.on('start-generation', async (payload) => {
+    const { requestId, endpoint, body } = payload || {};
+    log('WebSocket', `Evento 'start-generation' recebido de ${socket.id} para ${endpoint}`);
+    const prepare = streamableGenerations[endpoint];
+    if (!requestId || !prepare) {
+      socket.emit('generation-error', { requestId, error: 'Geração desconhecida.' });
+      return;
+    }
+    if (generations.has(requestId)) {
+      socket.emit('generation-error', { requestId, error: 'Já existe uma geração com este requestId.' });
+      return;
+    }
+
+    const controller = new AbortController();
+    generations.set(requestId, controller);
+    const auditGeneration = (outcome) =>
+      auditSocket(socket, 'ai.generate', {
+        resourceType: 'consultation',
+        resourceId: typeof body?.consultationId === 'string' ? body.consultationId : null,
+        outcome,
+        details: { endpoint, requestId },
+      });
+    try {
+      await assertAiConsent(await findConsultation(body?.consultationId, socket.data.user));
+      const generation = await prepare(body || {}, socket.data.user);
+      const result = await streamGeneration(generation, {
+        signal: controller.signal,
+        onDelta: (text) => socket.emit('generation-delta', { requestId, text }),
+      });
+      auditGeneration(result ? 'success' : 'cancelled');
+      if (result) socket.emit('generation-done', { requestId, result });
+      else socket.emit('generation-cancelled', { requestId });
+    } catch (err) {
+      log('API-ERROR', `Erro no streaming de ${endpoint} para ${socket.id}:`, err);
+      auditGeneration(err.status === 403 || err.status === 404 ? 'denied' : 'failure');
+      socket.emit('generation-error', {
+        requestId,
+        ...errorPayload(err, 'Falha ao gerar a resposta.'),
+      });
+    } finally {
+      generations.delete(requestId);
+    }
+  });
+
+  socket.on('cancel-generation', (payload) => {
+    log('WebSocket', `Evento 'cancel-generation' recebido de ${socket.id}`);
+    generations.get(payload?.requestId)?.abort();
+  });
+
   socket.on('audio-data', (data) => {
+    // O áudio é gravado mesmo enquanto o stream de reconhecimento reinicia
+    session?.recording?.write(data);
     if (recognizeStream && data) {
+      streamTiming.offsetMs ??= Math.round(session?.audioOffsetMs ?? 0);
       recognizeStream.write(data);
       resetSilenceTimer();
     } else if (!recognizeStream) {
@@ -233,98 +925,221 @@ io.on('connection', (socket) => {
         `Recebido 'audio-data' de ${socket.id}, mas o stream não está pronto. Ignorando chunk.`
       );
     }
+    // Duração do áudio gravado, base do offset dos próximos streams
+    if (session && data) liveSessions.addAudio(session, data.byteLength);
   });
 
   socket.on('force-flush-partial', (partial) => {
     log('WebSocket', `Evento 'force-flush-partial' recebido de ${socket.id}`);
-    socket.emit('transcript-data', { ...partial, isFinal: true });
+    const segment = recordFinalSegment({ ...partial, isFinal: true, forced: true });
+    if (segment) socket.emit('transcript-data', segment);
   });
 
   socket.on('stop-recording', () => {
     log('WebSocket', `Evento 'stop-recording' recebido de ${socket.id}`);
     stopRecognizeStream();
+    if (!session) return;
+    auditSocket(socket, 'recording.stop', { resourceType: 'live-session', resourceId: session.id });
+    liveSessions.end(session);
+    const { recording } = session;
+    finalizeLiveRecording(session).then((result) => {
+      if (!result) return;
+      socket.emit('recording-finalized', {
+        recordingId: recording.recordingId,
+        audioUri: recording.uri,
+        bytes: result.bytes,
+      });
+    });
   });
 
   socket.on('disconnect', (reason) => {
     log('WebSocket', `Cliente desconectado: ${socket.id} - Reason: ${reason}`);
+    auditSocket(socket, 'session.disconnect', { details: { reason } });
     stopRecognizeStream();
+    generations.forEach((controller) => controller.abort());
+    // Mantém o áudio aberto por um tempo para o cliente retomar a sessão
+    const disconnected = session;
+    if (disconnected && !disconnected.ended) {
+      clearTimeout(disconnected.finalizeTimer);
+      disconnected.finalizeTimer = setTimeout(
+        () => finalizeLiveRecording(disconnected),
+        liveAudioGraceMs
+      );
+    }
+    leaveSession();
   });
 });
 
 // ======================
 // --- Batch STT ---
 // ======================
-app.post('/batch-transcribe', upload.single('file'), async (req, res) => {
-  const endpointName = '/batch-transcribe';
-  log('API', `Iniciando ${endpointName}`);
+/**
+ * Executa um job de transcrição em lote: normalização do áudio, upload,
+ * 'longRunningRecognize' e estruturação dos turnos de fala, atualizando estado
+ * e progresso do job.
+ */
+const runBatchTranscription = async (jobId, file, user, consultationId, recognitionConfig, consent) => {
   try {
-    if (!req.file) {
-      log('API-ERROR', `${endpointName} - Nenhum arquivo enviado.`);
-      return res.status(400).json({ error: 'Nenhum arquivo enviado.' });
-    }
+    const audio = await normalizeAudio(file.buffer, {
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+    });
+    await batchJobs.update(jobId, { state: 'uploading', progress: 5 });
 
-    const audioBuffer = req.file.buffer;
     const bucketName = process.env.GCLOUD_BUCKET_NAME;
     const recordingId = uuidv4();
-    const filename = `audio-${recordingId}.opus`;
-    const gcsUri = `gs://${bucketName}/${filename}`;
+    const filename = `audio-${recordingId}.${audio.extension}`;
+    const gcsUri = storage.uri(bucketName, filename);
+
+    // O original só é guardado à parte quando foi convertido
+    let originalFilename = filename;
+    if (audio.transcoded) {
+      originalFilename = `audio-${recordingId}.original${path.extname(file.originalname).replace(/[^\w.]/g, '')}`;
+      await storage.save(bucketName, originalFilename, file.buffer, {
+        contentType: file.mimetype,
+      });
+    }
+
+    log('Storage', `Fazendo upload de ${filename} para o bucket ${bucketName}`);
+    await storage.save(bucketName, filename, audio.buffer, {
+      contentType: audio.contentType,
+    });
+    log('Storage', `Upload concluído: ${gcsUri}`);
+
+    await recordings.create({
+      id: recordingId,
+      filename,
+      originalFilename,
+      uri: gcsUri,
+      owner: ownerOf(user),
+      consultationId: consultationId || null,
+      consent,
+    });
 
-    log('GCS', `Fazendo upload de ${filename} para o bucket ${bucketName}`);
-    await storage.bucket(bucketName).file(filename).save(audioBuffer, {
-      metadata: { contentType: req.file.mimetype },
+    await batchJobs.update(jobId, {
+      state: 'recognizing',
+      progress: 10,
+      recordingId,
+      audioUri: gcsUri,
     });
-    log('GCS', `Upload concluído: ${gcsUri}`);
 
+    const tenantVocabulary = await vocabulary.forTenant(user.tenantId);
     log('SpeechAPI', `Iniciando 'longRunningRecognize' para ${gcsUri}`);
-    const [operation] = await speechClient.longRunningRecognize({
-      audio: { uri: gcsUri },
-      config: {
-        encoding: 'WEBM_OPUS',
-        sampleRateHertz: 48000,
-        languageCode: 'pt-BR',
-        alternativeLanguageCodes: ['en-US'],
-        enableAutomaticPunctuation: true,
-        diarizationConfig: {
-          enableSpeakerDiarization: true,
-          minSpeakerCount: 2,
-          maxSpeakerCount: 6,
+    let lastProgress = 0;
+    const response = await speech.longRunningRecognize(
+      {
+        audio: { uri: gcsUri },
+        // Codificação e taxa vêm do arquivo normalizado, não do cliente
+        config: {
+          ...withVocabulary(recognitionConfig, tenantVocabulary),
+          encoding: audio.encoding,
+          sampleRateHertz: audio.sampleRateHertz,
         },
       },
-    });
-
-    const [response] = await operation.promise();
+      {
+        // Reconhecimento ocupa a faixa de 10% a 90% do progresso do job
+        onProgress: (percent) => {
+          if (percent <= lastProgress) return;
+          lastProgress = percent;
+          batchJobs
+            .update(jobId, { progress: 10 + Math.round(percent * 0.8) })
+            .catch((err) => log('API-ERROR', `Falha ao atualizar job ${jobId}:`, err));
+        },
+      }
+    );
     log('SpeechAPI', `'longRunningRecognize' concluído para ${gcsUri}`);
 
-    const structuredTranscript = [];
-    let currentSegment = null;
-    let lastSpeakerTag = null;
+    await batchJobs.update(jobId, { state: 'structuring', progress: 90 });
 
-    response.results.forEach(result => {
-      const alternative = result.alternatives[0];
-      const transcriptText = alternative?.transcript?.trim();
-      const words = alternative?.words;
+    // Turnos de fala reconstruídos a partir do speakerTag de cada palavra
+    const structuredTranscript = buildSpeakerTurns(response.results).map((segment) =>
+      correctSegment(segment, tenantVocabulary)
+    );
 
-      if (!transcriptText || !words || words.length === 0) return;
+    log('API', `Transcrição em lote estruturada com ${structuredTranscript.length} segmentos.`);
 
-      const firstWord = words[0];
-      const speakerTag = firstWord.speakerTag;
+    if (consultationId) {
+      await consultations.addAudio(consultationId, { recordingId, uri: gcsUri });
+      await consultations.update(consultationId, { transcript: structuredTranscript });
+    }
 
-      if (speakerTag !== lastSpeakerTag) {
-        currentSegment = {
-          text: transcriptText,
-          isFinal: true,
-          speakerTag: speakerTag,
-          timestamp: firstWord.startTime.seconds ? new Date(firstWord.startTime.seconds * 1000).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' }) : '00:00',
-        };
-        structuredTranscript.push(currentSegment);
-        lastSpeakerTag = speakerTag;
-      } else if (currentSegment) {
-        currentSegment.text += ' ' + transcriptText;
-      }
+    await batchJobs.update(jobId, {
+      state: 'done',
+      progress: 100,
+      result: { recordingId, audioUri: gcsUri, batchTranscript: structuredTranscript },
     });
+  } catch (err) {
+    log('API-ERROR', `Erro no job de transcrição em lote ${jobId}:`, err);
+    await batchJobs
+      .update(jobId, {
+        state: 'failed',
+        error: err.expose ? err.message : 'Falha na transcrição em lote.',
+      })
+      .catch((updateErr) => log('API-ERROR', `Falha ao atualizar job ${jobId}:`, updateErr));
+  }
+};
 
-    log('API', `Transcrição em lote estruturada com ${structuredTranscript.length} segmentos.`);
-    res.json({ recordingId, audioUri: gcsUri, batchTranscript: structuredTranscript });
+const auditBatchJob = (action) =>
+  auditRequest(auditLog, action, { resourceType: 'batch-job', resourceId: (req) => req.params.jobId });
+
+app.post('/batch-transcribe', auditBatchJob('recording.upload'), upload.single('file'), async (req, res) => {
+  const endpointName = '/batch-transcribe';
+  log('API', `Iniciando ${endpointName}`);
+  try {
+    if (!req.file) {
+      log('API-ERROR', `${endpointName} - Nenhum arquivo enviado.`);
+      return res.status(400).json({ error: 'Nenhum arquivo enviado.' });
+    }
+
+    // Opções de reconhecimento chegam como JSON no campo 'options' do formulário
+    let options = {};
+    if (req.body.options) {
+      try {
+        options = JSON.parse(req.body.options);
+      } catch {
+        return res.status(400).json({ error: 'O campo "options" deve ser um JSON válido.' });
+      }
+    }
+    const { config: recognitionConfig, errors } = parseRecognitionOptions(options, { mode: 'batch' });
+    if (errors.length > 0) {
+      log('API-ERROR', `${endpointName} - Opções de reconhecimento inválidas:`, errors);
+      return res.status(400).json({ error: 'Opções de reconhecimento inválidas.', details: errors });
+    }
+
+    // Consentimento do paciente chega como JSON no campo 'consent' do formulário
+    let consent;
+    try {
+      consent = req.body.consent ? JSON.parse(req.body.consent) : undefined;
+    } catch {
+      return res.status(400).json({ error: 'O campo "consent" deve ser um JSON válido.' });
+    }
+    const consentErrors = validateConsent(consent);
+    if (consentErrors.length > 0) {
+      return res.status(400).json({ error: 'Consentimento do paciente inválido.', details: consentErrors });
+    }
+
+    const { consultationId } = req.body;
+    if (consultationId && !(await findConsultation(consultationId, req.user))) {
+      return res.status(404).json({ error: 'Consulta não encontrada.' });
+    }
+
+    const job = await batchJobs.create({
+      owner: ownerOf(req.user),
+      consultationId: consultationId || null,
+      fileName: req.file.originalname,
+    });
+    res.locals.auditResourceId = job.id;
+
+    // O processamento continua em segundo plano; o cliente acompanha pelo jobId
+    runBatchTranscription(
+      job.id,
+      req.file,
+      req.user,
+      consultationId,
+      recognitionConfig,
+      buildConsentRecord(consent, ownerOf(req.user))
+    );
+    res.status(202).json({ jobId: job.id, state: job.state, progress: job.progress });
 
   } catch (err) {
     log('API-ERROR', `Erro em ${endpointName}:`, err);
@@ -332,31 +1147,65 @@ app.post('/batch-transcribe', upload.single('file'), async (req, res) => {
   }
 });
 
+// O job concluído traz a transcrição gerada: cada consulta fica na auditoria
+app.get('/batch-transcribe/:jobId', auditBatchJob('transcript.read'), async (req, res) => {
+  const endpointName = '/batch-transcribe/:jobId';
+  try {
+    const job = await batchJobs.get(req.params.jobId);
+    if (!isOwner(job, req.user)) {
+      return res.status(404).json({ error: 'Job de transcrição não encontrado.' });
+    }
+    res.json(toPublicJob(job));
+
+  } catch (err) {
+    log('API-ERROR', `Erro em ${endpointName}:`, err);
+    res.status(500).json({ error: 'Falha ao consultar o job de transcrição.' });
+  }
+});
+
 // ==========================
 // --- Endpoints Vertex AI ---
 // ==========================
 
+// --- TEMPLATES DE PROMPT ---
+app.get('/api/prompts', async (req, res) => {
+  try {
+    res.json({ templates: await prompts.list() });
+  } catch (error) {
+    log('API-ERROR', 'Erro ao listar templates de prompt:', error);
+    res.status(500).json({ error: 'Falha ao listar templates de prompt.' });
+  }
+});
+
 // --- GERAÇÃO DE TÍTULO ---
 app.post('/api/generate-title', async (req, res) => {
   const endpointName = '/api/generate-title';
   try {
-    const { context } = req.body;
+    const consultation = await findConsultation(req.body.consultationId, req.user);
+    if (req.body.consultationId && !consultation) {
+      return res.status(404).json({ error: 'Consulta não encontrada.' });
+    }
+
+    const context = req.body.context ?? (consultation && formatTranscript(consultation.transcript));
     if (!context || typeof context !== 'string' || context.trim() === '') {
       return res.status(400).json({ error: 'O campo "context" é obrigatório.' });
     }
 
-    const prompt = `
-      Você é um assistente especializado em criar títulos curtos e objetivos para consultas médicas.
-      Baseado no contexto abaixo, gere um título conciso (máx. 10 palavras) que resuma o motivo principal da consulta.
-      O título deve ser claro, direto e fácil de entender. Não use markdown (como **, #) na resposta.
-
-      Contexto: "${context}"
-
-      Título Gerado:
-    `;
+    const { request, template, findings } = await isolatedPrompt(endpointName, {
+      name: 'generate-title',
+      locale: pickLocale({ requested: req.body.locale, text: context }),
+      untrusted: [{ label: 'context', text: context }],
+    });
 
-    const generatedTitle = await callVertexAI(endpointName, prompt);
-    res.status(200).json({ title: generatedTitle });
+    const generatedTitle = await callLLM(request);
+    if (consultation) {
+      await consultations.recordGenerated(consultation.id, { title: generatedTitle }, template);
+    }
+    res.status(200).json({
+      title: generatedTitle,
+      promptTemplate: template,
+      ...injectionFlags(findings),
+    });
 
   } catch (error) {
     log('API-ERROR', `Erro em ${endpointName}:`, error);
@@ -365,59 +1214,70 @@ app.post('/api/generate-title', async (req, res) => {
 });
 
 // --- MELHORAR ANAMNESE ---
-app.post('/api/melhorar-anamnese', async (req, res) => {
-    const endpointName = '/api/melhorar-anamnese';
-    try {
-        const { anamnese, prompt } = req.body;
-
-        if (!anamnese || typeof anamnese !== 'string' || anamnese.trim() === '') {
-            return res.status(400).json({ error: 'O campo "anamnese" é obrigatório.' });
-        }
-        if (!prompt || typeof prompt !== 'string' || prompt.trim() === '') {
-            return res.status(400).json({ error: 'O campo "prompt" (instrução) é obrigatório.' });
-        }
-
-        const structuredPrompt = `
-            ### Persona
-            Aja como um assistente médico redator, especialista em criar documentos clínicos claros, objetivos e bem estruturados.
-
-            ### Contexto
-            O texto de uma anamnese médica precisa ser refinado com base em uma instrução específica do médico.
-
-            ### Tarefa
-            Reescreva o "Texto Original da Anamnese" abaixo, seguindo estritamente a "Instrução do Médico".
+/**
+ * Prepara a revisão da anamnese conforme a instrução do médico. A anamnese
+ * revisada é gravada na consulta, quando informada.
+ */
+const prepareMelhorarAnamnese = async (body, user) => {
+  const consultation = await findConsultation(body.consultationId, user);
+  if (body.consultationId && !consultation) {
+    throw requestError(404, 'Consulta não encontrada.');
+  }
 
-            ### Requisitos
-            - O formato da resposta DEVE ser um único bloco de texto usando tags HTML simples (<p>, <strong>, <ul>, <li>).
-            - O tom deve ser formal, técnico e objetivo.
-            - Mantenha TODAS as informações clínicas originais. NÃO omita e NÃO invente dados.
-            - Corrija erros gramaticais.
+  const { prompt } = body;
+  const anamnese = body.anamnese ?? consultation?.anamnese;
 
-            ### Dados de Entrada
-            **Instrução do Médico:**
-            """
-            ${prompt}
-            """
+  if (!anamnese || typeof anamnese !== 'string' || anamnese.trim() === '') {
+    throw requestError(400, 'O campo "anamnese" é obrigatório.');
+  }
+  if (!prompt || typeof prompt !== 'string' || prompt.trim() === '') {
+    throw requestError(400, 'O campo "prompt" (instrução) é obrigatório.');
+  }
 
-            **Texto Original da Anamnese:**
-            """
-            ${anamnese}
-            """
-        `;
+  // A instrução é do médico; a anamnese vem da consulta e é tratada como dado
+  const { request, template, findings } = await isolatedPrompt('/api/melhorar-anamnese', {
+    name: 'melhorar-anamnese',
+    locale: pickLocale({ requested: body.locale, text: anamnese }),
+    variables: { instruction: prompt },
+    untrusted: [{ label: 'anamnese', text: anamnese }],
+  });
 
-        const enhancedAnamnese = await callVertexAI(endpointName, structuredPrompt);
-        res.status(200).json({ enhancedAnamnese });
+  return {
+    request,
+    finish: async (responseText) => {
+      const { html, text } = sanitizeHtml(responseText);
+      if (consultation) {
+        await consultations.recordGenerated(consultation.id, { anamnese: html }, template);
+      }
+      return {
+        enhancedAnamnese: html,
+        enhancedAnamneseText: text,
+        promptTemplate: template,
+        ...injectionFlags(findings),
+      };
+    },
+  };
+};
 
-    } catch (error) {
-        log('API-ERROR', `Erro em ${endpointName}:`, error);
-        res.status(500).json({ error: 'Ocorreu um erro no servidor ao processar a solicitação.' });
-    }
-});
+app.post(
+  '/api/melhorar-anamnese',
+  generationRoute(
+    '/api/melhorar-anamnese',
+    prepareMelhorarAnamnese,
+    'Ocorreu um erro no servidor ao processar a solicitação.'
+  )
+);
 
 // --- ROTA DE TRANSCRIÇÃO IA ---
 app.post('/api/generate-ia-transcription', async (req, res) => {
   try {
-    const { transcription } = req.body;
+    const consultation = await findConsultation(req.body.consultationId, req.user);
+    if (req.body.consultationId && !consultation) {
+      return res.status(404).json({ error: 'Consulta não encontrada.' });
+    }
+
+    const transcription =
+      req.body.transcription ?? (consultation && JSON.stringify(consultation.transcript));
 
     if (!transcription || typeof transcription !== 'string' || transcription.trim() === '') {
       return res.status(400).json({
@@ -436,86 +1296,46 @@ app.post('/api/generate-ia-transcription', async (req, res) => {
     const context = allTranscripts.slice(0, -1);
     const newTranscriptToProcess = allTranscripts.slice(-1);
 
-    const contextString = context.length > 0
-      ? `
-Contexto da Conversa (diálogo anterior):
-${JSON.stringify(context.map(t => ({ speaker: t.speaker, text: t.text })), null, 2)}
-`
-      : "Esta é a primeira fala da conversa.";
-
-    const prompt = `
-Você é um assistente de IA especialista em processar transcrições de consultas médicas.
-
-⚙️ Instrução de Idioma:
-- Detecte automaticamente o idioma da "Nova Transcrição".
-- Se o idioma predominante for **inglês**, todas as respostas e o conteúdo do JSON devem ser **em inglês** (inclusive nomes de campos e tópicos da timeline).
-- Caso contrário, use **português** como idioma padrão.
-- NÃO traduza o conteúdo da transcrição; apenas mantenha o idioma original da conversa para todo o processamento.
-
-Suas tarefas são:
-1. Analisar a "Nova Transcrição", usando o "Contexto da Conversa" para manter a consistência na identificação de "Médico" e "Paciente".
-2. Criar e atualizar uma "timeline" (uma lista cronológica) dos principais assuntos discutidos em TODA a conversa (contexto + nova transcrição).
-3. Formatar a saída como um objeto JSON contendo a transcrição processada e a timeline de assuntos.
-
-Instruções Detalhadas:
-1. Processamento da Transcrição:
-   - Corrija erros gramaticais na "Nova Transcrição".
-   - Mantenha a consistência dos papéis ("Médico", "Paciente").
-   - A transcrição processada deve ser um array de objetos, cada objeto representando uma fala única, com os campos obrigatórios:
-     - "speakerTag"
-     - "speaker"
-     - "text"
-     - "timestamp"
-     - "isFinal"
-   - ATENÇÃO: O campo "isFinal" DEVE SEMPRE ser \`true\` em todos os itens do processedTranscript.
-   - Caso o texto esteja vazio ("" ou apenas espaços), não deve ser incluído no processedTranscript.
-
-2. Geração da Timeline de Assuntos:
-   - Analise o diálogo completo (contexto + nova transcrição).
-   - Identifique os tópicos principais (ex: "Apresentação de sintomas", "Histórico do paciente", "Discussão sobre dor de cabeça", "Diagnóstico inicial", "Prescrição de medicação").
-   - A timeline deve ser um array de strings.
-   - A cada nova chamada, você deve retornar a timeline completa e atualizada, adicionando novos tópicos conforme eles surgem.
-
-3. Formato de Saída OBRIGATÓRIO:
-   - Sua resposta DEVE SER um único objeto JSON, sem nenhum texto ou markdown em volta.
-   - O objeto deve ter duas chaves: "processedTranscript" (um array de objetos, cada um representando uma fala) e "timeline" (um array de strings).
-
----
-${contextString}
----
-Nova Transcrição para processar:
-${JSON.stringify(newTranscriptToProcess, null, 2)}
-`;
-
-    const request = {
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    const { request, template, findings } = await isolatedPrompt('/api/generate-ia-transcription', {
+      name: 'ia-transcription',
+      locale: pickLocale({
+        requested: req.body.locale,
+        text: newTranscriptToProcess.map((t) => t.text).join(' '),
+      }),
+      variables: { hasContext: context.length > 0 },
+      untrusted: [
+        ...(context.length > 0
+          ? [{
+              label: 'previous-transcript',
+              text: JSON.stringify(context.map(t => ({ speaker: t.speaker, text: t.text })), null, 2),
+            }]
+          : []),
+        { label: 'new-transcript', text: JSON.stringify(newTranscriptToProcess, null, 2) },
+      ],
       generationConfig: {
         maxOutputTokens: 4048,
         temperature: 0.3,
       },
-    };
-
-    const result = await generativeModel.generateContent(request);
-    let generatedText = result.response?.candidates?.[0]?.content?.parts?.[0]?.text;
+    });
 
-    if (!generatedText) {
-      throw new Error('Resposta vazia do modelo generativo');
-    }
-    
-    generatedText = generatedText.trim().replace(/^```json\s*|```$/g, "").trim();
-    
     let parsedJson;
     try {
-      parsedJson = JSON.parse(generatedText);
-      if (!parsedJson.processedTranscript || !Array.isArray(parsedJson.timeline)) {
-        throw new Error("A resposta da IA não contém os campos 'processedTranscript' e 'timeline'.");
-      }
+      ({ data: parsedJson } = await generateStructured({
+        generate: llm.generate,
+        request,
+        spec: IA_TRANSCRIPTION_OUTPUT,
+        maxAttempts: structuredMaxAttempts,
+      }));
     } catch (err) {
-      log('API-ERROR', "Erro ao fazer parse do JSON da IA:", err, generatedText); // Corrigido
-      return res.status(500).json({ error: "Falha ao processar resposta da IA. Formato JSON inválido." });
+      if (!err.details) throw err;
+      log('API-ERROR', 'Resposta da IA fora do formato esperado:', err.details);
+      return res.status(err.status).json(errorPayload(err));
     }
 
-    res.status(200).json({ data: parsedJson });
+    if (consultation) {
+      await consultations.recordGenerated(consultation.id, { timeline: parsedJson.timeline }, template);
+    }
+    res.status(200).json({ data: parsedJson, promptTemplate: template, ...injectionFlags(findings) });
 
   } catch (error) {
     log('API-ERROR', 'Erro ao gerar transcrição via Vertex AI:', error); // Corrigido
@@ -527,28 +1347,33 @@ ${JSON.stringify(newTranscriptToProcess, null, 2)}
 app.post('/api/generate-summary', async (req, res) => {
   const endpointName = '/api/generate-summary';
   try {
-    const { transcription } = req.body;
+    const consultation = await findConsultation(req.body.consultationId, req.user);
+    if (req.body.consultationId && !consultation) {
+      return res.status(404).json({ error: 'Consulta não encontrada.' });
+    }
+
+    const transcription = req.body.transcription ?? consultation?.transcript;
     if (!transcription || !Array.isArray(transcription) || transcription.length === 0) {
       return res.status(400).json({ error: 'O campo "transcription" é obrigatório e deve ser um array.' });
     }
 
-    const formattedTranscription = transcription.map(item => `${item.speakerTag || 'Pessoa'}: ${item.text}`).join('\n');
-
-    const prompt = `
-      Você é um assistente de IA focado em transcrições médicas. Sua tarefa é gerar dois resultados claros, sem usar markdown ou introduções.
+    const formattedTranscription = formatTranscript(transcription);
 
-      1. **Resumo da Transcrição**: Crie um resumo objetivo da consulta.
-      2. **Avaliação da Transcrição**:
-         - Comente se a transcrição contém informações suficientes e coerentes.
-         - Aponte lacunas ou inconsistências.
-         - Avalie se faz sentido, no contexto médico, usar IA para gerar resumos desta transcrição.
-
-      A transcrição é a seguinte:
-      "${formattedTranscription}"
-    `;
+    const { request, template, findings } = await isolatedPrompt(endpointName, {
+      name: 'generate-summary',
+      locale: pickLocale({ requested: req.body.locale, text: formattedTranscription }),
+      untrusted: [{ label: 'transcript', text: formattedTranscription }],
+    });
 
-    const generatedSummary = await callVertexAI(endpointName, prompt);
-    res.status(200).json({ summary: generatedSummary });
+    const generatedSummary = await callLLM(request);
+    if (consultation) {
+      await consultations.recordGenerated(consultation.id, { summary: generatedSummary }, template);
+    }
+    res.status(200).json({
+      summary: generatedSummary,
+      promptTemplate: template,
+      ...injectionFlags(findings),
+    });
 
   } catch (error) {
     log('API-ERROR', `Erro em ${endpointName}:`, error);
@@ -556,70 +1381,222 @@ app.post('/api/generate-summary', async (req, res) => {
   }
 });
 
-// --- GERAÇÃO DE ANAMNESE ---
-app.post('/api/generate-anamnese', async (req, res) => {
-  const endpointName = '/api/generate-anamnese';
+// --- EXTRAÇÃO DE ENTIDADES CLÍNICAS ---
+app.post('/api/extract-entities', async (req, res) => {
+  const endpointName = '/api/extract-entities';
   try {
-    const { transcription, prompt, documentoSelecionado } = req.body;
-
-    if (!transcription || !Array.isArray(transcription) || transcription.length === 0 || !documentoSelecionado) {
-      return res.status(400).json({ error: 'Campos obrigatórios: transcription, documentoSelecionado.' });
+    const consultation = await findConsultation(req.body.consultationId, req.user);
+    if (req.body.consultationId && !consultation) {
+      return res.status(404).json({ error: 'Consulta não encontrada.' });
     }
 
-    const formattedTranscript = transcription.map(line => `${line.speakerTag}: ${line.text}`).join('\n');
-
-    const fullPrompt = `
-      Você é um assistente médico virtual que sumariza conversas clínicas em anamneses estruturadas.
-      Sua tarefa é analisar a transcrição de uma consulta e gerar uma anamnese completa.
-
-      Instruções Adicionais:
-      ${prompt ? ` - Contexto do Paciente: "${prompt}"` : ''}
-      
-      O Documento deve conter as seguintes seções obrigatórias:
-      ${documentoSelecionado}
+    const transcription = req.body.transcription ?? consultation?.transcript;
+    if (!transcription || !Array.isArray(transcription) || transcription.length === 0) {
+      return res.status(400).json({ error: 'O campo "transcription" é obrigatório e deve ser um array.' });
+    }
 
-      Formate o resultado em um único bloco de texto usando HTML (parágrafos, negrito, listas).
+    // Falas numeradas: as entidades citam esses índices em `segments`
+    const numberedTranscript = transcription
+      .map((segment, index) => `[${index}] ${segment.speakerTag || 'Pessoa'}: ${segment.text}`)
+      .join('\n');
 
-      Transcrição da consulta:
-      "${formattedTranscript}"
+    const { request, template, findings } = await isolatedPrompt(endpointName, {
+      name: 'extract-entities',
+      locale: pickLocale({ requested: req.body.locale, text: formatTranscript(transcription) }),
+      untrusted: [{ label: 'transcript', text: numberedTranscript }],
+      generationConfig: {
+        maxOutputTokens: 4048,
+        temperature: 0.1,
+      },
+    });
 
-      Anamnese Gerada (formato HTML):
-    `;
+    let entities;
+    try {
+      ({ data: entities } = await generateStructured({
+        generate: llm.generate,
+        request,
+        spec: entitiesOutput(transcription.length),
+        maxAttempts: structuredMaxAttempts,
+      }));
+    } catch (err) {
+      if (!err.details) throw err;
+      log('API-ERROR', 'Resposta da IA fora do formato esperado:', err.details);
+      return res.status(err.status).json(errorPayload(err));
+    }
 
-    const generatedAnamnese = await callVertexAI(endpointName, fullPrompt);
-    res.status(200).json({ anamnese: generatedAnamnese });
+    if (consultation) {
+      await consultations.recordGenerated(consultation.id, { entities }, template);
+    }
+    res.status(200).json({ entities, promptTemplate: template, ...injectionFlags(findings) });
 
   } catch (error) {
     log('API-ERROR', `Erro em ${endpointName}:`, error);
-    res.status(500).json({ error: 'Ocorreu um erro no servidor ao gerar a anamnese.' });
+    res.status(500).json({ error: 'Ocorreu um erro no servidor ao extrair as entidades.' });
   }
 });
 
+// --- GERAÇÃO DE ANAMNESE ---
+/**
+ * Geração a partir de um template de documento da clínica: o modelo devolve
+ * o HTML de cada seção (JSON validado contra as seções do template), que é
+ * combinado em um documento único. Seções obrigatórias sem conteúdo vão em
+ * `missingSections`.
+ */
+const prepareTemplateDocument = async ({ consultation, templateId, user, prompt, formattedTranscript, locale }) => {
+  const documentTemplate = await documentTemplates.get(templateId);
+  if (!documentTemplate || documentTemplate.owner?.tenantId !== user?.tenantId) {
+    throw requestError(404, 'Template de documento não encontrado.');
+  }
+
+  const spec = documentOutput(documentTemplate);
+  const { request: baseRequest, template, findings } = await isolatedPrompt('/api/generate-anamnese', {
+    name: 'generate-document',
+    locale,
+    variables: {
+      patientContext: prompt || '',
+      documentName: documentTemplate.name,
+      sections: JSON.stringify(
+        documentTemplate.sections.map(({ key, title, instructions, required, requiredFields, optionalFields }) => ({
+          key,
+          title,
+          instructions,
+          required,
+          requiredFields,
+          optionalFields,
+        })),
+        null,
+        2
+      ),
+    },
+    untrusted: [{ label: 'transcript', text: formattedTranscript }],
+  });
+  const request = withResponseSchema(baseRequest, spec);
+
+  return {
+    request,
+    // Texto já gerado é a primeira tentativa; se vier fora do formato, pede correção
+    finish: async (responseText) => {
+      const { data } = await generateStructured({
+        generate: llm.generate,
+        request,
+        spec,
+        maxAttempts: structuredMaxAttempts,
+        firstResponse: responseText,
+      });
+      const { sections, html, text, missingSections } = composeDocument(documentTemplate, data.sections);
+      const documentTemplateRef = templateRef(documentTemplate);
+      if (consultation) {
+        await consultations.recordGenerated(
+          consultation.id,
+          { anamnese: html },
+          { ...template, documentTemplate: documentTemplateRef }
+        );
+      }
+      return {
+        anamnese: html,
+        anamneseText: text,
+        sections,
+        missingSections,
+        documentTemplate: documentTemplateRef,
+        promptTemplate: template,
+        ...injectionFlags(findings),
+      };
+    },
+  };
+};
+
+/**
+ * Prepara a geração da anamnese a partir da transcrição (do corpo ou da
+ * consulta), com as seções em texto livre (`documentoSelecionado`) ou de um
+ * template da clínica (`templateId`). A anamnese gerada é gravada na
+ * consulta, quando informada.
+ */
+const prepareGenerateAnamnese = async (body, user) => {
+  const consultation = await findConsultation(body.consultationId, user);
+  if (body.consultationId && !consultation) {
+    throw requestError(404, 'Consulta não encontrada.');
+  }
+
+  const { prompt, documentoSelecionado, templateId } = body;
+  const transcription = body.transcription ?? consultation?.transcript;
+
+  if (
+    !transcription ||
+    !Array.isArray(transcription) ||
+    transcription.length === 0 ||
+    (!documentoSelecionado && !templateId)
+  ) {
+    throw requestError(400, 'Campos obrigatórios: transcription e documentoSelecionado (ou templateId).');
+  }
+
+  const formattedTranscript = transcription.map(line => `${line.speakerTag}: ${line.text}`).join('\n');
+  const locale = pickLocale({ requested: body.locale, text: formattedTranscript });
+
+  if (templateId) {
+    return prepareTemplateDocument({ consultation, templateId, user, prompt, formattedTranscript, locale });
+  }
+
+  const { request, template, findings } = await isolatedPrompt('/api/generate-anamnese', {
+    name: 'generate-anamnese',
+    locale,
+    variables: {
+      patientContext: prompt || '',
+      sections: documentoSelecionado,
+    },
+    untrusted: [{ label: 'transcript', text: formattedTranscript }],
+  });
+
+  return {
+    request,
+    finish: async (responseText) => {
+      const { html, text } = sanitizeHtml(responseText);
+      if (consultation) {
+        await consultations.recordGenerated(consultation.id, { anamnese: html }, template);
+      }
+      return { anamnese: html, anamneseText: text, promptTemplate: template, ...injectionFlags(findings) };
+    },
+  };
+};
+
+app.post(
+  '/api/generate-anamnese',
+  generationRoute(
+    '/api/generate-anamnese',
+    prepareGenerateAnamnese,
+    'Ocorreu um erro no servidor ao gerar a anamnese.'
+  )
+);
+
 // --- OBTENÇÃO DE URL DE ÁUDIO ---
-app.get('/audio-url/:recordingId', async (req, res) => {
+const auditRecording = (action) =>
+  auditRequest(auditLog, action, { resourceType: 'recording', resourceId: (req) => req.params.recordingId });
+
+app.get('/audio-url/:recordingId', auditRecording('recording.url'), async (req, res) => {
   const endpointName = '/audio-url/:recordingId';
   try {
     const bucketName = process.env.GCLOUD_BUCKET_NAME;
     const { recordingId } = req.params;
-    
-    // Corrigido: o nome do arquivo deve incluir o prefixo 'audio-' e a extensão '.opus'
-    const filename = `audio-${recordingId}.opus`;
 
-    log('GCS', `Buscando URL assinada para ${filename}`);
-    const file = storage.bucket(bucketName).file(filename);
+    const recording = await recordings.get(recordingId);
+    if (!isOwner(recording, req.user)) {
+      log('Storage-ERROR', `Gravação não encontrada para o usuário: ${recordingId}`);
+      return res.status(404).json({ error: 'Arquivo de áudio não encontrado.' });
+    }
+    const { filename } = recording;
 
-    const [exists] = await file.exists();
+    log('Storage', `Buscando URL assinada para ${filename}`);
+
+    const exists = await storage.exists(bucketName, filename);
     if (!exists) {
-      log('GCS-ERROR', `Arquivo não encontrado: ${filename}`);
+      log('Storage-ERROR', `Arquivo não encontrado: ${filename}`);
       return res.status(404).json({ error: 'Arquivo de áudio não encontrado.' });
     }
 
-    const [signedUrl] = await file.getSignedUrl({
-      action: 'read',
+    const signedUrl = await storage.getSignedUrl(bucketName, filename, {
       expires: Date.now() + 15 * 60 * 1000, // 15 minutos
     });
 
-    log('GCS', `URL assinada gerada com sucesso.`);
+    log('Storage', `URL assinada gerada com sucesso.`);
     res.json({ audioUrl: signedUrl });
 
   } catch (err) {
@@ -628,7 +1605,7 @@ app.get('/audio-url/:recordingId', async (req, res) => {
   }
 });
 
-app.delete('/audio/:recordingId', async (req, res) => {
+app.delete('/audio/:recordingId', auditRecording('recording.delete'), async (req, res) => {
   const endpointName = '/audio/:recordingId';
   try {
     const { recordingId } = req.params;
@@ -643,18 +1620,29 @@ app.delete('/audio/:recordingId', async (req, res) => {
         return res.status(500).json({ error: 'Configuração do servidor incompleta.'});
     }
 
-    // 💡 CORREÇÃO LÓGICA: Montar o nome completo do arquivo
-    const filename = `audio-${recordingId}.opus`;
-    const file = storage.bucket(bucketName).file(filename);
+    const recording = await recordings.get(recordingId);
+    if (!isOwner(recording, req.user)) {
+      log('Storage-ERROR', `Gravação não encontrada para o usuário: ${recordingId}`);
+      return res.status(404).json({ error: 'Arquivo de áudio não encontrado.' });
+    }
+    const { filename } = recording;
 
-    const [exists] = await file.exists();
+    const exists = await storage.exists(bucketName, filename);
     if (!exists) {
-      log('GCS-ERROR', `Arquivo não encontrado no bucket '${bucketName}': ${filename}`);
+      log('Storage-ERROR', `Arquivo não encontrado no bucket '${bucketName}': ${filename}`);
       return res.status(404).json({ error: 'Arquivo de áudio não encontrado.' });
     }
 
-    await file.delete();
-    log('GCS', `Arquivo ${filename} removido do bucket ${bucketName} com sucesso.`);
+    await storage.delete(bucketName, filename);
+    if (recording.originalFilename && recording.originalFilename !== filename) {
+      await storage.delete(bucketName, recording.originalFilename);
+    }
+    await recordings.remove(recordingId);
+    // A consulta deixa de apontar para a gravação (e de exportá-la no FHIR)
+    if (recording.consultationId) {
+      await consultations.removeAudio(recording.consultationId, recordingId);
+    }
+    log('Storage', `Arquivo ${filename} removido do bucket ${bucketName} com sucesso.`);
     res.status(200).json({ message: 'Arquivo de áudio removido com sucesso.' });
 
   } catch (err) {
@@ -663,31 +1651,227 @@ app.delete('/audio/:recordingId', async (req, res) => {
   }
 });
 
-app.post("/api/upload-documento", upload.single("file"), async (req, res) => {
+const auditDocumentUpload = auditRequest(auditLog, 'document.upload', { resourceType: 'document' });
+
+// Upload de documentos com limite de tamanho; erros do multer viram respostas JSON
+const documentMaxMb = Number(process.env.DOCUMENT_MAX_MB || 20);
+const receiveFiles = (middleware) => (req, res, next) =>
+  middleware(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `O arquivo excede o limite de ${documentMaxMb} MB.` });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Upload inválido: ${err.message}` });
+    }
+    next(err);
+  });
+
+const receiveDocument = receiveFiles(
+  multer({ limits: { fileSize: documentMaxMb * 1024 * 1024, files: 1 } }).single('file')
+);
+
+const documentScanner = createDocumentScanner({
+  url: process.env.DOCUMENT_SCAN_URL,
+  timeoutMs: Number(process.env.DOCUMENT_SCAN_TIMEOUT_MS || 30000),
+});
+
+// URL assinada de curta duração (15 minutos) para baixar um documento, como em /audio-url
+const documentSignedUrl = async (document) => {
+  const expires = Date.now() + 15 * 60 * 1000;
+  const documentUrl = await storage.getSignedUrl(process.env.GCLOUD_BUCKET_DOC, document.filename, { expires });
+  return { documentUrl, expiresAt: new Date(expires).toISOString() };
+};
+
+// Nome original só como metadado: sem caminho nem caracteres de controle
+const safeOriginalName = (name) =>
+  path.basename(String(name).replace(/\\/g, '/')).replace(/[\u0000-\u001f\u007f]/g, '').slice(0, 255) ||
+  'documento';
+
+app.post("/api/upload-documento", auditDocumentUpload, receiveDocument, async (req, res) => {
   try {
-    if (!req.file) {
+    if (!req.file || req.file.size === 0) {
       return res.status(400).json({ error: "Nenhum arquivo enviado." });
     }
 
-    const bucketName = process.env.GCLOUD_BUCKET_DOC;
-    const bucket = storage.bucket(bucketName);
-    const gcsFileName = `${Date.now()}_${req.file.originalname}`;
-    const file = bucket.file(gcsFileName);
+    // O tipo vem do conteúdo (magic bytes), nunca do mimetype informado pelo cliente
+    const fileType = detectDocumentType(req.file.buffer);
+    if (!fileType) {
+      return res.status(415).json({
+        error: `Tipo de arquivo não suportado. Envie: ${Object.values(DOCUMENT_TYPES).join(', ')}.`,
+      });
+    }
 
-    await file.save(req.file.buffer, {
-      contentType: req.file.mimetype,
-      resumable: false,
-    });
+    const { consultationId } = req.body;
+    if (consultationId && !(await findConsultation(consultationId, req.user))) {
+      return res.status(404).json({ error: 'Consulta não encontrada.' });
+    }
 
-    const publicUrl = `https://storage.googleapis.com/${bucketName}/${gcsFileName}`;
-    res.json({ url: publicUrl });
+    let scan;
+    try {
+      scan = await documentScanner.scan(req.file.buffer, { contentType: fileType.mimeType });
+    } catch (err) {
+      log('API-ERROR', 'Falha na varredura de malware do documento:', err);
+      return res.status(503).json({ error: 'Verificação de segurança indisponível. Tente novamente.' });
+    }
+    if (!scan.clean) {
+      return res.status(422).json({ error: 'O arquivo foi recusado pela verificação de segurança.' });
+    }
+
+    const bucketName = process.env.GCLOUD_BUCKET_DOC;
+    const documentId = uuidv4();
+    // Objeto privado com chave gerada; o nome original fica só nos metadados
+    const filename = `documents/${documentId}.${fileType.extension}`;
+    const originalName = safeOriginalName(req.file.originalname);
+    res.locals.auditResourceId = documentId;
+
+    await storage.save(bucketName, filename, req.file.buffer, {
+      contentType: fileType.mimeType,
+      metadata: { documentId, originalName },
+    });
+    // Registro para o acesso por URL assinada, retenção e eliminação de dados do paciente
+    const document = await uploadedDocuments.create({
+      id: documentId,
+      filename,
+      originalName,
+      contentType: fileType.mimeType,
+      bytes: req.file.size,
+      contentHash: contentHash(req.file.buffer),
+      owner: ownerOf(req.user),
+      consultationId: consultationId || null,
+    });
+    log('Storage', `Documento ${documentId} salvo (${fileType.mimeType}, ${req.file.size} bytes)`);
+
+    res.status(201).json({
+      id: document.id,
+      fileName: document.originalName,
+      contentType: document.contentType,
+      bytes: document.bytes,
+      ...(await documentSignedUrl(document)),
+    });
   } catch (error) {
     log('API-ERROR', "Erro ao enviar arquivo:", error); // Corrigido
     res.status(500).json({ error: "Erro ao enviar arquivo." });
   }
 });
 
-app.post("/api/process-and-summarize-documents", upload.array("documentos", 5), async (req, res) => {
+// --- OBTENÇÃO DE URL DE DOCUMENTO ---
+app.get(
+  '/api/documents/:id/url',
+  auditRequest(auditLog, 'document.url', { resourceType: 'document', resourceId: (req) => req.params.id }),
+  async (req, res) => {
+    const endpointName = '/api/documents/:id/url';
+    try {
+      const document = await uploadedDocuments.get(req.params.id);
+      if (!isOwner(document, req.user)) {
+        log('Storage-ERROR', `Documento não encontrado para o usuário: ${req.params.id}`);
+        return res.status(404).json({ error: 'Documento não encontrado.' });
+      }
+      if (!(await storage.exists(process.env.GCLOUD_BUCKET_DOC, document.filename))) {
+        log('Storage-ERROR', `Arquivo não encontrado: ${document.filename}`);
+        return res.status(404).json({ error: 'Documento não encontrado.' });
+      }
+      res.json({
+        id: document.id,
+        fileName: document.originalName,
+        contentType: document.contentType,
+        ...(await documentSignedUrl(document)),
+      });
+    } catch (err) {
+      log('API-ERROR', `Erro em ${endpointName}:`, err);
+      res.status(500).json({ error: 'Falha ao gerar URL do documento.' });
+    }
+  }
+);
+
+// Limite de caracteres por trecho no resumo de documentos longos
+const documentChunkChars = Number(process.env.DOCUMENT_CHUNK_CHARS || 24000);
+const receiveSummaryDocuments = receiveFiles(
+  multer({ limits: { fileSize: documentMaxMb * 1024 * 1024, files: 5 } }).array('documentos', 5)
+);
+
+/**
+ * OCR pelo LLM configurado: transcreve o texto de cada página de um anexo
+ * (imagem ou PDF digitalizado), na ordem. Usado pela extração de texto dos
+ * documentos (ver `extractPages`).
+ */
+const ocrAttachment = async ({ mimeType, data, pageCount, locale }) => {
+  const { request } = await isolatedPrompt('/api/process-and-summarize-documents:ocr', {
+    name: 'ocr-document',
+    locale,
+    variables: { pageCount },
+    attachments: [{ inlineData: { mimeType, data: data.toString('base64') } }],
+    generationConfig: {
+      temperature: 0,
+    },
+  });
+  const { data: ocr } = await generateStructured({
+    generate: llm.generate,
+    request,
+    spec: ocrOutput(pageCount),
+    maxAttempts: structuredMaxAttempts,
+  });
+  return [...ocr.pages].sort((a, b) => a.page - b.page).map(({ text }) => text);
+};
+
+/**
+ * Resume o texto extraído de um documento: cada trecho (ver `chunkPages`) é
+ * resumido com as páginas que sustentam cada ponto e, havendo mais de um
+ * trecho, os resumos parciais são combinados em um só.
+ * Retorna `{ summary, keyPoints, template, findings }`.
+ */
+const summarizeDocumentText = async (chunks, { locale }) => {
+  const endpointName = '/api/process-and-summarize-documents';
+  const findings = [];
+  const partials = [];
+  let template;
+  for (const chunk of chunks) {
+    const prepared = await isolatedPrompt(endpointName, {
+      name: 'summarize-document',
+      locale,
+      variables: { pages: formatPageRanges(chunk.pages) },
+      untrusted: [{ label: 'document', text: chunk.text }],
+      generationConfig: {
+        maxOutputTokens: 2048,
+        temperature: 0.3,
+      },
+    });
+    const { data } = await generateStructured({
+      generate: llm.generate,
+      request: prepared.request,
+      spec: documentSummaryOutput(chunk.pages),
+      maxAttempts: structuredMaxAttempts,
+    });
+    partials.push({ pages: formatPageRanges(chunk.pages), ...data });
+    findings.push(...prepared.findings);
+    template = prepared.template;
+  }
+  if (partials.length === 1) {
+    const [{ summary, keyPoints }] = partials;
+    return { summary, keyPoints, template, findings };
+  }
+
+  const allPages = chunks.flatMap((chunk) => chunk.pages);
+  const merge = await isolatedPrompt(`${endpointName}:merge`, {
+    name: 'merge-document-summaries',
+    locale,
+    variables: { pages: formatPageRanges(new Set(allPages)) },
+    untrusted: [{ label: 'partial-summaries', text: JSON.stringify(partials, null, 2) }],
+    generationConfig: {
+      maxOutputTokens: 4096,
+      temperature: 0.3,
+    },
+  });
+  const { data } = await generateStructured({
+    generate: llm.generate,
+    request: merge.request,
+    spec: documentSummaryOutput(allPages),
+    maxAttempts: structuredMaxAttempts,
+  });
+  return { ...data, template: merge.template, findings: [...findings, ...merge.findings] };
+};
+
+app.post("/api/process-and-summarize-documents", receiveSummaryDocuments, async (req, res) => {
   const endpointName = "/api/process-and-summarize-documents";
   log('API', `Iniciando ${endpointName}`);
 
@@ -696,67 +1880,97 @@ app.post("/api/process-and-summarize-documents", upload.array("documentos", 5),
   }
 
   try {
-    const summaryPromises = req.files.map(async (file) => {
-      log('VertexAI', `Processando arquivo: ${file.originalname} (${file.mimetype})`);
-
-      const fileBuffer = file.buffer;
-      const mimeType = file.mimetype;
-
-      const promptParts = [];
-      let promptText = "";
+    const { consultationId } = req.body;
+    const consultation = await findConsultation(consultationId, req.user);
+    if (consultationId && !consultation) {
+      return res.status(404).json({ error: "Consulta não encontrada." });
+    }
+    // O corpo multipart só existe depois do multer: o consentimento é conferido aqui
+    await assertAiConsent(consultation);
 
-      const supportedImage = mimeType.startsWith('image/');
-      const supportedDoc = ['application/pdf', 'text/plain', 'text/markdown'].includes(mimeType);
+    // Sem texto para detectar o idioma antes do OCR: vale o 'locale' do formulário
+    const ocrLocale = pickLocale({ requested: req.body.locale });
+    const summaryPromises = req.files.map(async (file) => {
+      log('LLM', `Processando arquivo: ${file.originalname} (${file.mimetype})`);
+
+      // O tipo vem do conteúdo; o texto por página sai do cache quando o arquivo já foi processado
+      const fileType = detectDocumentType(file.buffer);
+      let extraction;
+      try {
+        extraction =
+          fileType &&
+          (await documentText.extract(file.buffer, {
+            mimeType: fileType.mimeType,
+            ocr: (attachment) => ocrAttachment({ ...attachment, locale: ocrLocale }),
+          }));
+      } catch (err) {
+        log('API-ERROR', `Falha ao extrair o texto de ${file.originalname}:`, err);
+        return {
+          fileName: file.originalname,
+          summary: [`Não foi possível extrair o texto de '${file.originalname}'`],
+        };
+      }
 
-      if (supportedImage) {
-        promptText = "Você é um assistente médico. Descreva esta imagem de forma objetiva, focando em detalhes que possam ser clinicamente relevantes. Se for um exame, descreva os achados. Se for um documento, extraia o texto e resuma-o.";
-      } else if (supportedDoc) {
-        promptText = "Você é um assistente médico. Resuma o conteúdo deste documento, extraindo as informações mais importantes como diagnósticos, tratamentos, resultados de exames e histórico do paciente.";
-      } else {
-        log('VertexAI', `Tipo de arquivo não suportado para resumo: ${mimeType}`);
+      if (!extraction) {
+        log('LLM', `Tipo de arquivo não suportado para resumo: ${fileType?.mimeType ?? file.mimetype}`);
         return {
           fileName: file.originalname,
           summary: [`Resumo não gerado para '${file.originalname}' - tipo de arquivo não suportado`],
         };
       }
 
-      promptParts.push({ text: promptText });
-      promptParts.push({
-        inlineData: {
-          mimeType: mimeType,
-          data: fileBuffer.toString('base64'),
-        },
-      });
-
-      const request = {
-        contents: [{ role: 'user', parts: promptParts }],
-        generationConfig: {
-          maxOutputTokens: 2048,
-          temperature: 0.3,
-        },
+      const extractionInfo = {
+        method: extraction.method,
+        contentHash: extraction.contentHash,
+        cached: extraction.cached,
+        ocrPages: extraction.pages.filter((page) => page.ocr).map((page) => page.page),
       };
-
-      const result = await generativeModel.generateContent(request);
-      const summaryText = result.response?.candidates?.[0]?.content?.parts?.[0]?.text;
-
-      if (summaryText) {
+      const chunks = chunkPages(extraction.pages, { maxChars: documentChunkChars });
+      if (chunks.length === 0) {
         return {
           fileName: file.originalname,
-          summary: summaryText.trim(),
+          summary: [`Nenhum texto encontrado em '${file.originalname}'`],
+          pageCount: extraction.pages.length,
+          extraction: extractionInfo,
         };
       }
 
-      return {
-        fileName: file.originalname,
-        summary: [`Não foi possível gerar um resumo para '${file.originalname}'`],
-      };
+      try {
+        const { summary, keyPoints, template, findings } = await summarizeDocumentText(chunks, {
+          // Idioma detectado no texto extraído, salvo o 'locale' do formulário
+          locale: pickLocale({ requested: req.body.locale, text: chunks[0].text }),
+        });
+        return {
+          fileName: file.originalname,
+          summary: summary.trim(),
+          keyPoints,
+          pageCount: extraction.pages.length,
+          extraction: extractionInfo,
+          promptTemplate: template,
+          ...injectionFlags(findings),
+        };
+      } catch (err) {
+        if (!err.details) throw err;
+        log('API-ERROR', 'Resposta da IA fora do formato esperado:', err.details);
+        return {
+          fileName: file.originalname,
+          summary: [`Não foi possível gerar um resumo para '${file.originalname}'`],
+          pageCount: extraction.pages.length,
+          extraction: extractionInfo,
+        };
+      }
     });
 
     const summaries = await Promise.all(summaryPromises);
 
+    if (consultationId) {
+      await consultations.addDocumentSummaries(consultationId, summaries);
+    }
+
     log('API', `Resumos gerados com sucesso para ${endpointName}`);
     res.status(200).json({ summaries });
   } catch (error) {
+    if (error.expose) return res.status(error.status).json(errorPayload(error));
     log('API-ERROR', `Erro em ${endpointName}:`, error);
     res.status(500).json({
       error: "Ocorreu um erro no servidor ao processar os documentos.",
@@ -766,92 +1980,82 @@ app.post("/api/process-and-summarize-documents", upload.array("documentos", 5),
   }
 });
 
-app.post("/api/chat", async (req, res) => {
-  try {
-    const {comando, history } = req.body;
-    if (!history || !Array.isArray(history) || history.length === 0) {
-      return res.status(400).json({ error: 'O campo "history" é obrigatório.' });
-    }
-
-    const systemPrompt = `
-      Você é uma IA médica, assistente de consultas. Sua saída deve ser EXCLUSIVAMENTE um JSON válido.
-      Nunca adicione explicações, comentários ou texto fora do JSON.
-      Você deve analisar o histórico da conversa e o último comando do usuário para determinar a resposta.
-
-      Se o último comando for uma transcrição de áudio:
-      - Gere um resumo clínico curto da transcrição.
-      - Crie um título conciso (até 10 palavras) para a consulta.
-      - A saída deve ser um JSON com a estrutura:
-        {
-          "mensagem": "resumo clínico aqui",
-          "titulo": "título da consulta aqui",
-          "mode": "BIGTIME"
-        }
+/**
+ * Prepara a resposta do chat a partir do histórico da conversa.
+ */
+const prepareChat = async (body) => {
+  const { comando, history } = body;
+  if (!history || !Array.isArray(history) || history.length === 0) {
+    throw requestError(400, 'O campo "history" é obrigatório.');
+  }
 
-      Se o último comando for uma solicitação de anamnese, ou documento, como "Gera uma Anamnese" ou "Gere Documento":
-      - Analise toda a conversa anterior.
-      - Gere uma anamnese/documento completa sempre em formato HTML (usando parágrafos, negrito, listas).
-      - A saída deve ser um JSON com a estrutura:
-        {
-          "html": "anamnese/documento completa em HTML aqui",
-           "titulo": "título para o documento aqui",
-          "mode": "HTML"
-        }
+  const { text: systemPrompt, template } = await prompts.render('chat-system', {
+    locale: pickLocale({ requested: body.locale, text: history.map((msg) => msg.text).join(' ') }),
+  });
 
-      Para qualquer outro comando ou pergunta do usuário:
-      - Responda de forma normal e útil para a conversa.
-      - A saída deve ser um JSON com a estrutura:
-        {
-          "mensagem": "sua resposta normal aqui, pense bem antes de responder, analise o contexto geral",
-          "mode": "CHATIME"
-        }
-    `;
-
-    const formattedHistory = history.map(msg => ({
-      role: msg.from === "user" ? "user" : "model",
-      parts: [{ text: `${comando} - ${msg.text}` }]
-    }));
-
-    const previousMessages = formattedHistory.slice(0, -1);
-    const lastUserMessage = formattedHistory[formattedHistory.length - 1].parts[0].text;
-
-    // Alterado para gemini-2.5-flash para melhor performance/custo em chat, 
-    // ou mantido o pro se for estritamente necessário para raciocínio complexo. 
-    // Mantenho o 'pro' por ser a sua escolha original:
-    const model = "gemini-2.5-pro"; 
-    const generativeModel = vertex_ai.getGenerativeModel({
-      model,
-      generationConfig: { maxOutputTokens: 4048, temperature: 0.2 }
-    });
+  const formattedHistory = history.map(msg => ({
+    role: msg.from === "user" ? "user" : "model",
+    parts: [{ text: `${comando} - ${msg.text}` }]
+  }));
 
-    const chat = generativeModel.startChat({
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-      history: previousMessages
-    });
+  // O chat já separa instruções (systemInstruction) e mensagens; aqui só sinaliza
+  const findings = history.flatMap((msg, index) =>
+    msg.from === 'user' ? scanForInjection(msg.text, `history[${index}]`) : []
+  );
+  if (findings.length > 0) {
+    log('LLM', 'Possível injeção de prompt em /api/chat:', findings);
+  }
 
-    const result = await chat.sendMessage(lastUserMessage);
-    const responseText = result.response.candidates[0].content.parts[0].text;
+  const previousMessages = formattedHistory.slice(0, -1);
+  const lastUserMessage = formattedHistory[formattedHistory.length - 1].parts[0].text;
+
+  // Alterado para gemini-2.5-flash para melhor performance/custo em chat, 
+  // ou mantido o pro se for estritamente necessário para raciocínio complexo. 
+  // Mantenho o 'pro' por ser a sua escolha original:
+  const model = "gemini-2.5-pro"; 
+
+  const request = withResponseSchema({
+    tag: '/api/chat',
+    model,
+    systemInstruction: systemPrompt,
+    contents: [...previousMessages, { role: 'user', parts: [{ text: lastUserMessage }] }],
+    generationConfig: { maxOutputTokens: 4048, temperature: 0.2 }
+  }, CHAT_OUTPUT);
+
+  return {
+    request,
+    // Texto já gerado é a primeira tentativa; se vier fora do formato, pede correção
+    finish: async (responseText) => {
+      const { data } = await generateStructured({
+        generate: llm.generate,
+        request,
+        spec: CHAT_OUTPUT,
+        maxAttempts: structuredMaxAttempts,
+        firstResponse: responseText,
+      });
+      // No modo HTML, o HTML passa pela allowlist e ganha a versão em texto puro
+      const html = data.html !== undefined ? sanitizeHtml(data.html) : null;
+      return {
+        ...data,
+        ...(html ? { html: html.html, htmlText: html.text } : {}),
+        promptTemplate: template,
+        ...injectionFlags(findings),
+      };
+    },
+  };
+};
 
-    try {
-      // Limpeza e tentativa de parse do JSON.
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch && jsonMatch[0]) {
-        const responseObject = JSON.parse(jsonMatch[0]);
-        res.json(responseObject);
-      } else {
-        log('API-WARN', "A resposta da IA não continha um JSON válido."); // Corrigido
-        res.status(500).json({ mensagem: "Erro: formato de resposta da IA inválido." });
-      }
-    } catch (error) {
-      log('API-ERROR', "Erro ao fazer parse do JSON da IA:", error); // Corrigido
-      res.status(500).json({ mensagem: "Erro interno no servidor." });
-    }
+app.post(
+  '/api/chat',
+  generationRoute('/api/chat', prepareChat, 'Erro ao processar a requisição de chat.')
+);
 
-  } catch (error) {
-    log('API-ERROR', "Erro ao processar a requisição de chat.", error); // Corrigido
-    res.status(500).json({ error: "Erro ao processar a requisição de chat." });
-  }
-});
+// Gerações que o socket pode transmitir ('start-generation')
+const streamableGenerations = {
+  '/api/chat': prepareChat,
+  '/api/generate-anamnese': prepareGenerateAnamnese,
+  '/api/melhorar-anamnese': prepareMelhorarAnamnese,
+};
 
 // --- Iniciar Servidor ---
 const PORT = process.env.PORT || 8080;
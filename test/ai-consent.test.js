@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import jws from 'jws';
+
+const SECRET = 'segredo-de-teste';
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+
+// Servidor com providers locais e armazenamento em diretório temporário
+const startServer = async (t) => {
+  const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-consent-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: new URL('..', import.meta.url),
+    env: {
+      ...process.env,
+      PROVIDERS: 'local',
+      PORT: String(port),
+      AUTH_JWT_SECRET: SECRET,
+      LOCAL_STORAGE_DIR: storageDir,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  t.after(async () => {
+    child.kill();
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => chunk.toString().includes('Servidor rodando') && resolve());
+    child.once('exit', (code) => reject(new Error(`Servidor encerrou (código ${code}).`)));
+  });
+  return `http://localhost:${port}`;
+};
+
+const token = jws.sign({
+  header: { alg: 'HS256', typ: 'JWT' },
+  payload: { sub: 'medico-1', tenant: 'clinica-1', exp: Math.floor(Date.now() / 1000) + 600 },
+  secret: SECRET,
+});
+const authorization = { Authorization: `Bearer ${token}` };
+
+// 1 s de silêncio em WAV PCM 16 kHz mono
+const silenceWav = () => {
+  const data = Buffer.alloc(32000);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+test('documentos de consulta cuja gravação não autoriza IA são recusados (multipart)', async (t) => {
+  const baseUrl = await startServer(t);
+
+  const consultation = await (
+    await fetch(`${baseUrl}/api/consultations`, {
+      method: 'POST',
+      headers: { ...authorization, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'Retorno' }),
+    })
+  ).json();
+
+  // Gravação com consentimento para gravar e transcrever, sem 'ai-processing'
+  const upload = new FormData();
+  upload.append('file', new Blob([silenceWav()], { type: 'audio/wav' }), 'consulta.wav');
+  upload.append('consultationId', consultation.id);
+  upload.append(
+    'consent',
+    JSON.stringify({ grantedBy: { role: 'patient' }, method: 'verbal', scope: ['recording', 'transcription'] })
+  );
+  const { jobId } = await (
+    await fetch(`${baseUrl}/batch-transcribe`, { method: 'POST', headers: authorization, body: upload })
+  ).json();
+  let job;
+  for (let attempt = 0; attempt < 100 && !['done', 'failed'].includes(job?.state); attempt += 1) {
+    await sleep(100);
+    job = await (await fetch(`${baseUrl}/batch-transcribe/${jobId}`, { headers: authorization })).json();
+  }
+  assert.equal(job.state, 'done');
+
+  const documents = new FormData();
+  documents.append('documentos', new Blob(['Hemograma sem alterações.'], { type: 'text/plain' }), 'exame.txt');
+  documents.append('consultationId', consultation.id);
+  const response = await fetch(`${baseUrl}/api/process-and-summarize-documents`, {
+    method: 'POST',
+    headers: authorization,
+    body: documents,
+  });
+  assert.equal(response.status, 403);
+  assert.deepEqual(await response.json(), {
+    error: 'O consentimento do paciente não autoriza o processamento por IA.',
+  });
+});
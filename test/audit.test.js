@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createAuditLog } from '../lib/audit.js';
+import { createDocumentStore } from '../lib/document-store.js';
+import { createLocalStorage } from '../providers/local-storage.js';
+
+// Trilha com três entradas, gravada em disco como no modo local
+const setup = async (t) => {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+  t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+  const storage = createLocalStorage({ rootDir, publicBaseUrl: 'http://localhost' });
+  const entries = createDocumentStore({ storage, bucket: 'audit', prefix: 'audit' });
+  const auditLog = createAuditLog({
+    entries,
+    head: createDocumentStore({ storage, bucket: 'audit', prefix: 'audit-head' }),
+  });
+  const actor = { clinicianId: 'medico-1', tenantId: 'clinica-1' };
+  for (const action of ['recording.start', 'ai.generate', 'document.url']) {
+    await auditLog.record({ actor, action, resourceType: 'consultation', resourceId: 'c-1', outcome: 'success' });
+  }
+  return { auditLog, entries };
+};
+
+test('cadeia íntegra é válida', async (t) => {
+  const { auditLog } = await setup(t);
+  assert.deepEqual(await auditLog.verify(), { valid: true, entries: 3, problems: [] });
+});
+
+test('entrada alterada quebra o hash', async (t) => {
+  const { auditLog, entries } = await setup(t);
+  const entry = await entries.get('000000000002');
+  await entries.put('000000000002', { ...entry, outcome: 'denied' });
+  assert.deepEqual(await auditLog.verify(), {
+    valid: false,
+    entries: 3,
+    problems: [{ seq: 2, message: 'Hash não confere: entrada alterada.' }],
+  });
+});
+
+test('remoção da última entrada é detectada pelo fim da cadeia', async (t) => {
+  const { auditLog, entries } = await setup(t);
+  await entries.remove('000000000003');
+  assert.deepEqual(await auditLog.verify(), {
+    valid: false,
+    entries: 2,
+    problems: [{ seq: 3, message: 'Fim da cadeia não confere: entradas finais removidas.' }],
+  });
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConsultation } from '../lib/consultations.js';
+
+test('aceita os formatos usados pelo servidor', () => {
+  assert.deepEqual(
+    validateConsultation({
+      patient: { name: 'Ana Souza', document: '123.456.789-09', birthDate: '1980-03-12' },
+      title: 'Retorno',
+      transcript: [{ speakerTag: 1, text: 'Bom dia.', startMs: 0, endMs: 900 }],
+      timeline: ['Queixa de cefaleia'],
+      documentSummaries: [{ fileName: 'exame.pdf', summary: 'Hemograma normal.' }],
+      entities: null,
+    }),
+    []
+  );
+});
+
+test('recusa transcrição, timeline e resumos fora do formato', () => {
+  assert.deepEqual(validateConsultation({ transcript: 'x' }), [{ field: 'transcript', message: 'Deve ser uma lista.' }]);
+  assert.deepEqual(validateConsultation({ transcript: [{ text: 1 }], timeline: ['ok', 2] }), [
+    { field: 'transcript[0]', message: 'Campo "text" deve ser texto.' },
+    { field: 'timeline[1]', message: 'Deve ser texto.' },
+  ]);
+  assert.deepEqual(validateConsultation({ documentSummaries: [{ fileName: 'a.pdf', summary: { text: 'x' } }] }), [
+    { field: 'documentSummaries[0]', message: 'Campo "summary" deve ser texto ou lista de textos.' },
+  ]);
+});
+
+test('exige data de nascimento no formato AAAA-MM-DD', () => {
+  ['12/03/1980', '1980-3-12', '1980-13-45'].forEach((birthDate) =>
+    assert.deepEqual(validateConsultation({ patient: { name: 'Ana Souza', birthDate } }), [
+      { field: 'patient.birthDate', message: 'Use o formato AAAA-MM-DD.' },
+    ])
+  );
+  assert.deepEqual(validateConsultation({ patient: { name: 'Ana Souza', birthDate: null } }), []);
+});
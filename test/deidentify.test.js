@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPseudonymizer, reidentify } from '../lib/deidentify.js';
+
+test('partes do nome conhecido recebem o pseudônimo do nome completo', () => {
+  const pseudonymizer = createPseudonymizer();
+  const text = 'Rosa Cruz tem uma lesão rosa no braço. Rosa diz que a dor na cruz do pescoço piorou.';
+  const pseudonymized = pseudonymizer.pseudonymize(text, { knownNames: ['Rosa Cruz'] });
+  assert.equal(
+    pseudonymized,
+    '[NOME_1] tem uma lesão rosa no braço. [NOME_1] diz que a dor na cruz do pescoço piorou.'
+  );
+  assert.deepEqual(pseudonymizer.mapping(), [{ token: '[NOME_1]', type: 'name', value: 'Rosa Cruz' }]);
+  assert.equal(
+    reidentify(pseudonymized, pseudonymizer.mapping()),
+    'Rosa Cruz tem uma lesão rosa no braço. Rosa Cruz diz que a dor na cruz do pescoço piorou.'
+  );
+});
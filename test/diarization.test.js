@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildSpeakerTurns, collectDiarizedWords } from '../lib/diarization.js';
+
+// Respostas do `longRunningRecognize` (pt-BR, diarização com 2 locutores)
+const fixture = (name) =>
+  JSON.parse(fs.readFileSync(new URL(`./fixtures/diarization/${name}.json`, import.meta.url), 'utf8'));
+
+const turns = (name) =>
+  buildSpeakerTurns(fixture(name).results).map(({ speakerTag, text, overlap }) => ({
+    speakerTag,
+    text,
+    ...(overlap ? { overlap } : {}),
+  }));
+
+test('collectDiarizedWords usa o último resultado, que repete as palavras com o locutor', () => {
+  const { results } = fixture('speaker-change-mid-result');
+  const words = collectDiarizedWords(results);
+  assert.equal(words.length, results.slice(0, -1).reduce((sum, r) => sum + r.alternatives[0].words.length, 0));
+  assert.ok(words.every((word) => word.speakerTag > 0));
+});
+
+test('collectDiarizedWords usa as palavras de cada resultado sem o resultado agregado', () => {
+  const { results } = fixture('speaker-change-mid-result');
+  const withoutAggregate = results.slice(0, -1);
+  assert.deepEqual(
+    collectDiarizedWords(withoutAggregate),
+    withoutAggregate.flatMap((result) => result.alternatives[0].words)
+  );
+});
+
+test('divide o resultado em que o locutor muda no meio', () => {
+  assert.deepEqual(turns('speaker-change-mid-result'), [
+    { speakerTag: 1, text: 'Bom dia. Qual é a sua queixa hoje?' },
+    { speakerTag: 2, text: 'Estou com dor de cabeça há três dias. A dor piora à noite.' },
+  ]);
+});
+
+test('absorve uma palavra isolada de outro locutor no meio da fala', () => {
+  assert.deepEqual(turns('flicker'), [
+    { speakerTag: 2, text: 'A dor começa de manhã e piora no fim da tarde.' },
+    { speakerTag: 1, text: 'Entendi. Tem febre?' },
+  ]);
+});
+
+test('mantém interjeições completas como segmento próprio', () => {
+  assert.deepEqual(turns('interjection'), [
+    { speakerTag: 2, text: 'Tomei dipirona ontem à noite.' },
+    { speakerTag: 1, text: 'Certo.' },
+    { speakerTag: 2, text: 'Mas não melhorou nada.' },
+  ]);
+});
+
+test('marca overlap quando a fala começa antes do fim da anterior', () => {
+  assert.deepEqual(turns('overlap'), [
+    { speakerTag: 1, text: 'O senhor tem alguma alergia a medicamento?' },
+    { speakerTag: 2, text: 'Não, nenhuma.', overlap: true },
+    { speakerTag: 1, text: 'Ótimo, vou prescrever então.' },
+  ]);
+});
+
+test('segmentos trazem deslocamentos em ms desde o início da gravação', () => {
+  const [first, second] = buildSpeakerTurns(fixture('speaker-change-mid-result').results);
+  assert.equal(first.startMs, 400);
+  assert.equal(first.timestamp, '00:00');
+  assert.ok(second.startMs > first.endMs);
+  assert.equal(second.words[0].word, 'Estou');
+});
+
+test('resposta sem palavras não gera turnos', () => {
+  assert.deepEqual(buildSpeakerTurns([]), []);
+  assert.deepEqual(buildSpeakerTurns([{ alternatives: [{ transcript: '', words: [] }] }]), []);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExportDocument, patientFromConsultation } from '../lib/document-export.js';
+
+const exportDocument = (patient) =>
+  buildExportDocument({
+    blocks: [],
+    field: 'anamnese',
+    clinician: { name: 'Dra. Ana', crm: '12345', crmState: 'sp' },
+    patient,
+    date: '2026-10-18',
+    locale: 'pt-BR',
+  });
+
+test('data de nascimento da consulta em DD/MM/AAAA é convertida', () => {
+  const patient = patientFromConsultation({ name: 'João Souza', birthDate: '12/03/1980' });
+  assert.deepEqual(patient, { name: 'João Souza', birthDate: '1980-03-12' });
+  assert.deepEqual(exportDocument(patient).identification, [
+    'Paciente: João Souza',
+    'Nascimento: 12 de março de 1980',
+    'Data: 18 de outubro de 2026',
+  ]);
+});
+
+test('data de nascimento que não é data sai como veio, sem derrubar a exportação', () => {
+  assert.deepEqual(exportDocument({ name: 'João Souza', birthDate: 'março de 1980' }).identification, [
+    'Paciente: João Souza',
+    'Nascimento: março de 1980',
+    'Data: 18 de outubro de 2026',
+  ]);
+});
+
+test('paciente da consulta como texto ou sem nome', () => {
+  assert.deepEqual(patientFromConsultation('João Souza'), { name: 'João Souza' });
+  assert.equal(patientFromConsultation({ document: '123' }), null);
+  assert.equal(patientFromConsultation(null), null);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildConsultationBundle, validateBundle } from '../lib/fhir.js';
+
+const consultation = (patient) => ({
+  id: 'c-1',
+  owner: { clinicianId: 'medico-1' },
+  createdAt: '2026-10-18T14:00:00.000Z',
+  updatedAt: '2026-10-18T14:30:00.000Z',
+  patient,
+  anamnese: '<p>Cefaleia há três dias.</p>',
+});
+
+const patientOf = (bundle) => bundle.entry.find(({ resource }) => resource.resourceType === 'Patient').resource;
+
+test('Patient.birthDate só entra no formato date do FHIR', () => {
+  const valid = buildConsultationBundle(consultation({ name: 'João Souza', birthDate: '1980-03-12' }), {
+    systemBase: 'urn:clinica',
+  });
+  assert.equal(patientOf(valid).birthDate, '1980-03-12');
+  assert.deepEqual(validateBundle(valid), []);
+
+  const free = buildConsultationBundle(consultation({ name: 'João Souza', birthDate: '12/03/1980' }), {
+    systemBase: 'urn:clinica',
+  });
+  assert.equal(patientOf(free).birthDate, undefined);
+  assert.deepEqual(validateBundle(free), []);
+});
+
+test('validateBundle recusa birthDate fora do formato date', () => {
+  const bundle = buildConsultationBundle(consultation({ name: 'João Souza' }), { systemBase: 'urn:clinica' });
+  const index = bundle.entry.findIndex(({ resource }) => resource.resourceType === 'Patient');
+  bundle.entry[index].resource.birthDate = '12/03/1980';
+  assert.deepEqual(validateBundle(bundle), [
+    { field: `entry[${index}].resource.birthDate`, message: 'Deve estar no formato date (AAAA-MM-DD).' },
+  ]);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLiveSessionRegistry } from '../lib/live-sessions.js';
+
+const segment = (text, startMs, endMs) => ({ text, isFinal: true, startMs, endMs });
+
+test('mantém respostas curtas repetidas em momentos diferentes', () => {
+  const registry = createLiveSessionRegistry();
+  const session = registry.create({ owner: { sub: 'medico' } });
+  [
+    segment('Sente dor?', 0, 900),
+    segment('Sim.', 1200, 1500),
+    segment('Tem febre?', 2000, 2800),
+    segment('Sim.', 3100, 3400),
+  ].forEach((item) => registry.addSegment(session, item));
+  assert.deepEqual(
+    session.segments.map(({ text, seq }) => [seq, text]),
+    [
+      [1, 'Sente dor?'],
+      [2, 'Sim.'],
+      [3, 'Tem febre?'],
+      [4, 'Sim.'],
+    ]
+  );
+});
+
+test('descarta o mesmo texto sobre o mesmo trecho de áudio', () => {
+  const registry = createLiveSessionRegistry();
+  const session = registry.create({ owner: { sub: 'medico' } });
+  assert.ok(registry.addSegment(session, segment('Estou com dor de cabeça.', 1000, 2600)));
+  assert.equal(registry.addSegment(session, segment('estou com dor de cabeça', 1100, 2500)), null);
+  assert.equal(session.segments.length, 1);
+});
+
+test('final substitui o parcial forçado pelo cliente, mantendo o seq', () => {
+  const registry = createLiveSessionRegistry();
+  const session = registry.create({ owner: { sub: 'medico' } });
+  registry.addSegment(session, { ...segment('Tomei dipirona', 0, 800), forced: true });
+  const final = registry.addSegment(session, segment('Tomei dipirona ontem.', 0, 1300));
+  assert.equal(final.seq, 1);
+  assert.deepEqual(session.segments.map(({ text }) => text), ['Tomei dipirona ontem.']);
+});
+
+test('addAudio mede LINEAR16 pelos bytes recebidos', () => {
+  const registry = createLiveSessionRegistry();
+  const session = registry.create({
+    owner: { sub: 'medico' },
+    recognitionConfig: { encoding: 'LINEAR16', sampleRateHertz: 16000 },
+  });
+  // 32 bytes por ms: chunks de 250 ms, com ou sem stream de reconhecimento aberto
+  [8000, 8000, 8000].forEach((bytes) => registry.addAudio(session, bytes));
+  assert.equal(session.audioOffsetMs, 750);
+});
+
+test('addAudio mede Opus pelo intervalo entre chunks e ignora pausas', () => {
+  const registry = createLiveSessionRegistry();
+  const session = registry.create({
+    owner: { sub: 'medico' },
+    recognitionConfig: { encoding: 'WEBM_OPUS', sampleRateHertz: 48000 },
+  });
+  [0, 500, 1000, 1500].forEach((now) => registry.addAudio(session, 4000, now));
+  assert.equal(session.audioOffsetMs, 2000);
+  // Depois de uma pausa maior que o limite de silêncio, o chunk não soma o intervalo
+  [60000, 60500].forEach((now) => registry.addAudio(session, 4000, now));
+  assert.equal(session.audioOffsetMs, 3000);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLocalStorage } from '../providers/local-storage.js';
+
+test('URL assinada de bucket não configurado aponta para o arquivo salvo em default/', async (t) => {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-'));
+  t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+  const storage = createLocalStorage({ rootDir, publicBaseUrl: 'http://localhost', secret: 'segredo' });
+
+  await storage.save(undefined, 'audios/a.flac', Buffer.from('audio'));
+  const url = new URL(await storage.getSignedUrl(undefined, 'audios/a.flac', { expires: Date.now() + 60000 }));
+  assert.equal(url.pathname, '/local-storage/default/audios/a.flac');
+
+  const [bucket, ...name] = url.pathname.split('/').slice(2).map(decodeURIComponent);
+  const filePath = storage.resolveSignedUrl(
+    bucket,
+    name.join('/'),
+    url.searchParams.get('expires'),
+    url.searchParams.get('signature')
+  );
+  assert.equal(filePath, path.join(rootDir, 'default', 'audios', 'a.flac'));
+  assert.equal(await fs.readFile(filePath, 'utf8'), 'audio');
+});
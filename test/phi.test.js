@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findPhi, redactText, replacePhi } from '../lib/phi.js';
+import { redact } from '../lib/log.js';
+
+const types = (text) => findPhi(text).map(({ type, value }) => [type, value]);
+
+test('mantém IDs, URLs assinadas, timestamps e tamanhos nas mensagens de log', () => {
+  [
+    'Fazendo upload de audio-535f76a8-1279-4e2c-ac12-3456789012de.flac',
+    'https://storage.googleapis.com/bucket/audio.flac?X-Goog-Date=20261018T162929Z&expires=1760805000&X-Goog-Signature=9a8b7c6d5e4f30211234567890abcdef',
+    '2026-10-18T16:29:29.150Z',
+    'Documento salvo (application/pdf, 1234567890 bytes)',
+    'Hash 5d3e18e44572aa838147c4e62fdf11cc3d689880816f8faa337ff378e841044b',
+  ].forEach((message) => assert.equal(redact(message), message));
+});
+
+test('telefones com formatação de telefone', () => {
+  assert.deepEqual(types('Ligue para (11) 98765-4321.'), [['phone', '(11) 98765-4321']]);
+  assert.deepEqual(types('Contato +55 11 98765-4321'), [['phone', '+55 11 98765-4321']]);
+  assert.deepEqual(types('Número 11 98765-4321 ou 3456-7890'), [
+    ['phone', '11 98765-4321'],
+    ['phone', '3456-7890'],
+  ]);
+  assert.deepEqual(types('Call +1 415 555 0132'), [['phone', '+1 415 555 0132']]);
+});
+
+test('telefones sem formatação só depois de "tel", "celular"...', () => {
+  assert.equal(redactText('Tel.: 11987654321'), 'Tel.: [TELEFONE]');
+  assert.equal(redactText('celular 11987654321, ligar à tarde'), 'celular [TELEFONE], ligar à tarde');
+  assert.equal(redactText('Protocolo 1198765432'), 'Protocolo 1198765432');
+});
+
+test('datas fora de timestamps continuam marcadas', () => {
+  assert.equal(redactText('Nascido em 1990-05-12'), 'Nascido em [DATA]');
+  assert.equal(redactText('Nascida em 12/05/1990'), 'Nascida em [DATA]');
+  assert.equal(redactText('criado em 2026-10-18T16:29:29.150Z'), 'criado em 2026-10-18T16:29:29.150Z');
+});
+
+test('CPF, e-mail, nome e endereço', () => {
+  assert.equal(
+    redactText('Paciente Maria Silva, CPF 123.456.789-09, maria@example.com, Rua das Flores, 123.'),
+    'Paciente [NOME], CPF [CPF], [EMAIL], [ENDEREÇO].'
+  );
+});
+
+test('nomes conhecidos: nome completo em qualquer caixa, partes só com inicial maiúscula', () => {
+  const knownNames = ['Rosa Cruz'];
+  assert.equal(
+    replacePhi('Rosa Cruz relata lesão rosa e dor na cruz do pescoço.', () => '[NOME]', { knownNames }),
+    '[NOME] relata lesão rosa e dor na cruz do pescoço.'
+  );
+  assert.deepEqual(
+    findPhi('A Sra. Rosa voltou; ROSA  CRUZ assinou.', { knownNames }).map(({ value, knownName }) => [value, knownName]),
+    [
+      ['Rosa', 'Rosa Cruz'],
+      ['ROSA  CRUZ', 'Rosa Cruz'],
+    ]
+  );
+});
+
+test('redact oculta campos com dados pessoais em objetos logados', () => {
+  assert.deepEqual(redact({ consent: { grantedBy: { role: 'patient', name: 'Maria Silva' }, scope: ['recording'] } }), {
+    consent: { grantedBy: '[OCULTO]', scope: ['recording'] },
+  });
+  assert.deepEqual(redact({ patient: { name: 'Maria Silva' }, consultationId: 'c-1' }), {
+    patient: '[OCULTO]',
+    consultationId: 'c-1',
+  });
+  assert.deepEqual(redact([{ name: 'João Souza', birthDate: '1990-05-12' }]), [{ name: '[OCULTO]', birthDate: '[OCULTO]' }]);
+});